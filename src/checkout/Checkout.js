@@ -0,0 +1,366 @@
+"use strict";
+
+const validateRequired = require("../helpers/validateRequired");
+const BazikError = require("../errors/BazikError");
+const BazikValidationError = require("../errors/BazikValidationError");
+const BazikWebhookError = require("../errors/BazikWebhookError");
+const BazikNotFoundError = require("../errors/BazikNotFoundError");
+const BazikTimeoutError = require("../errors/BazikTimeoutError");
+
+// ─── Checkout ────────────────────────────────────────────────────────────────
+
+const MAX_WEBHOOK_BODY_BYTES = 1024 * 1024;
+const MAX_RECENT_CHECKOUTS = 1000;
+
+/**
+ * The query string of a Node.js request. Express strips its mount path
+ * from `req.url` but keeps the query, so this works behind any router.
+ * @param {import("node:http").IncomingMessage} req
+ * @returns {URLSearchParams}
+ */
+function queryOf(req) {
+  return new URL(req.url ?? "/", "http://localhost").searchParams;
+}
+
+/** `url` with `params` appended to its query string. */
+function withQuery(url, params) {
+  const result = new URL(url);
+  for (const [key, value] of Object.entries(params)) {
+    result.searchParams.set(key, value);
+  }
+  return result.toString();
+}
+
+/** Add `key` to a bounded map, dropping the oldest entry when it is full. */
+function rememberRecent(map, key, value) {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > MAX_RECENT_CHECKOUTS) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  if (res.headersSent || res.writableEnded) return;
+  res.writeHead(status, {
+    "Content-Type": "text/plain; charset=utf-8",
+    ...headers,
+  });
+  res.end(body);
+}
+
+function redirect(res, location) {
+  if (res.headersSent || res.writableEnded) return;
+  res.writeHead(303, { Location: location });
+  res.end();
+}
+
+/**
+ * The unparsed request body. Body parsers that keep the raw bytes
+ * (`express.raw()`, a Fastify buffer parser, `rawBody` from
+ * koa-bodyparser) are used as is; otherwise the stream is read here.
+ * @param {import("node:http").IncomingMessage} req
+ * @param {Object} request — The framework's request (Express req, Fastify request, Koa ctx)
+ * @returns {Promise<string | Buffer>}
+ */
+async function readRawBody(req, request) {
+  for (const body of [
+    request.rawBody,
+    request.request?.rawBody,
+    request.body,
+    req.body,
+  ]) {
+    if (typeof body === "string" || Buffer.isBuffer(body)) return body;
+  }
+  if (req.readableEnded || req.body !== undefined) {
+    throw new BazikValidationError(
+      "The webhook body was already parsed. Mount the webhook route before any JSON body parser, or keep the raw body (e.g. express.raw())."
+    );
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_WEBHOOK_BODY_BYTES) {
+      throw new BazikWebhookError(
+        "Webhook body is too large.",
+        "invalid_payload"
+      );
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Status code for an error that reached a handler. Only webhooks that fail
+ * verification and unknown orders are the caller's fault; API errors are
+ * a bad gateway, anything else is ours.
+ */
+function statusFor(err) {
+  if (err instanceof BazikWebhookError) return 400;
+  if (err instanceof BazikNotFoundError) return 404;
+  if (err instanceof BazikValidationError) return 500;
+  return err instanceof BazikError ? 502 : 500;
+}
+
+class Checkout {
+  #client;
+  #options;
+  #recent = new Map();
+  #settled = new Map();
+
+  /**
+   * Request handlers for the hosted MonCash checkout flow: create the
+   * payment and redirect, verify the order when the browser comes back,
+   * and receive webhooks. Handlers have the Node.js `(req, res, next)`
+   * signature, so they mount directly on `node:http` and Express;
+   * `checkout.fastify` and `checkout.koa` hold the same handlers for
+   * those frameworks.
+   *
+   * @param {import("../modules/Bazik")} client
+   * @param {Object} options
+   * @param {(request: Object) => Object | Promise<Object>} options.createPayment
+   *   — Params for `payments.create()` from your own data; must include `gdes` and `referenceId`
+   * @param {string} options.successUrl — Absolute URL of the route mounting `complete`
+   * @param {string} [options.errorUrl] — Defaults to `successUrl`
+   * @param {(payment: Object, context: Object) => string | void | Promise<string | void>} options.onPaid
+   *   — Return a URL to redirect the browser to. Runs once per order in this
+   *   process, whether the return URL or the webhook sees the payment first;
+   *   across processes it must be idempotent
+   * @param {(payment: Object, context: Object) => string | void | Promise<string | void>} options.onFailed
+   * @param {(payment: Object, context: Object) => string | void | Promise<string | void>} [options.onPending]
+   *   — Called when the payment is still pending after `pendingTimeoutMs`
+   * @param {(event: Object, context: Object) => void | Promise<void>} [options.onEvent]
+   *   — Called for every verified webhook, before onPaid/onFailed
+   * @param {(error: Error, context: Object) => void} [options.onError]
+   *   — Called before a handler answers with an error; anything it throws is ignored
+   * @param {number} [options.pendingTimeoutMs=10000] — How long `complete` waits for a pending payment
+   *
+   * @example
+   * const checkout = new Checkout(bazik, {
+   *   successUrl: "https://shop.example/checkout/done",
+   *   async createPayment(req) {
+   *     const order = await db.orders.find(req.params.id);
+   *     return { gdes: order.total, referenceId: order.id, description: order.title };
+   *   },
+   *   async onPaid(payment) {
+   *     await db.orders.markPaid(payment.referenceId);
+   *     return `/orders/${payment.referenceId}`;
+   *   },
+   *   onFailed: (payment) => `/cart?failed=${payment.referenceId}`,
+   * });
+   *
+   * app.post("/checkout/:id", checkout.start);
+   * app.get("/checkout/done", checkout.complete);
+   * app.post("/webhooks/bazik", checkout.webhook);
+   */
+  constructor(client, options = {}) {
+    for (const name of ["createPayment", "onPaid", "onFailed"]) {
+      if (typeof options[name] !== "function") {
+        throw new BazikValidationError(
+          `Checkout option "${name}" must be a function.`
+        );
+      }
+    }
+    if (!options.successUrl) {
+      throw new BazikValidationError(
+        `Checkout option "successUrl" is required.`
+      );
+    }
+    this.#client = client;
+    this.#options = {
+      pendingTimeoutMs: 10_000,
+      ...options,
+      errorUrl: options.errorUrl ?? options.successUrl,
+    };
+
+    const fastify = (handler) => async (request, reply) => {
+      reply.hijack();
+      await handler.call(this, request.raw, reply.raw, request);
+    };
+    const koa = (handler) => async (ctx) => {
+      ctx.respond = false;
+      await handler.call(this, ctx.req, ctx.res, ctx);
+    };
+
+    this.start = (req, res, next) => this.#start(req, res, req, next);
+    this.complete = (req, res, next) => this.#complete(req, res, req, next);
+    this.webhook = (req, res, next) => this.#webhook(req, res, req, next);
+
+    /** The same handlers as Fastify route handlers. */
+    this.fastify = {
+      start: fastify(this.#start),
+      complete: fastify(this.#complete),
+      webhook: fastify(this.#webhook),
+    };
+
+    /** The same handlers as Koa middleware. */
+    this.koa = {
+      start: koa(this.#start),
+      complete: koa(this.#complete),
+      webhook: koa(this.#webhook),
+    };
+  }
+
+  // ── Handlers ────────────────────────────────────────────────────────────
+
+  /** Create the payment and redirect the browser to MonCash. */
+  async #start(req, res, request, next) {
+    const context = { req, res, request };
+    try {
+      const params = await this.#options.createPayment(request);
+      validateRequired(params, ["gdes", "referenceId"]);
+      const back = { referenceId: params.referenceId };
+      const payment = await this.#client.payments.create({
+        ...params,
+        successUrl: withQuery(this.#options.successUrl, back),
+        errorUrl: withQuery(this.#options.errorUrl, back),
+      });
+      rememberRecent(this.#recent, params.referenceId, payment.orderId);
+      redirect(res, payment.redirectUrl);
+    } catch (err) {
+      this.#fail(err, context, next);
+    }
+  }
+
+  /**
+   * The browser is back from MonCash. Whichever URL it came back on, the
+   * order is verified with Bazik before `onPaid` or `onFailed` runs.
+   */
+  async #complete(req, res, request, next) {
+    const context = { req, res, request };
+    try {
+      const query = queryOf(req);
+      const referenceId = query.get("referenceId");
+      const orderId =
+        query.get("orderId") ?? (await this.#findOrderId(referenceId));
+      if (!orderId) {
+        send(res, 404, "Unknown checkout.");
+        return;
+      }
+
+      let payment = await this.#client.payments.verify(orderId);
+      if (referenceId && payment.referenceId !== referenceId) {
+        send(res, 404, "Unknown checkout.");
+        return;
+      }
+      if (payment.status === "pending" && this.#options.pendingTimeoutMs > 0) {
+        payment = await this.#client.payments
+          .waitForCompletion(orderId, {
+            intervalMs: 1000,
+            timeoutMs: this.#options.pendingTimeoutMs,
+          })
+          .catch((err) => {
+            if (err instanceof BazikTimeoutError) return payment;
+            throw err;
+          });
+      }
+
+      const location = await this.#dispatch(payment, context);
+      if (location) {
+        redirect(res, location);
+      } else if (payment.status === "successful") {
+        send(res, 200, "Payment received.");
+      } else if (payment.status === "pending") {
+        send(res, 202, "Payment is still processing.");
+      } else {
+        send(res, 402, "Payment failed.");
+      }
+    } catch (err) {
+      this.#fail(err, context, next);
+    }
+  }
+
+  /**
+   * Verify a webhook, then run `onEvent` and — for payment events — verify
+   * the order and run `onPaid`/`onFailed`. Answers 200 once they finish, so
+   * a callback that throws gets the webhook delivered again.
+   */
+  async #webhook(req, res, request, next) {
+    const context = { req, res, request };
+    try {
+      const rawBody = await readRawBody(req, request);
+      const event = this.#client.webhooks.constructEvent(rawBody, req.headers);
+      await this.#options.onEvent?.(event, { ...context, event });
+      if (event.orderId) {
+        const payment = await this.#client.payments.verify(event.orderId);
+        await this.#dispatch(payment, { ...context, event });
+      }
+      send(res, 200, JSON.stringify({ received: true }), {
+        "Content-Type": "application/json",
+      });
+    } catch (err) {
+      this.#fail(err, context, next);
+    }
+  }
+
+  // ── Helpers ─────────────────────────────────────────────────────────────
+
+  /**
+   * Run the callback for a verified payment's status. The return URL and
+   * the webhook both report a settled order, so `onPaid`/`onFailed` run
+   * once per order and later calls get the first call's result. If the
+   * callback throws, the order is forgotten so a retry runs it again.
+   */
+  async #dispatch(payment, context) {
+    if (payment.status === "pending") {
+      return this.#options.onPending?.(payment, context);
+    }
+
+    const { orderId } = payment;
+    let settled = this.#settled.get(orderId);
+    if (!settled) {
+      settled = (async () =>
+        payment.status === "successful"
+          ? this.#options.onPaid(payment, context)
+          : this.#options.onFailed(payment, context))();
+      rememberRecent(this.#settled, orderId, settled);
+      settled.catch(() => {
+        if (this.#settled.get(orderId) === settled) {
+          this.#settled.delete(orderId);
+        }
+      });
+    }
+    return settled;
+  }
+
+  /**
+   * Order IDs are only known after `payments.create()`, so the return URLs
+   * carry the referenceId. With a ledger the lookup works across
+   * processes; without one, only checkouts started by this process are
+   * found.
+   */
+  async #findOrderId(referenceId) {
+    if (!referenceId) return null;
+    if (this.#client.ledger) {
+      const entries = await this.#client.ledger.query({
+        referenceId,
+        kind: "payment",
+      });
+      if (entries.length > 0) return entries[entries.length - 1].id;
+    }
+    return this.#recent.get(referenceId) ?? null;
+  }
+
+  #fail(err, context, next) {
+    try {
+      this.#options.onError?.(err, context);
+    } catch {
+      // A broken error reporter must not leave the request without a reply.
+    }
+    if (typeof next === "function") {
+      next(err);
+      return;
+    }
+    const status = statusFor(err);
+    send(
+      context.res,
+      status,
+      status < 500 ? err.message : "Payment could not be processed."
+    );
+  }
+}
+
+module.exports = Checkout;
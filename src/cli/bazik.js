@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+"use strict";
+
+const { run } = require("./run");
+
+// Ctrl-C cancels the request or wait in flight; a second one exits at once.
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+run(process.argv.slice(2), { signal: controller.signal }).then((code) => {
+  process.exitCode = code;
+});
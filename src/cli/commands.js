@@ -0,0 +1,246 @@
+"use strict";
+
+const Gourdes = require("../money/Gourdes");
+const HaitianPhone = require("../phone/HaitianPhone");
+const { PROVIDERS } = require("../constants");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── CLI commands ────────────────────────────────────────────────────────────
+
+/** `--timeout` is given in seconds; the SDK wants milliseconds. */
+function waitOptions(flags, signal) {
+  if (flags.timeout === undefined) return { signal };
+  const seconds = Number(flags.timeout);
+  if (!(seconds > 0)) {
+    throw new BazikValidationError(
+      `Invalid --timeout "${flags.timeout}". Must be a number of seconds.`
+    );
+  }
+  return { signal, timeoutMs: seconds * 1000 };
+}
+
+function htg(amount) {
+  return typeof amount === "number" ? Gourdes.round(amount).format() : "—";
+}
+
+function time(value) {
+  return value ? new Date(value).toISOString() : "—";
+}
+
+/** Payment/transfer params shared by `pay create` and `transfer send`. */
+function customerParams(flags) {
+  return {
+    description: flags.description,
+    referenceId: flags["reference-id"],
+    customerFirstName: flags["first-name"],
+    customerLastName: flags["last-name"],
+    customerEmail: flags.email,
+    webhookUrl: flags["webhook-url"],
+  };
+}
+
+/**
+ * Each command maps parsed arguments onto one SDK call and turns the result
+ * into `[label, value]` rows for human output. With `--json` the raw result
+ * is printed instead.
+ *
+ * `flags` lists the command's own flags (`--json`, `--profile` and
+ * `--help` are global); `required` flags and `args` are checked before
+ * any request is sent.
+ */
+const COMMANDS = {
+  auth: {
+    summary: "Check credentials and show the token expiry",
+    async run(bazik, { signal }) {
+      return bazik.authenticate({ signal });
+    },
+    rows: (auth) => [
+      ["User ID", auth.user_id],
+      ["Token expires", time(auth.expires_at)],
+    ],
+  },
+
+  balance: {
+    summary: "Show the wallet balance",
+    async run(bazik, { signal }) {
+      return bazik.wallet.getBalance({ signal });
+    },
+    rows: (balance) => [
+      ["Available", htg(balance.available)],
+      ["Reserved", htg(balance.reserved)],
+      ["Environment", balance.environment],
+      ["Updated", time(balance.last_updated)],
+    ],
+  },
+
+  "pay create": {
+    summary: "Create a MonCash payment and print its redirect URL",
+    flags: {
+      gdes: "string",
+      description: "string",
+      "reference-id": "string",
+      "success-url": "string",
+      "error-url": "string",
+      "webhook-url": "string",
+      "first-name": "string",
+      "last-name": "string",
+      email: "string",
+    },
+    required: ["gdes"],
+    async run(bazik, { flags, signal }) {
+      return bazik.payments.create(
+        {
+          ...customerParams(flags),
+          gdes: Gourdes.from(flags.gdes),
+          successUrl: flags["success-url"],
+          errorUrl: flags["error-url"],
+        },
+        { signal }
+      );
+    },
+    rows: (payment) => [
+      ["Order ID", payment.orderId],
+      ["Status", payment.status],
+      ["Amount", htg(payment.gourdes)],
+      ["Reference", payment.referenceId],
+      ["Redirect URL", payment.redirectUrl],
+    ],
+  },
+
+  "pay verify": {
+    summary: "Show a payment's status; --wait polls until it settles",
+    args: ["orderId"],
+    flags: { wait: "boolean", timeout: "string" },
+    async run(bazik, { args, flags, signal }) {
+      return flags.wait
+        ? bazik.payments.waitForCompletion(
+            args.orderId,
+            waitOptions(flags, signal)
+          )
+        : bazik.payments.verify(args.orderId, { signal });
+    },
+    rows: (payment) => [
+      ["Order ID", payment.orderId],
+      ["Status", payment.status],
+      ["Amount", htg(payment.amount)],
+      ["Reference", payment.referenceId],
+      ["Updated", time(payment.updatedAt)],
+    ],
+  },
+
+  "transfer send": {
+    summary:
+      "Send money to a wallet, routed by carrier unless --provider is set",
+    flags: {
+      wallet: "string",
+      gdes: "string",
+      provider: "string",
+      description: "string",
+      "reference-id": "string",
+      "first-name": "string",
+      "last-name": "string",
+      email: "string",
+      "webhook-url": "string",
+      preflight: "boolean",
+      "compare-quotes": "boolean",
+      fallback: "boolean",
+      "cross-network": "boolean",
+    },
+    required: ["wallet", "gdes", "first-name", "last-name"],
+    async run(bazik, { flags, signal }) {
+      return bazik.transfers.send(
+        {
+          ...customerParams(flags),
+          gdes: Gourdes.from(flags.gdes),
+          wallet: flags.wallet,
+          provider: flags.provider,
+        },
+        {
+          signal,
+          preflight: flags.preflight,
+          compareQuotes: flags["compare-quotes"],
+          fallback: flags.fallback,
+          crossNetwork: flags["cross-network"],
+        }
+      );
+    },
+    rows: (sent) => [
+      ["Transaction ID", sent.transactionId],
+      ["Status", sent.status],
+      ["Provider", `${sent.provider} (${sent.routing})`],
+      ["Amount", htg(sent.transfer.amount)],
+      ["Fees", htg(sent.transfer.fees)],
+      ["Total", htg(sent.transfer.total)],
+      ["Reference", sent.transfer.referenceId],
+    ],
+  },
+
+  "transfer status": {
+    summary: "Show a transfer's status; --wait polls until it settles",
+    args: ["transactionId"],
+    flags: { wait: "boolean", timeout: "string" },
+    async run(bazik, { args, flags, signal }) {
+      return flags.wait
+        ? bazik.transfers.waitForCompletion(
+            args.transactionId,
+            waitOptions(flags, signal)
+          )
+        : bazik.transfers.getStatus(args.transactionId, { signal });
+    },
+    rows: (transfer) => [
+      ["Transaction ID", transfer.transactionId],
+      ["Status", transfer.status],
+      ["Provider", transfer.provider],
+      ["Amount", htg(transfer.amount)],
+      ["Fees", htg(transfer.fees)],
+      ["Total", htg(transfer.total)],
+      ["Reference", transfer.referenceId],
+      ...(transfer.failureReason
+        ? [["Failure reason", transfer.failureReason]]
+        : []),
+      ["Updated", time(transfer.timestamp)],
+    ],
+  },
+
+  quote: {
+    summary: "Quote transfer fees for one provider, or both",
+    flags: { gdes: "string", provider: "string" },
+    required: ["gdes"],
+    async run(bazik, { flags, signal }) {
+      const gdes = Gourdes.from(flags.gdes);
+      const providers = flags.provider ? [flags.provider] : PROVIDERS;
+      return Promise.all(
+        providers.map((provider) =>
+          bazik.transfers.getQuote(gdes, provider, { signal })
+        )
+      );
+    },
+    rows: (quotes) =>
+      quotes.map((quote) => [
+        quote.provider,
+        `${htg(quote.total_cost)} (fee ${htg(quote.fee)}, ${
+          quote.fee_percentage
+        }%)`,
+      ]),
+  },
+
+  customer: {
+    summary: "Show a MonCash customer's KYC level and status",
+    args: ["wallet"],
+    async run(bazik, { args, signal }) {
+      const result = await bazik.transfers.checkCustomer(args.wallet, {
+        signal,
+      });
+      const phone = HaitianPhone.parse(args.wallet);
+      return { wallet: phone.national, carrier: phone.carrier, ...result };
+    },
+    rows: (customer) => [
+      ["Wallet", HaitianPhone.parse(customer.wallet).format()],
+      ["Carrier", customer.carrier ?? "unknown"],
+      ["KYC", customer.customerStatus?.type],
+      ["Status", customer.customerStatus?.status?.join(", ")],
+    ],
+  },
+};
+
+module.exports = COMMANDS;
@@ -0,0 +1,99 @@
+"use strict";
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── CLI credentials ─────────────────────────────────────────────────────────
+
+/**
+ * Where profiles live: `$BAZIK_CONFIG`, else
+ * `$XDG_CONFIG_HOME/bazik/config.json`, else `~/.config/bazik/config.json`.
+ * @param {Record<string, string | undefined>} env
+ * @returns {string}
+ */
+function configPath(env) {
+  if (env.BAZIK_CONFIG) return env.BAZIK_CONFIG;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "bazik", "config.json");
+}
+
+/**
+ * Read the profiles file. A missing file is an empty set of profiles; an
+ * unreadable one is an error, so a typo never silently falls back to
+ * other credentials.
+ * @param {string} file
+ * @returns {Record<string, Object>}
+ */
+function readProfiles(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new BazikValidationError(
+      `Cannot read Bazik config "${file}": ${err.message}`
+    );
+  }
+  try {
+    const profiles = JSON.parse(raw);
+    if (profiles && typeof profiles === "object") return profiles;
+  } catch {
+    // reported below
+  }
+  throw new BazikValidationError(
+    `Bazik config "${file}" must be a JSON object of profiles.`
+  );
+}
+
+/**
+ * Resolve the client config for a CLI run.
+ *
+ * `BAZIK_USER_ID`, `BAZIK_SECRET_KEY`, `BAZIK_BASE_URL` and
+ * `BAZIK_ENVIRONMENT` win over the profile, unless a profile was named with `--profile` — then the profile
+ * is used as written.
+ *
+ * @param {Record<string, string | undefined>} env
+ * @param {string} [profileName] — From `--profile`
+ * @returns {{ userID: string, secretKey: string, baseURL?: string, environment?: string }}
+ */
+function loadCredentials(env, profileName) {
+  const name = profileName || env.BAZIK_PROFILE || "default";
+  const file = configPath(env);
+  const profiles = readProfiles(file);
+  const profile = profiles[name];
+
+  if ((profileName || env.BAZIK_PROFILE) && !profile) {
+    throw new BazikValidationError(`Profile "${name}" not found in ${file}.`);
+  }
+
+  const fromEnv = {
+    userID: env.BAZIK_USER_ID,
+    secretKey: env.BAZIK_SECRET_KEY,
+    baseURL: env.BAZIK_BASE_URL,
+    environment: env.BAZIK_ENVIRONMENT,
+  };
+  const credentials = profileName
+    ? { ...profile }
+    : {
+        ...profile,
+        ...Object.fromEntries(
+          Object.entries(fromEnv).filter(([, value]) => value)
+        ),
+      };
+
+  if (!credentials.userID || !credentials.secretKey) {
+    throw new BazikValidationError(
+      `No Bazik credentials. Set BAZIK_USER_ID and BAZIK_SECRET_KEY, or add a "${name}" profile to ${file}.`
+    );
+  }
+  return {
+    userID: credentials.userID,
+    secretKey: credentials.secretKey,
+    baseURL: credentials.baseURL,
+    environment: credentials.environment,
+  };
+}
+
+module.exports = { loadCredentials, configPath };
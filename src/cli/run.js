@@ -0,0 +1,263 @@
+"use strict";
+
+const Bazik = require("../modules/Bazik");
+const COMMANDS = require("./commands");
+const { loadCredentials } = require("./loadCredentials");
+const BazikError = require("../errors/BazikError");
+const BazikAbortError = require("../errors/BazikAbortError");
+const BazikAuthError = require("../errors/BazikAuthError");
+const BazikValidationError = require("../errors/BazikValidationError");
+const BazikNotFoundError = require("../errors/BazikNotFoundError");
+const BazikInsufficientFundsError = require("../errors/BazikInsufficientFundsError");
+const BazikLimitExceededError = require("../errors/BazikLimitExceededError");
+const BazikRecipientError = require("../errors/BazikRecipientError");
+const BazikRateLimitError = require("../errors/BazikRateLimitError");
+const BazikTimeoutError = require("../errors/BazikTimeoutError");
+const BazikNetworkError = require("../errors/BazikNetworkError");
+const BazikServerError = require("../errors/BazikServerError");
+const BazikCircuitOpenError = require("../errors/BazikCircuitOpenError");
+const BazikResponseFormatError = require("../errors/BazikResponseFormatError");
+const BazikEnvironmentMismatchError = require("../errors/BazikEnvironmentMismatchError");
+
+// ─── CLI ─────────────────────────────────────────────────────────────────────
+
+/** Process exit code for each error class; anything else exits with 1. */
+const EXIT_CODES = [
+  [BazikValidationError, 2],
+  [BazikAuthError, 3],
+  [BazikNotFoundError, 4],
+  [BazikInsufficientFundsError, 5],
+  [BazikLimitExceededError, 6],
+  [BazikRecipientError, 7],
+  [BazikRateLimitError, 8],
+  [BazikTimeoutError, 9],
+  [BazikNetworkError, 10],
+  [BazikServerError, 11],
+  [BazikCircuitOpenError, 11],
+  [BazikResponseFormatError, 12],
+  [BazikEnvironmentMismatchError, 13],
+  [BazikAbortError, 130],
+];
+
+const GLOBAL_FLAGS = { json: "boolean", profile: "string", help: "boolean" };
+
+/** Every flag's type. A flag means the same thing in every command. */
+const FLAG_TYPES = Object.assign(
+  {},
+  GLOBAL_FLAGS,
+  ...Object.values(COMMANDS).map((command) => command.flags)
+);
+
+/**
+ * @param {*} err
+ * @returns {number}
+ */
+function exitCodeFor(err) {
+  const match = EXIT_CODES.find(([ErrorClass]) => err instanceof ErrorClass);
+  return match ? match[1] : 1;
+}
+
+function usageError(message) {
+  return new BazikValidationError(`${message} Run "bazik --help" for usage.`);
+}
+
+/**
+ * Split argv into positionals and flags. `--name value`, `--name=value`
+ * and boolean `--name` are accepted; everything after `--` is positional.
+ * @param {string[]} argv
+ * @returns {{ positionals: string[], flags: Record<string, string | boolean> }}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg === "-h") {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    const name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+    const type = FLAG_TYPES[name];
+    if (!type) throw usageError(`Unknown option --${name}.`);
+
+    if (type === "boolean") {
+      if (eq !== -1) throw usageError(`Option --${name} takes no value.`);
+      flags[name] = true;
+    } else if (eq !== -1) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags[name] = argv[++i];
+    } else {
+      throw usageError(`Option --${name} needs a value.`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Find the command named by the leading positionals (`balance`,
+ * `pay create`, ...) and check its arguments and flags.
+ * @returns {{ name: string, command: Object, args: Record<string, string> }}
+ */
+function resolveCommand({ positionals, flags }) {
+  const [first, second] = positionals;
+  const name = COMMANDS[first] ? first : `${first} ${second}`;
+  const command = COMMANDS[name];
+  if (!command) {
+    throw usageError(`Unknown command "${positionals.join(" ")}".`);
+  }
+
+  const values = positionals.slice(name.split(" ").length);
+  const argNames = command.args ?? [];
+  if (values.length !== argNames.length) {
+    throw usageError(
+      argNames.length > values.length
+        ? `"bazik ${name}" needs <${argNames[values.length]}>.`
+        : `Unexpected argument "${values[argNames.length]}".`
+    );
+  }
+
+  for (const flag of Object.keys(flags)) {
+    if (!GLOBAL_FLAGS[flag] && !command.flags?.[flag]) {
+      throw usageError(`"bazik ${name}" does not take --${flag}.`);
+    }
+  }
+  const missing = (command.required ?? []).filter((f) => !(f in flags));
+  if (missing.length > 0) {
+    throw usageError(
+      `"bazik ${name}" needs ${missing.map((f) => `--${f}`).join(", ")}.`
+    );
+  }
+
+  return {
+    name,
+    command,
+    args: Object.fromEntries(argNames.map((arg, i) => [arg, values[i]])),
+  };
+}
+
+function usage() {
+  const synopsis = Object.entries(COMMANDS).map(([name, command]) => {
+    const parts = [
+      name,
+      ...(command.args ?? []).map((arg) => `<${arg}>`),
+      ...(command.required ?? []).map((flag) => `--${flag} <${flag}>`),
+    ];
+    const optional = Object.keys(command.flags ?? {}).filter(
+      (flag) => !command.required?.includes(flag)
+    );
+    if (optional.length > 0) {
+      parts.push(optional.map((flag) => `[--${flag}]`).join(" "));
+    }
+    return `  bazik ${parts.join(" ")}\n      ${command.summary}`;
+  });
+
+  return [
+    "Usage: bazik <command> [options]",
+    "",
+    "Commands:",
+    ...synopsis,
+    "",
+    "Options:",
+    "  --json             Print the raw API response as JSON",
+    "  --profile <name>   Use a profile from the config file",
+    "  -h, --help         Show this help",
+    "",
+    "Credentials come from BAZIK_USER_ID, BAZIK_SECRET_KEY, BAZIK_BASE_URL and",
+    "BAZIK_ENVIRONMENT, or from a profile in ~/.config/bazik/config.json",
+    "(or $BAZIK_CONFIG).",
+    "",
+  ].join("\n");
+}
+
+/** `label  value` lines, with labels padded to one column. */
+function formatRows(rows) {
+  const width = Math.max(...rows.map(([label]) => label.length));
+  return rows
+    .map(([label, value]) => `${label.padEnd(width)}  ${value ?? "—"}\n`)
+    .join("");
+}
+
+function formatError(err, json) {
+  if (json) {
+    const error =
+      err instanceof BazikError
+        ? err.toJSON()
+        : { name: err.name, message: err.message };
+    return JSON.stringify({ error }, null, 2) + "\n";
+  }
+  const code = err instanceof BazikError && err.status ? ` (${err.code})` : "";
+  return `Error: ${err.message}${code}\n`;
+}
+
+/**
+ * Run the `bazik` command line and resolve with its exit code. Output goes
+ * to `io.stdout`, errors to `io.stderr`; nothing calls `process.exit`.
+ *
+ * @param {string[]} argv — Arguments after `bazik`
+ * @param {Object} [io]
+ * @param {Record<string, string | undefined>} [io.env=process.env]
+ * @param {{ write(chunk: string): * }} [io.stdout=process.stdout]
+ * @param {{ write(chunk: string): * }} [io.stderr=process.stderr]
+ * @param {AbortSignal} [io.signal] — Aborted on Ctrl-C
+ * @returns {Promise<number>}
+ *
+ * @example
+ * const code = await run(["transfer", "status", "TRF_1761961466_eafd0ac3", "--json"]);
+ */
+async function run(argv, io = {}) {
+  const {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    signal,
+  } = io;
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+    if (parsed.flags.help || parsed.positionals[0] === "help") {
+      stdout.write(usage());
+      return 0;
+    }
+    if (parsed.positionals.length === 0) {
+      stderr.write(usage());
+      return 2;
+    }
+
+    const { command, args } = resolveCommand(parsed);
+    const credentials = loadCredentials(env, parsed.flags.profile);
+    const bazik = new Bazik({ ...credentials, backgroundRefresh: false });
+    const result = await command.run(bazik, {
+      args,
+      flags: parsed.flags,
+      signal,
+    });
+
+    stdout.write(
+      parsed.flags.json
+        ? JSON.stringify(result, null, 2) + "\n"
+        : formatRows(command.rows(result))
+    );
+    return 0;
+  } catch (err) {
+    stderr.write(
+      formatError(err, parsed?.flags.json ?? argv.includes("--json"))
+    );
+    return exitCodeFor(err);
+  }
+}
+
+module.exports = { run, EXIT_CODES };
@@ -4,10 +4,46 @@
 
 const DEFAULT_BASE_URL = "https://api.bazik.io";
 const TOKEN_REFRESH_MARGIN_MS = 60 * 60 * 1000; // 1 hour before expiry
+const TOKEN_BACKGROUND_REFRESH_LEAD_MS = 5 * 60 * 1000; // 5 minutes before the margin
+const TOKEN_BACKGROUND_REFRESH_JITTER_MS = 4 * 60 * 1000; // spread over up to 4 minutes earlier
 const MAX_MONCASH_AMOUNT = 75_000;
+const PROVIDERS = Object.freeze(["moncash", "natcash"]); // transfer providers, in default routing order
+const ENVIRONMENTS = Object.freeze(["sandbox", "production"]);
+const KYC_TIER_LIMITS = Object.freeze({ minikyc: 20_000, fullkyc: 75_000 }); // HTG per payout
+const WEBHOOK_SIGNATURE_HEADER = "bazik-signature";
+const WEBHOOK_TOLERANCE_SEC = 5 * 60; // 5 minutes
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10_000,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryNonIdempotent: false,
+});
+const DEFAULT_RATE_LIMIT = Object.freeze({
+  requestsPerSecond: 10,
+  burst: 10,
+  token: Object.freeze({ requestsPerSecond: 1, burst: 2 }),
+});
+const DEFAULT_CIRCUIT_BREAKER = Object.freeze({
+  failureRate: 0.5,
+  minimumRequests: 10,
+  windowMs: 60_000,
+  openMs: 30_000,
+  halfOpenRequests: 1,
+});
 
 module.exports = {
   DEFAULT_BASE_URL,
   TOKEN_REFRESH_MARGIN_MS,
+  TOKEN_BACKGROUND_REFRESH_LEAD_MS,
+  TOKEN_BACKGROUND_REFRESH_JITTER_MS,
   MAX_MONCASH_AMOUNT,
+  PROVIDERS,
+  ENVIRONMENTS,
+  KYC_TIER_LIMITS,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TOLERANCE_SEC,
+  DEFAULT_RETRY_POLICY,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_CIRCUIT_BREAKER,
 };
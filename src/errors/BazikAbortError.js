@@ -0,0 +1,17 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikAbortError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {*} [reason] — The signal's `reason`, also kept as `cause`
+   */
+  constructor(message, reason) {
+    super(message, null, "aborted");
+    this.name = "BazikAbortError";
+    this.cause = reason;
+  }
+}
+
+module.exports = BazikAbortError;
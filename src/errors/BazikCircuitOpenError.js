@@ -0,0 +1,17 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikCircuitOpenError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {{ circuit: string, retryAfterMs: number }} details
+   */
+  constructor(message, details) {
+    super(message, null, "circuit_open", details);
+    this.name = "BazikCircuitOpenError";
+    this.retryable = true;
+  }
+}
+
+module.exports = BazikCircuitOpenError;
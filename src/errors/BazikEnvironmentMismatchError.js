@@ -0,0 +1,18 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikEnvironmentMismatchError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {{ expected: "sandbox"|"production", actual: string, response: Object }} details
+   */
+  constructor(message, details) {
+    super(message, null, "environment_mismatch", details);
+    this.name = "BazikEnvironmentMismatchError";
+    this.expected = details.expected;
+    this.actual = details.actual;
+  }
+}
+
+module.exports = BazikEnvironmentMismatchError;
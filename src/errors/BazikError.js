@@ -1,5 +1,7 @@
 "use strict";
 
+const { redact } = require("../logging/redact");
+
 // ─── Errors ──────────────────────────────────────────────────────────────────
 
 class BazikError extends Error {
@@ -15,6 +17,24 @@ class BazikError extends Error {
     this.status = status ?? null;
     this.code = code ?? null;
     this.details = details ?? null;
+    /** Whether the same call may succeed if tried again. */
+    this.retryable = false;
+    /** The API's request ID, when the response carried one. */
+    this.requestId = null;
+    /** HTTP method and API path of the failing call. */
+    this.method = null;
+    this.path = null;
+    /** How many times the call was sent before failing. */
+    this.attempts = null;
+  }
+
+  /**
+   * Serializable form with secrets, wallet numbers, emails and customer
+   * names redacted from `message` and `details`.
+   * @returns {{ name: string, message: string, status: number | null, code: string | null, details: *, retryable: boolean, requestId: string | null, method: string | null, path: string | null, attempts: number | null }}
+   */
+  toJSON() {
+    return redact(this);
   }
 }
 
@@ -0,0 +1,16 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikLimitExceededError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {{ tier: string, limit: number, amount: number }} details
+   */
+  constructor(message, details) {
+    super(message, null, "tier_limit_exceeded", details);
+    this.name = "BazikLimitExceededError";
+  }
+}
+
+module.exports = BazikLimitExceededError;
@@ -0,0 +1,18 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikNetworkError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {Error} [cause] — The underlying fetch error (DNS, refused connection, reset socket)
+   */
+  constructor(message, cause) {
+    super(message, null, "network_error");
+    this.name = "BazikNetworkError";
+    this.retryable = true;
+    this.cause = cause;
+  }
+}
+
+module.exports = BazikNetworkError;
@@ -0,0 +1,12 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikNotFoundError extends BazikError {
+  constructor(message, code, details) {
+    super(message, 404, code || "not_found", details);
+    this.name = "BazikNotFoundError";
+  }
+}
+
+module.exports = BazikNotFoundError;
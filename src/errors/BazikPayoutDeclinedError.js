@@ -0,0 +1,16 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikPayoutDeclinedError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {{ provider: string, amount: number, threshold: number, environment: string | null }} details
+   */
+  constructor(message, details) {
+    super(message, null, "payout_declined", details);
+    this.name = "BazikPayoutDeclinedError";
+  }
+}
+
+module.exports = BazikPayoutDeclinedError;
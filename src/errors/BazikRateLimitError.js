@@ -6,6 +6,7 @@ class BazikRateLimitError extends BazikError {
   constructor(message, details) {
     super(message, 429, "rate_limit_exceeded", details);
     this.name = "BazikRateLimitError";
+    this.retryable = true;
   }
 }
 
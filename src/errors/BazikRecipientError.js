@@ -0,0 +1,17 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikRecipientError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {"recipient_not_registered" | "recipient_not_verified" | "recipient_blocked"} code
+   * @param {{ type: string, status: string[] }} details — The wallet's `customerStatus`
+   */
+  constructor(message, code, details) {
+    super(message, null, code, details);
+    this.name = "BazikRecipientError";
+  }
+}
+
+module.exports = BazikRecipientError;
@@ -0,0 +1,18 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikResponseFormatError extends BazikError {
+  /**
+   * @param {string} message
+   * @param {string} fieldPath — First offending location, e.g. "$.recipient.first_name"
+   * @param {{ errors: Array<{ path: string, message: string }>, unknownFields: string[] }} details
+   */
+  constructor(message, fieldPath, details) {
+    super(message, null, "invalid_response", details);
+    this.name = "BazikResponseFormatError";
+    this.fieldPath = fieldPath;
+  }
+}
+
+module.exports = BazikResponseFormatError;
@@ -0,0 +1,13 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikServerError extends BazikError {
+  constructor(message, status, code, details) {
+    super(message, status, code || "server_error", details);
+    this.name = "BazikServerError";
+    this.retryable = status !== 501;
+  }
+}
+
+module.exports = BazikServerError;
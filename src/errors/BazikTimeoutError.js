@@ -0,0 +1,13 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikTimeoutError extends BazikError {
+  constructor(message, details) {
+    super(message, null, "timeout", details);
+    this.name = "BazikTimeoutError";
+    this.retryable = true;
+  }
+}
+
+module.exports = BazikTimeoutError;
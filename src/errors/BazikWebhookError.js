@@ -0,0 +1,12 @@
+"use strict";
+
+const BazikError = require("./BazikError");
+
+class BazikWebhookError extends BazikError {
+  constructor(message, code, details) {
+    super(message, 400, code || "webhook_error", details);
+    this.name = "BazikWebhookError";
+  }
+}
+
+module.exports = BazikWebhookError;
@@ -0,0 +1,25 @@
+"use strict";
+
+const crypto = require("node:crypto");
+
+/**
+ * Derive an idempotency key for a money-moving call. The same `referenceId`
+ * on the same endpoint always yields the same key, so a retried payout is
+ * recognised as a duplicate; without one, a random key still makes the
+ * call's own retries safe.
+ * @param {string} path
+ * @param {{ referenceId?: string }} params
+ * @returns {string}
+ */
+function createIdempotencyKey(path, params) {
+  if (!params.referenceId) {
+    return `bzk_idem_${crypto.randomUUID()}`;
+  }
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${path}:${params.referenceId}`)
+    .digest("hex");
+  return `bzk_idem_${digest.slice(0, 32)}`;
+}
+
+module.exports = createIdempotencyKey;
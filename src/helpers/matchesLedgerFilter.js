@@ -0,0 +1,25 @@
+"use strict";
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a ledger entry matches a normalized query filter. Every field is
+ * optional; `from` and `to` are inclusive ISO timestamps on `createdAt`.
+ *
+ * @param {Object} entry
+ * @param {{ status?: string[], referenceId?: string, kind?: string, provider?: string, from?: string, to?: string }} filter
+ * @returns {boolean}
+ */
+function matchesLedgerFilter(entry, filter) {
+  if (filter.status && !filter.status.includes(entry.status)) return false;
+  if (filter.referenceId && entry.referenceId !== filter.referenceId) {
+    return false;
+  }
+  if (filter.kind && entry.kind !== filter.kind) return false;
+  if (filter.provider && entry.provider !== filter.provider) return false;
+  if (filter.from && entry.createdAt < filter.from) return false;
+  if (filter.to && entry.createdAt > filter.to) return false;
+  return true;
+}
+
+module.exports = matchesLedgerFilter;
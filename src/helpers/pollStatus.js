@@ -0,0 +1,74 @@
+"use strict";
+
+const { sleep } = require("../http/retry");
+const { throwIfAborted } = require("../http/abort");
+const BazikTimeoutError = require("../errors/BazikTimeoutError");
+
+/**
+ * Poll `fetchStatus` until `isSettled` accepts a response, yielding each
+ * response whose `status` differs from the previous one. The delay between
+ * polls starts at `intervalMs` and grows by `backoff` up to `maxIntervalMs`.
+ *
+ * Shared by `payments.waitForCompletion` and `transfers.watch` /
+ * `transfers.waitForCompletion`.
+ *
+ * @param {() => Promise<{ status: string }>} fetchStatus
+ * @param {(response: { status: string }) => boolean} isSettled
+ * @param {Object} [options]
+ * @param {string} [options.label="Status"]     — Used in the timeout message
+ * @param {number} [options.intervalMs=5000]    — Delay before the second poll
+ * @param {number} [options.maxIntervalMs=30000] — Upper bound for the delay
+ * @param {number} [options.backoff=1]          — Delay multiplier; 1 polls at a fixed interval
+ * @param {number} [options.timeoutMs=300000]   — Give up after this long
+ * @param {AbortSignal} [options.signal]        — Stops polling with a `BazikAbortError`
+ * @param {(current: Object, previous: Object | null) => void} [options.onStatusChange]
+ * @returns {AsyncGenerator<Object, void>}
+ */
+async function* pollStatus(fetchStatus, isSettled, options = {}) {
+  const {
+    label = "Status",
+    intervalMs = 5000,
+    maxIntervalMs = 30_000,
+    backoff = 1,
+    timeoutMs = 300_000,
+    signal,
+    onStatusChange,
+  } = options;
+
+  const startedAt = Date.now();
+  let delay = intervalMs;
+  let previous = null;
+  let attempts = 0;
+
+  for (;;) {
+    throwIfAborted(signal);
+    const current = await fetchStatus();
+    attempts += 1;
+
+    if (previous === null || current.status !== previous.status) {
+      if (onStatusChange) onStatusChange(current, previous);
+      yield current;
+    }
+    previous = current;
+    if (isSettled(current)) return;
+
+    const remaining = startedAt + timeoutMs - Date.now();
+    if (remaining <= 0) {
+      const err = new BazikTimeoutError(
+        `${label} polling timed out after ${timeoutMs}ms (last status: ${current.status}).`,
+        {
+          lastStatus: current.status,
+          attempts,
+          elapsedMs: Date.now() - startedAt,
+        }
+      );
+      err.attempts = attempts;
+      throw err;
+    }
+
+    await sleep(Math.min(delay, remaining), signal);
+    delay = Math.min(delay * backoff, Math.max(maxIntervalMs, intervalMs));
+  }
+}
+
+module.exports = pollStatus;
@@ -0,0 +1,27 @@
+"use strict";
+
+/**
+ * Run `worker` over `items` with at most `concurrency` calls in flight.
+ * Resolves once every started worker has settled; rejects with the first
+ * worker error (workers that should not abort the run must catch their own).
+ * @template T
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runConcurrently(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    async () => {
+      while (next < items.length) {
+        const index = next++;
+        await worker(items[index], index);
+      }
+    }
+  );
+  await Promise.all(lanes);
+}
+
+module.exports = runConcurrently;
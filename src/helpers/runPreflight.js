@@ -0,0 +1,90 @@
+"use strict";
+
+const { KYC_TIER_LIMITS } = require("../constants");
+const Gourdes = require("../money/Gourdes");
+const BazikInsufficientFundsError = require("../errors/BazikInsufficientFundsError");
+const BazikRecipientError = require("../errors/BazikRecipientError");
+const BazikLimitExceededError = require("../errors/BazikLimitExceededError");
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Throw if a MonCash wallet cannot receive `gdes`.
+ * @param {{ type: string, status: string[] }} customerStatus
+ * @param {number} gdes
+ * @param {Record<string, number>} tierLimits
+ */
+function checkRecipient(customerStatus, gdes, tierLimits) {
+  const { type, status = [] } = customerStatus;
+
+  if (!status.includes("registered")) {
+    throw new BazikRecipientError(
+      "Recipient wallet is not registered with MonCash.",
+      "recipient_not_registered",
+      customerStatus
+    );
+  }
+  if (status.includes("blocked") || !status.includes("active")) {
+    throw new BazikRecipientError(
+      `Recipient wallet is blocked or inactive (status: ${status.join(", ")}).`,
+      "recipient_blocked",
+      customerStatus
+    );
+  }
+
+  const limit = tierLimits[type];
+  if (limit === undefined) {
+    throw new BazikRecipientError(
+      `Recipient KYC level "${type}" is not verified for payouts.`,
+      "recipient_not_verified",
+      customerStatus
+    );
+  }
+  if (Gourdes.from(gdes).compare(limit) > 0) {
+    throw new BazikLimitExceededError(
+      `Amount ${gdes} HTG exceeds the ${limit} HTG limit for ${type} wallets.`,
+      { tier: type, limit, amount: gdes }
+    );
+  }
+}
+
+/**
+ * Check the recipient, quote and balance before a payout, and throw before
+ * any money moves. NatCash has no customer-status endpoint, so only MonCash
+ * recipients are checked.
+ *
+ * @param {import("../modules/Bazik")} client
+ * @param {{ provider: "moncash"|"natcash", gdes: number, wallet: string }} payout — Already validated
+ * @param {true | { tierLimits?: Record<string, number> }} preflight
+ * @param {{ signal?: AbortSignal, priority?: string }} options
+ * @returns {Promise<{ customer: Object | null, quote: Object, balance: Object }>}
+ */
+async function runPreflight(client, payout, preflight, options) {
+  const tierLimits = { ...KYC_TIER_LIMITS, ...preflight.tierLimits };
+
+  const [customer, quote, balance] = await Promise.all([
+    payout.provider === "moncash"
+      ? client.transfers.checkCustomer(payout.wallet, options)
+      : null,
+    client.transfers.getQuote(payout.gdes, payout.provider, options),
+    client.wallet.getBalance(options),
+  ]);
+
+  if (customer) {
+    checkRecipient(customer.customerStatus, payout.gdes, tierLimits);
+  }
+
+  const required = Gourdes.round(quote.total_cost);
+  if (required.compare(Gourdes.round(balance.available)) > 0) {
+    throw new BazikInsufficientFundsError(
+      `Payout needs ${required.toNumber()} HTG but only ${
+        balance.available
+      } HTG is available.`,
+      { required: required.toNumber(), available: balance.available }
+    );
+  }
+
+  return { customer, quote, balance };
+}
+
+module.exports = runPreflight;
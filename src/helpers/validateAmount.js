@@ -1,23 +1,32 @@
 "use strict";
 
 const BazikValidationError = require("../errors/BazikValidationError");
+const Gourdes = require("../money/Gourdes");
 
 /**
- * Validate a positive numeric amount.
- * @param {number} amount
+ * Validate a positive amount with at most two decimal places.
+ * @param {number | Gourdes} amount
  * @param {number} [max]
+ * @returns {number} — The amount as a plain number, ready to send
  */
 function validateAmount(amount, max) {
-  if (typeof amount !== "number" || !isFinite(amount) || amount <= 0) {
+  if (typeof amount !== "number" && !(amount instanceof Gourdes)) {
     throw new BazikValidationError(
       `Invalid amount: ${amount}. Must be a positive number.`
     );
   }
-  if (max !== undefined && amount > max) {
+  const gdes = Gourdes.from(amount);
+  if (gdes.cents <= 0) {
     throw new BazikValidationError(
-      `Amount ${amount} exceeds maximum of ${max} HTG.`
+      `Invalid amount: ${gdes}. Must be a positive number.`
     );
   }
+  if (max !== undefined && gdes.compare(max) > 0) {
+    throw new BazikValidationError(
+      `Amount ${gdes.toNumber()} exceeds maximum of ${max} HTG.`
+    );
+  }
+  return gdes.toNumber();
 }
 
 module.exports = validateAmount;
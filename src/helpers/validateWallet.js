@@ -1,17 +1,23 @@
 "use strict";
 
 const BazikValidationError = require("../errors/BazikValidationError");
+const HaitianPhone = require("../phone/HaitianPhone");
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
 /**
- * Validate that a wallet number is 8 or 11 digits.
- * @param {string} wallet
+ * Validate a wallet phone number in any common Haitian format
+ * (`37123456`, `+509 3712-3456`, `(509) 37 12 34 56`, ...).
+ * @param {string | HaitianPhone} wallet
+ * @returns {string} — The 8-digit national form, ready to send
  */
 function validateWallet(wallet) {
-  if (typeof wallet !== "string" || !/^\d{8}(\d{3})?$/.test(wallet)) {
+  try {
+    return HaitianPhone.parse(wallet).national;
+  } catch (err) {
     throw new BazikValidationError(
-      `Invalid wallet number "${wallet}". Must be 8 or 11 digits.`
+      `Invalid wallet number: ${err.details.problem}.`,
+      err.details
     );
   }
 }
@@ -0,0 +1,179 @@
+"use strict";
+
+const { DEFAULT_CIRCUIT_BREAKER } = require("../constants");
+const BazikValidationError = require("../errors/BazikValidationError");
+const BazikCircuitOpenError = require("../errors/BazikCircuitOpenError");
+
+// ─── Circuit breaker ─────────────────────────────────────────────────────────
+
+/**
+ * The circuit a path belongs to. Each provider gets its own, so a NatCash
+ * outage does not block MonCash; everything else shares `api`.
+ * @param {string} path
+ * @returns {"moncash" | "natcash" | "api"}
+ */
+function circuitFor(path) {
+  if (path.startsWith("/moncash/")) return "moncash";
+  if (path.startsWith("/natcash/")) return "natcash";
+  return "api";
+}
+
+/**
+ * Per-provider circuit breakers.
+ *
+ * A circuit is `closed` until at least `minimumRequests` calls within
+ * `windowMs` fail at `failureRate` or more. It then `open`s and rejects
+ * calls with a `BazikCircuitOpenError` for `openMs`, after which it is
+ * `half-open`: up to `halfOpenRequests` trial calls go through, and the
+ * first result closes it again or re-opens it.
+ */
+class CircuitBreaker {
+  #options;
+  #onStateChange;
+  #circuits = new Map();
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureRate=0.5]      — Failure share (0–1) that opens the circuit
+   * @param {number} [options.minimumRequests=10]   — Calls needed in the window before it can open
+   * @param {number} [options.windowMs=60000]       — Rolling window for the failure rate
+   * @param {number} [options.openMs=30000]         — How long to fail fast before a trial call
+   * @param {number} [options.halfOpenRequests=1]   — Trial calls allowed while half-open
+   * @param {(event: { circuit: string, from: string, to: string, failureRate: number }) => void} [options.onStateChange]
+   */
+  constructor(options = {}) {
+    const { onStateChange, ...limits } = options;
+    this.#options = { ...DEFAULT_CIRCUIT_BREAKER, ...limits };
+    const { failureRate, minimumRequests, windowMs, openMs, halfOpenRequests } =
+      this.#options;
+    if (
+      !(failureRate > 0 && failureRate <= 1) ||
+      !(minimumRequests >= 1) ||
+      !(windowMs > 0) ||
+      !(openMs >= 0) ||
+      !(halfOpenRequests >= 1)
+    ) {
+      throw new BazikValidationError(
+        "Invalid circuitBreaker options: failureRate must be in (0, 1], minimumRequests and halfOpenRequests >= 1, windowMs > 0, openMs >= 0."
+      );
+    }
+    this.#onStateChange = onStateChange || null;
+  }
+
+  /**
+   * Let a call through, or throw if its circuit is open.
+   * @param {string} path
+   * @returns {string} — The circuit name, for `record()`
+   */
+  acquire(path) {
+    const name = circuitFor(path);
+    const circuit = this.#get(name);
+
+    if (
+      circuit.state === "open" &&
+      Date.now() - circuit.openedAt >= this.#options.openMs
+    ) {
+      this.#transition(name, circuit, "half-open");
+    }
+
+    if (circuit.state === "open") {
+      throw this.#openError(name, circuit);
+    }
+    if (circuit.state === "half-open") {
+      if (circuit.trials >= this.#options.halfOpenRequests) {
+        throw this.#openError(name, circuit);
+      }
+      circuit.trials += 1;
+    }
+    return name;
+  }
+
+  /**
+   * Record the outcome of a call let through by `acquire()`.
+   * @param {string} name
+   * @param {boolean | null} failed — `null` when the call says nothing about the API's health (e.g. it was aborted)
+   */
+  record(name, failed) {
+    const circuit = this.#get(name);
+    const now = Date.now();
+
+    if (failed === null) {
+      if (circuit.state === "half-open") circuit.trials -= 1;
+      return;
+    }
+
+    if (circuit.state === "half-open") {
+      this.#transition(name, circuit, failed ? "open" : "closed");
+      return;
+    }
+    if (circuit.state === "open") return;
+
+    circuit.outcomes.push({ at: now, failed });
+    const cutoff = now - this.#options.windowMs;
+    while (circuit.outcomes[0].at <= cutoff) circuit.outcomes.shift();
+
+    const { length } = circuit.outcomes;
+    if (
+      length >= this.#options.minimumRequests &&
+      this.#failureRate(circuit) >= this.#options.failureRate
+    ) {
+      this.#transition(name, circuit, "open");
+    }
+  }
+
+  /**
+   * Current state of every circuit that has seen a call.
+   * @returns {Record<string, { state: string, requests: number, failureRate: number }>}
+   */
+  stats() {
+    const out = {};
+    for (const [name, circuit] of this.#circuits) {
+      out[name] = {
+        state: circuit.state,
+        requests: circuit.outcomes.length,
+        failureRate: this.#failureRate(circuit),
+      };
+    }
+    return out;
+  }
+
+  #get(name) {
+    let circuit = this.#circuits.get(name);
+    if (!circuit) {
+      circuit = { state: "closed", outcomes: [], openedAt: 0, trials: 0 };
+      this.#circuits.set(name, circuit);
+    }
+    return circuit;
+  }
+
+  #failureRate(circuit) {
+    const { length } = circuit.outcomes;
+    if (length === 0) return 0;
+    return circuit.outcomes.filter((o) => o.failed).length / length;
+  }
+
+  #transition(name, circuit, to) {
+    const from = circuit.state;
+    const failureRate = this.#failureRate(circuit);
+    circuit.state = to;
+    circuit.trials = 0;
+    if (to === "open") circuit.openedAt = Date.now();
+    if (to === "closed") circuit.outcomes = [];
+    if (this.#onStateChange) {
+      this.#onStateChange({ circuit: name, from, to, failureRate });
+    }
+  }
+
+  #openError(name, circuit) {
+    const retryAfterMs = Math.max(
+      0,
+      circuit.openedAt + this.#options.openMs - Date.now()
+    );
+    return new BazikCircuitOpenError(
+      `The ${name} circuit is open after repeated failures; not sending the request.`,
+      { circuit: name, retryAfterMs }
+    );
+  }
+}
+
+module.exports = CircuitBreaker;
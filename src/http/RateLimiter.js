@@ -0,0 +1,170 @@
+"use strict";
+
+const { abortError, throwIfAborted } = require("./abort");
+const BazikAbortError = require("../errors/BazikAbortError");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Rate limiter ────────────────────────────────────────────────────────────
+
+/** Queue lanes, served in this order. */
+const PRIORITIES = ["high", "normal", "low"];
+
+/**
+ * Token bucket that queues callers instead of failing them. The bucket
+ * holds up to `burst` tokens and refills at `requestsPerSecond`; each
+ * request takes one. Waiting callers are served by priority lane, then in
+ * arrival order.
+ */
+class RateLimiter {
+  #rate;
+  #capacity;
+  #tokens;
+  #refilledAt;
+  #lanes = { high: [], normal: [], low: [] };
+  #timer = null;
+  #waited = 0;
+  #totalWaitMs = 0;
+  #maxWaitMs = 0;
+
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond — Sustained rate
+   * @param {number} options.burst             — Requests allowed back-to-back
+   */
+  constructor({ requestsPerSecond, burst }) {
+    if (!(requestsPerSecond > 0) || !(burst >= 1)) {
+      throw new BazikValidationError(
+        "Rate limits need requestsPerSecond > 0 and burst >= 1."
+      );
+    }
+    this.#rate = requestsPerSecond / 1000;
+    this.#capacity = burst;
+    this.#tokens = burst;
+    this.#refilledAt = Date.now();
+  }
+
+  /**
+   * Wait for a token.
+   * @param {Object} [options]
+   * @param {"high"|"normal"|"low"} [options.priority="normal"]
+   * @param {AbortSignal} [options.signal] — Leaves the queue with a `BazikAbortError`
+   * @returns {Promise<number>} — Time spent queued, in ms
+   */
+  acquire({ priority = "normal", signal } = {}) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new BazikValidationError(
+        `Invalid priority "${priority}". Must be "high", "normal" or "low".`
+      );
+    }
+    throwIfAborted(signal);
+
+    this.#refill();
+    if (this.#depth() === 0 && this.#tokens >= 1) {
+      this.#tokens -= 1;
+      return Promise.resolve(0);
+    }
+
+    return new Promise((resolve, reject) => {
+      const lane = this.#lanes[priority];
+      const waiter = {
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+        signal,
+        onAbort: null,
+      };
+      if (signal) {
+        waiter.onAbort = () => {
+          lane.splice(lane.indexOf(waiter), 1);
+          if (this.#depth() === 0) {
+            clearTimeout(this.#timer);
+            this.#timer = null;
+          }
+          reject(abortError(signal));
+        };
+        signal.addEventListener("abort", waiter.onAbort, { once: true });
+      }
+      lane.push(waiter);
+      this.#schedule();
+    });
+  }
+
+  /**
+   * Queue depth and wait times, for monitoring.
+   * @returns {{ queued: number, lanes: { high: number, normal: number, low: number }, available: number, averageWaitMs: number, maxWaitMs: number }}
+   */
+  stats() {
+    this.#refill();
+    return {
+      queued: this.#depth(),
+      lanes: {
+        high: this.#lanes.high.length,
+        normal: this.#lanes.normal.length,
+        low: this.#lanes.low.length,
+      },
+      available: Math.floor(this.#tokens),
+      averageWaitMs: this.#waited
+        ? Math.round(this.#totalWaitMs / this.#waited)
+        : 0,
+      maxWaitMs: this.#maxWaitMs,
+    };
+  }
+
+  /**
+   * Reject every queued caller with a `BazikAbortError` and stop the
+   * wake-up timer. Later `acquire()` calls work as before.
+   */
+  close() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    for (const priority of PRIORITIES) {
+      for (const waiter of this.#lanes[priority].splice(0)) {
+        waiter.signal?.removeEventListener("abort", waiter.onAbort);
+        waiter.reject(new BazikAbortError("The client was closed."));
+      }
+    }
+  }
+
+  #depth() {
+    return PRIORITIES.reduce((n, p) => n + this.#lanes[p].length, 0);
+  }
+
+  #refill() {
+    const now = Date.now();
+    this.#tokens = Math.min(
+      this.#capacity,
+      this.#tokens + (now - this.#refilledAt) * this.#rate
+    );
+    this.#refilledAt = now;
+  }
+
+  /** Wake up when the next token is due. */
+  #schedule() {
+    if (this.#timer) return;
+    const delay = Math.max(0, Math.ceil((1 - this.#tokens) / this.#rate));
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#drain();
+    }, delay);
+  }
+
+  #drain() {
+    this.#refill();
+    while (this.#tokens >= 1) {
+      const lane = PRIORITIES.find((p) => this.#lanes[p].length > 0);
+      if (!lane) return;
+      const waiter = this.#lanes[lane].shift();
+      this.#tokens -= 1;
+      waiter.signal?.removeEventListener("abort", waiter.onAbort);
+
+      const waitMs = Date.now() - waiter.enqueuedAt;
+      this.#waited += 1;
+      this.#totalWaitMs += waitMs;
+      this.#maxWaitMs = Math.max(this.#maxWaitMs, waitMs);
+      waiter.resolve(waitMs);
+    }
+    if (this.#depth() > 0) this.#schedule();
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,45 @@
+"use strict";
+
+const BazikAbortError = require("../errors/BazikAbortError");
+
+// ─── Cancellation ────────────────────────────────────────────────────────────
+
+/**
+ * The error every cancelled SDK call rejects with.
+ * @param {AbortSignal} signal
+ * @returns {BazikAbortError}
+ */
+function abortError(signal) {
+  return new BazikAbortError("The operation was aborted.", signal.reason);
+}
+
+/**
+ * Throw a `BazikAbortError` if `signal` has already aborted.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw abortError(signal);
+}
+
+/**
+ * Wait for `promise`, or reject with a `BazikAbortError` as soon as
+ * `signal` aborts. The promise itself keeps running — use this to stop
+ * waiting on work shared with other callers, such as a token refresh.
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+function raceSignal(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal));
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener("abort", onAbort);
+    });
+  });
+}
+
+module.exports = { abortError, throwIfAborted, raceSignal };
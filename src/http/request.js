@@ -1,18 +1,31 @@
 "use strict";
 
+const { abortError, throwIfAborted } = require("./abort");
+const BazikError = require("../errors/BazikError");
+const BazikServerError = require("../errors/BazikServerError");
+const BazikTimeoutError = require("../errors/BazikTimeoutError");
+const BazikNetworkError = require("../errors/BazikNetworkError");
+
 // ─── HTTP Client (zero dependencies) ─────────────────────────────────────────
 
 /**
- * Minimal fetch wrapper.
+ * Minimal fetch wrapper. Transport failures reject with a
+ * `BazikTimeoutError` when `timeout` elapses, a `BazikAbortError` when the
+ * caller's `signal` aborts, and a `BazikNetworkError` when the connection
+ * fails. A JSON response that does not parse rejects with a
+ * `BazikServerError` (5xx) or `BazikError` coded `invalid_json`.
  * @param {string} url
- * @param {RequestInit & { timeout?: number }} options
- * @returns {Promise<{ status: number, data: * }>}
+ * @param {RequestInit & { timeout?: number, signal?: AbortSignal }} options
+ * @returns {Promise<{ status: number, data: *, headers: Headers }>}
  */
 async function request(url, options = {}) {
-  const { timeout = 30_000, ...fetchOptions } = options;
+  const { timeout = 30_000, signal, ...fetchOptions } = options;
+  throwIfAborted(signal);
 
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeout);
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
 
   try {
     const res = await fetch(url, {
@@ -23,15 +36,49 @@ async function request(url, options = {}) {
     let data;
     const contentType = res.headers.get("content-type") || "";
     if (contentType.includes("application/json")) {
-      data = await res.json();
+      data = await res.json().catch((cause) => {
+        throw invalidJson(res, cause);
+      });
     } else {
       data = await res.text();
     }
 
-    return { status: res.status, data };
+    return { status: res.status, data, headers: res.headers };
+  } catch (err) {
+    if (signal?.aborted) throw abortError(signal);
+    if (controller.signal.aborted) {
+      throw new BazikTimeoutError(`Request timed out after ${timeout}ms.`, {
+        timeoutMs: timeout,
+      });
+    }
+    if (err instanceof TypeError) {
+      throw new BazikNetworkError(
+        `Network error: ${err.cause?.message || err.message}`,
+        err
+      );
+    }
+    throw err;
   } finally {
     clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
+/**
+ * The error for a response that claims to be JSON but does not parse.
+ * @param {Response} res
+ * @param {Error} cause — The parser's `SyntaxError`
+ * @returns {BazikError}
+ */
+function invalidJson(res, cause) {
+  const err = new (res.status >= 500 ? BazikServerError : BazikError)(
+    `Invalid JSON in a ${res.status} response: ${cause.message}`,
+    res.status,
+    "invalid_json"
+  );
+  err.requestId = res.headers.get("x-request-id") || null;
+  err.cause = cause;
+  return err;
+}
+
 module.exports = request;
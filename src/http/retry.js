@@ -0,0 +1,103 @@
+"use strict";
+
+const { DEFAULT_RETRY_POLICY } = require("../constants");
+const { abortError } = require("./abort");
+const BazikTimeoutError = require("../errors/BazikTimeoutError");
+const BazikNetworkError = require("../errors/BazikNetworkError");
+
+// ─── Retry policy ────────────────────────────────────────────────────────────
+
+/**
+ * Merge user retry options with the defaults. `false` disables retries.
+ * @param {false | { maxAttempts?: number, baseDelayMs?: number, maxDelayMs?: number, retryableStatuses?: number[], retryNonIdempotent?: boolean }} [options]
+ * @returns {{ maxAttempts: number, baseDelayMs: number, maxDelayMs: number, retryableStatuses: number[], retryNonIdempotent: boolean }}
+ */
+function normalizeRetryPolicy(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options };
+  policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+  return policy;
+}
+
+/**
+ * Parse a `Retry-After` header (delta-seconds or HTTP date) into ms.
+ * @param {string | null | undefined} value
+ * @returns {number | null}
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\s*\d+(\.\d+)?\s*$/.test(value)) {
+    return Math.ceil(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter, or
+ * the server's `Retry-After` if it asks for longer. Returns `null` when the
+ * server asks us to wait longer than `maxDelayMs` — not worth retrying.
+ *
+ * @param {ReturnType<typeof normalizeRetryPolicy>} policy
+ * @param {number} attempt — The attempt that just failed (1-based)
+ * @param {string | null} [retryAfter] — Raw `Retry-After` header
+ * @returns {number | null}
+ */
+function computeDelay(policy, attempt, retryAfter) {
+  const ceiling = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** (attempt - 1)
+  );
+  const backoff = Math.floor(Math.random() * ceiling);
+
+  const serverDelay = parseRetryAfter(retryAfter);
+  if (serverDelay === null) return backoff;
+  if (serverDelay > policy.maxDelayMs) return null;
+  return Math.max(backoff, serverDelay);
+}
+
+/**
+ * True for transport failures: DNS/connection errors and timeouts, which
+ * `request()` raises as `BazikNetworkError` and `BazikTimeoutError`. These
+ * never reached a response status. Anything else — a `TypeError` thrown by
+ * an interceptor, say — is a bug, not an outage, and is never retried.
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isTransientError(err) {
+  return err instanceof BazikNetworkError || err instanceof BazikTimeoutError;
+}
+
+/**
+ * Resolve after `ms`, or reject with a `BazikAbortError` as soon as
+ * `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  if (!signal) return new Promise((r) => setTimeout(r, ms));
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(abortError(signal));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  normalizeRetryPolicy,
+  parseRetryAfter,
+  computeDelay,
+  isTransientError,
+  sleep,
+};
@@ -14,10 +14,487 @@ export interface BazikConfig {
   baseURL?: string;
   /** Automatically refresh token before expiry (default: true) */
   autoRefresh?: boolean;
+  /** With autoRefresh, renew the token in the background before it is due (default: true) */
+  backgroundRefresh?: boolean;
   /** Request timeout in ms (default: 30000) */
   timeout?: number;
   /** Callback fired when token is refreshed */
   onTokenRefresh?: (token: string) => void;
+  /** Shared token cache so several processes reuse one token per account */
+  tokenStore?: TokenStore;
+  /** `console`, pino, or any object with debug/info/warn/error; output is redacted */
+  logger?: Logger;
+  /** Minimum level to log (default: "info") */
+  logLevel?: LogLevel;
+  /** Request/response/error hooks, see `Bazik.use()` */
+  interceptors?: Interceptor[];
+  /** Retry policy for transient failures, or `false` to disable retries */
+  retry?: RetryOptions | false;
+  /** Local idempotency key → result cache, or `false` to disable */
+  idempotencyCache?: IdempotencyCacheOptions | false;
+  /** Shared secret used to verify incoming webhook signatures */
+  webhookSecret?: string;
+  /** Max age of an incoming webhook in seconds (default: 300) */
+  webhookTolerance?: number;
+  /** Queue requests client-side to stay under API quotas; `true` uses the defaults (default: off) */
+  rateLimit?: RateLimitOptions | boolean;
+  /** Fail fast while the API or a provider is down; `true` uses the defaults (default: off) */
+  circuitBreaker?: CircuitBreakerOptions | boolean;
+  /** Validate every response against the SDK's schemas; `true` uses the defaults (default: off) */
+  strict?: StrictOptions | boolean;
+  /** Record payments and transfers locally; `true` keeps them in memory (default: off) */
+  ledger?: LedgerStore | boolean;
+  /** Expected API environment; a response reporting another one throws `BazikEnvironmentMismatchError` */
+  environment?: BazikEnvironment;
+  /** Ask before sending production payouts (default: off) */
+  confirmPayouts?: ConfirmPayoutsOptions;
+}
+
+export type BazikEnvironment = "sandbox" | "production";
+
+/** A payout waiting for confirmation: its validated params, provider and environment. */
+export interface PayoutConfirmation {
+  provider: "moncash" | "natcash";
+  /** `null` while no response has reported the environment yet */
+  environment: BazikEnvironment | null;
+  /** The pre-flight results when the call ran with `preflight`; checks run before `confirm` */
+  preflight: PreflightResult | null;
+  gdes: number;
+  wallet: string;
+  customerFirstName: string;
+  customerLastName: string;
+  description?: string;
+  referenceId?: string;
+  customerEmail?: string;
+  webhookUrl?: string;
+}
+
+export interface ConfirmPayoutsOptions {
+  /** Resolve `true` to send the payout; anything else throws `BazikPayoutDeclinedError` */
+  confirm: (payout: PayoutConfirmation) => boolean | Promise<boolean>;
+  /** Only payouts above this many HTG need confirming (default: 0) */
+  above?: Amount;
+}
+
+export interface UnknownFieldsReport {
+  method: string;
+  path: string;
+  /** e.g. ["$.eta", "$.recipient.middle_name"] */
+  fields: string[];
+}
+
+export interface StrictOptions {
+  /** Called when a response has fields the SDK does not know; they are also logged at `warn` */
+  onUnknownFields?: (report: UnknownFieldsReport) => void;
+}
+
+export interface RateLimitBudget {
+  /** Sustained rate */
+  requestsPerSecond?: number;
+  /** Requests allowed back-to-back */
+  burst?: number;
+}
+
+export interface RateLimitOptions extends RateLimitBudget {
+  /** Separate budget for `POST /token` (default: 1/s, burst 2) */
+  token?: RateLimitBudget;
+}
+
+/** `moncash` and `natcash` cover their provider paths; `api` covers the rest. */
+export type CircuitName = "moncash" | "natcash" | "api";
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitStateChange {
+  circuit: CircuitName;
+  from: CircuitState;
+  to: CircuitState;
+  /** Failure share in the rolling window when the state changed */
+  failureRate: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** Failure share (0–1) that opens a circuit (default: 0.5) */
+  failureRate?: number;
+  /** Calls needed in the window before a circuit can open (default: 10) */
+  minimumRequests?: number;
+  /** Rolling window for the failure rate in ms (default: 60000) */
+  windowMs?: number;
+  /** How long an open circuit fails fast before a trial call, in ms (default: 30000) */
+  openMs?: number;
+  /** Trial calls allowed while half-open (default: 1) */
+  halfOpenRequests?: number;
+  onStateChange?: (event: CircuitStateChange) => void;
+}
+
+export interface CircuitStats {
+  state: CircuitState;
+  /** Calls in the current window */
+  requests: number;
+  failureRate: number;
+}
+
+/** Rate limiter lane; `high` is served first. */
+export type RequestPriority = "high" | "normal" | "low";
+
+export interface RateLimitStats {
+  /** Requests waiting for a slot */
+  queued: number;
+  lanes: Record<RequestPriority, number>;
+  /** Requests that can be sent right now */
+  available: number;
+  averageWaitMs: number;
+  maxWaitMs: number;
+}
+
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+/**
+ * Console-style loggers are called as `logger.info(message, meta)`;
+ * pino-style loggers (with `bindings()`) as `logger.info(meta, message)`.
+ */
+export type Logger = Partial<Record<LogLevel | "log", (...args: any[]) => void>>;
+
+export interface RequestContext {
+  method: string;
+  /** API path, e.g. "/moncash/transfers" */
+  path: string;
+  /** Full URL; may be rewritten by `onRequest` */
+  url: string;
+  headers: Record<string, string>;
+  /** JSON body before serialization */
+  body?: unknown;
+  /** The caller's cancellation signal, if any */
+  signal?: AbortSignal;
+  /** Rate limiter lane */
+  priority?: RequestPriority;
+}
+
+export interface InterceptedResponse {
+  status: number;
+  data: unknown;
+  headers: Headers;
+}
+
+export interface Interceptor {
+  /** Mutate `ctx` or return a replacement */
+  onRequest?(ctx: RequestContext): RequestContext | void | Promise<RequestContext | void>;
+  /** Return a replacement to change what the SDK sees */
+  onResponse?(
+    response: InterceptedResponse,
+    ctx: RequestContext
+  ): InterceptedResponse | void | Promise<InterceptedResponse | void>;
+  /** Return (or throw) a different error to replace it */
+  onError?(
+    error: unknown,
+    ctx: Pick<RequestContext, "method" | "path" | "body">
+  ): unknown | Promise<unknown>;
+}
+
+export interface StoredToken {
+  token: string;
+  /** Expiry as a Unix timestamp in ms */
+  expiresAt: number;
+}
+
+/** Async key/value store for access tokens, keyed by userID. */
+export interface TokenStore {
+  get(key: string): Promise<StoredToken | null | undefined>;
+  set(key: string, value: StoredToken): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export declare class MemoryTokenStore implements TokenStore {
+  get(key: string): Promise<StoredToken | null>;
+  set(key: string, value: StoredToken): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export declare class FileTokenStore implements TokenStore {
+  /** Tokens are kept as JSON in `filePath`, created with mode 0600 */
+  constructor(filePath: string);
+  get(key: string): Promise<StoredToken | null>;
+  set(key: string, value: StoredToken): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+// ─── Ledger ──────────────────────────────────────────────────────────────────
+
+export interface LedgerStatusChange {
+  status: string;
+  /** ISO timestamp */
+  at: string;
+  /** e.g. "payments.create", "transfers.getStatus", "webhook" */
+  source: string;
+}
+
+export interface LedgerEntry {
+  /** orderId for payments, transaction_id for withdrawals and transfers */
+  id: string;
+  kind: "payment" | "withdrawal" | "transfer";
+  provider: "moncash" | "natcash";
+  referenceId: string | null;
+  amount: number;
+  fees: number | null;
+  total: number | null;
+  currency: "HTG";
+  status: string;
+  statusHistory: LedgerStatusChange[];
+  /** ISO timestamps */
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface LedgerQuery {
+  status?: string | string[];
+  referenceId?: string;
+  kind?: LedgerEntry["kind"];
+  provider?: LedgerEntry["provider"];
+  /** Created at or after */
+  from?: Date | number | string;
+  /** Created at or before */
+  to?: Date | number | string;
+}
+
+/** What a store receives: `status` as an array, dates as ISO strings. */
+export interface LedgerStoreFilter {
+  status?: string[];
+  referenceId?: string;
+  kind?: LedgerEntry["kind"];
+  provider?: LedgerEntry["provider"];
+  from?: string;
+  to?: string;
+}
+
+/** Async persistence for ledger entries, keyed by `entry.id`. */
+export interface LedgerStore {
+  get(id: string): Promise<LedgerEntry | null | undefined>;
+  /** Insert or replace */
+  put(entry: LedgerEntry): Promise<void>;
+  query(filter: LedgerStoreFilter): Promise<LedgerEntry[]>;
+}
+
+export declare class MemoryLedgerStore implements LedgerStore {
+  get(id: string): Promise<LedgerEntry | null>;
+  put(entry: LedgerEntry): Promise<void>;
+  query(filter: LedgerStoreFilter): Promise<LedgerEntry[]>;
+}
+
+export declare class FileLedgerStore implements LedgerStore {
+  /** Entries are kept as JSON in `filePath`; one writing process per file */
+  constructor(filePath: string);
+  get(id: string): Promise<LedgerEntry | null>;
+  put(entry: LedgerEntry): Promise<void>;
+  query(filter: LedgerStoreFilter): Promise<LedgerEntry[]>;
+}
+
+export declare class Ledger {
+  get(id: string): Promise<LedgerEntry | null>;
+  /** Oldest first */
+  query(filter?: LedgerQuery): Promise<LedgerEntry[]>;
+  /** Wait for pending writes, e.g. from `webhooks.constructEvent()` */
+  flush(): Promise<void>;
+}
+
+export interface RetryOptions {
+  /** Total attempts, including the first (default: 3) */
+  maxAttempts?: number;
+  /** Backoff base in ms; doubles each attempt, with full jitter (default: 500) */
+  baseDelayMs?: number;
+  /** Backoff cap in ms; a longer `Retry-After` is not retried (default: 10000) */
+  maxDelayMs?: number;
+  /** HTTP statuses worth retrying (default: 408, 429, 500, 502, 503, 504) */
+  retryableStatuses?: number[];
+  /** Also retry POSTs that carry no idempotency key (default: false) */
+  retryNonIdempotent?: boolean;
+}
+
+export interface IdempotencyCacheOptions {
+  /** Max remembered keys; oldest are evicted first (default: 1000) */
+  maxEntries?: number;
+  /** How long a result is remembered in ms (default: 86400000) */
+  ttlMs?: number;
+}
+
+/** Per-call options accepted by every API method. */
+export interface RequestOptions {
+  /**
+   * Cancels the call — including token refresh and retry waits — with a
+   * `BazikAbortError`. Combined with the client `timeout`.
+   */
+  signal?: AbortSignal;
+  /**
+   * Rate limiter lane (default: "normal"; "high" for `payments.create`,
+   * "low" for status polling).
+   */
+  priority?: RequestPriority;
+}
+
+/** Per-call options for money-moving methods. */
+export interface MoneyMovementOptions extends RequestOptions {
+  /**
+   * Sent as the `Idempotency-Key` header. Defaults to a key derived from
+   * `referenceId`, or a random key when there is none.
+   */
+  idempotencyKey?: string;
+}
+
+// ─── Money ───────────────────────────────────────────────────────────────────
+
+/** An HTG amount held as integer cents. Immutable. */
+export declare class Gourdes {
+  /** Prefer `Gourdes.from()`; `cents` must be a safe integer */
+  constructor(cents: number);
+  /** Throws `BazikValidationError` for more than 2 decimal places */
+  static from(value: number | string | Gourdes): Gourdes;
+  static fromCents(cents: number): Gourdes;
+  /** Round to the nearest cent; for amounts computed by the API */
+  static round(value: number): Gourdes;
+  readonly cents: number;
+  plus(other: Amount | string): Gourdes;
+  minus(other: Amount | string): Gourdes;
+  /** Multiply, rounding half away from zero to the cent */
+  times(factor: number): Gourdes;
+  /** e.g. `percent(5)` for the 5% transfer fee */
+  percent(percentage: number): Gourdes;
+  compare(other: Amount | string): -1 | 0 | 1;
+  equals(other: Amount | string): boolean;
+  toNumber(): number;
+  toJSON(): number;
+  /** Fixed two decimals, e.g. "1284.50" */
+  toString(): string;
+  /** "HTG 1,284.50" (en-HT), "1 284,50 G" (fr-HT, ht) */
+  format(
+    locale?: "en-HT" | "fr-HT" | "ht" | (string & {}),
+    options?: Intl.NumberFormatOptions
+  ): string;
+}
+
+/** An amount in HTG: a number with at most 2 decimals, or `Gourdes`. */
+export type Amount = number | Gourdes;
+
+// ─── Phone numbers ───────────────────────────────────────────────────────────
+
+export type Carrier = "digicel" | "natcom";
+export type Provider = "moncash" | "natcash";
+
+/** A Haitian phone number in canonical form. */
+export declare class HaitianPhone {
+  /** Prefer `HaitianPhone.parse()`; `national` must be 8 digits */
+  constructor(national: string);
+  /**
+   * Accepts "37123456", "3712-3456", "+509 3712-3456", "(509) 37 12 34 56",
+   * "50937123456", ... Throws `BazikValidationError` naming the problem.
+   */
+  static parse(input: string | number | HaitianPhone): HaitianPhone;
+  static isValid(input: unknown): boolean;
+  /** e.g. "37123456" */
+  readonly national: string;
+  /** e.g. "50937123456" */
+  readonly international: string;
+  /** e.g. "+50937123456" */
+  readonly e164: string;
+  /** From the prefix; `null` for landlines and unassigned ranges */
+  readonly carrier: Carrier | null;
+  /** Digicel → "moncash", Natcom → "natcash" */
+  readonly provider: Provider | null;
+  /** e.g. "+509 3712-3456" */
+  format(): string;
+  equals(other: string | number | HaitianPhone): boolean;
+  toString(): string;
+  toJSON(): string;
+}
+
+/** A wallet phone number in any Haitian format, or a `HaitianPhone`. */
+export type WalletNumber = string | HaitianPhone;
+
+// ─── Pre-flight checks ───────────────────────────────────────────────────────
+
+export interface PreflightOptions {
+  /**
+   * Max payout in HTG per MonCash KYC tier, merged over the defaults
+   * (minikyc: 20000, fullkyc: 75000). Other tiers are rejected.
+   */
+  tierLimits?: Record<string, number>;
+}
+
+export interface PreflightResult {
+  /** `null` for NatCash, which has no customer-status endpoint */
+  customer: CustomerStatusResponse | null;
+  quote: QuoteResponse;
+  balance: BalanceResponse;
+}
+
+/** Per-call options for payouts. */
+export interface PayoutOptions extends MoneyMovementOptions {
+  /**
+   * Check the recipient, fee quote and balance first, and throw
+   * `BazikRecipientError`, `BazikLimitExceededError` or
+   * `BazikInsufficientFundsError` before any money moves.
+   */
+  preflight?: boolean | PreflightOptions;
+}
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+
+/** A local record to re-check; a `LedgerEntry` also works. */
+export interface ReconcileRecord {
+  /** Checked through `payments.verify` */
+  orderId?: string;
+  /** Checked through `transfers.getStatus` */
+  transactionId?: string;
+  /** Expected amount in HTG; skipped when absent */
+  amount?: Amount | string | null;
+  /** Expected fees in HTG; skipped when absent */
+  fees?: Amount | string | null;
+  /** Expected status; "pending" matches "processing"; skipped when absent */
+  status?: string;
+}
+
+export interface ReconcileOptions {
+  /** Status checks in flight at once (default: 5) */
+  concurrency?: number;
+  /** Stop early; rejects with `BazikAbortError` */
+  signal?: AbortSignal;
+  /** Rate limiter lane for the checks (default: "low") */
+  priority?: RequestPriority;
+}
+
+export interface ReconciliationDifference {
+  /** Position of the record in the array passed to `reconcile()` */
+  index: number;
+  id: string;
+  type: "payment" | "transfer";
+  issue:
+    | "status_mismatch"
+    | "amount_mismatch"
+    | "fee_mismatch"
+    | "unknown_id"
+    | "error";
+  expected?: unknown;
+  actual?: unknown;
+  message?: string;
+  /** Set for `issue: "error"` */
+  error?: BazikError;
+}
+
+export interface ReconciliationReport {
+  checked: number;
+  /** True when every record matched */
+  readonly ok: boolean;
+  summary: {
+    checked: number;
+    matched: number;
+    statusMismatches: number;
+    amountMismatches: number;
+    feeMismatches: number;
+    unknown: number;
+    errors: number;
+  };
+  differences: ReconciliationDifference[];
+  /** `{ summary, differences }`, with errors redacted */
+  toJSON(): { summary: ReconciliationReport["summary"]; differences: object[] };
+  /** Header `id,type,issue,expected,actual,message`, one row per difference */
+  toCSV(): string;
 }
 
 // ─── Auth ────────────────────────────────────────────────────────────────────
@@ -34,7 +511,7 @@ export interface AuthResponse {
 
 export interface CreatePaymentParams {
   /** Amount in Gourdes (max 75,000) */
-  gdes: number;
+  gdes: Amount;
   /** User identifier */
   userID?: string;
   successUrl?: string;
@@ -91,9 +568,9 @@ export interface PaymentVerification {
 
 export interface WithdrawParams {
   /** Amount in HTG */
-  gdes: number;
-  /** Recipient phone (8 or 11 digits) */
-  wallet: string;
+  gdes: Amount;
+  /** Recipient phone, e.g. "+509 4755-6677" */
+  wallet: WalletNumber;
   customerFirstName: string;
   customerLastName: string;
   description?: string;
@@ -119,6 +596,8 @@ export interface WithdrawResponse {
   created_at: string;
   environment: "sandbox" | "production";
   message: string;
+  /** Set when called with `preflight` */
+  preflight?: PreflightResult;
 }
 
 export interface BalanceResponse {
@@ -129,18 +608,24 @@ export interface BalanceResponse {
   last_updated: string;
 }
 
-export interface WaitOptions {
-  /** Polling interval in ms (default: 5000) */
+export interface WaitOptions<T = { status: string }> extends RequestOptions {
+  /** Delay before the second poll in ms (default: 5000) */
   intervalMs?: number;
+  /** Upper bound for the delay between polls in ms (default: 30000) */
+  maxIntervalMs?: number;
+  /** Delay multiplier applied after each poll; 1 polls at a fixed interval (default: 1 for payments, 1.5 for transfers) */
+  backoff?: number;
   /** Max wait time in ms (default: 300000) */
   timeoutMs?: number;
+  /** Called with the first status and every time it changes. */
+  onStatusChange?: (current: T, previous: T | null) => void;
 }
 
 // ─── Transfers ───────────────────────────────────────────────────────────────
 
 export interface TransferParams {
-  gdes: number;
-  wallet: string;
+  gdes: Amount;
+  wallet: WalletNumber;
   customerFirstName: string;
   customerLastName: string;
   description?: string;
@@ -166,6 +651,8 @@ export interface TransferResponse {
   created_at: string;
   environment: "sandbox" | "production";
   message: string;
+  /** Set when called with `preflight` */
+  preflight?: PreflightResult;
 }
 
 export interface TransferStatusResponse {
@@ -207,26 +694,302 @@ export interface QuoteResponse {
   environment: "sandbox" | "production";
 }
 
+export interface SendTransferParams extends TransferParams {
+  /** Skip routing and use this provider. */
+  provider?: Provider;
+}
+
+export interface SendTransferOptions extends PayoutOptions {
+  /** Quote both candidate providers and use the cheaper (default: false). */
+  compareQuotes?: boolean;
+  /** Try the other candidate after a 503 or open circuit (default: false). */
+  fallback?: boolean;
+  /** The recipient has wallets on both networks (default: false). */
+  crossNetwork?: boolean;
+}
+
+export interface SendTransferResult {
+  /** The provider that took the transfer */
+  provider: Provider;
+  transactionId: string;
+  status: TransferResponse["status"];
+  /** Why `provider` was chosen */
+  routing: "override" | "carrier" | "default" | "quote" | "fallback";
+  /** Set when `compareQuotes` ran */
+  quotes: Partial<Record<Provider, QuoteResponse>> | null;
+  /** Providers that failed before `provider` succeeded */
+  failures: Array<{ provider: Provider; error: BazikError }>;
+  transfer: TransferResponse;
+}
+
+export interface BatchItem extends TransferParams {
+  /** Falls back to `BatchOptions.provider`. */
+  provider?: "moncash" | "natcash";
+}
+
+export interface BatchOptions {
+  /** Transfers in flight at once (default: 5). */
+  concurrency?: number;
+  /** Provider for items that do not set one. */
+  provider?: "moncash" | "natcash";
+  /** Compare the quoted total with the available balance first (default: true). */
+  checkBalance?: boolean;
+  /** Skip the remaining items after a 402 (default: true). */
+  stopOnInsufficientFunds?: boolean;
+  /** Called as each item completes; an error it throws is logged and does not affect the report. */
+  onProgress?: (progress: BatchProgress) => void;
+  /** Stops the batch; items not yet sent are reported as skipped. */
+  signal?: AbortSignal;
+}
+
+export interface BatchResult {
+  index: number;
+  item: BatchItem;
+  status: "succeeded" | "failed" | "skipped";
+  provider: "moncash" | "natcash";
+  result?: TransferResponse;
+  error?: BazikError;
+}
+
+export interface BatchProgress {
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  result: BatchResult;
+}
+
+export interface BatchReport {
+  total: number;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  /** Sum of the quoted `total_cost` of every item, in HTG. */
+  totalCost: number;
+  /** One entry per item, in input order. */
+  results: BatchResult[];
+}
+
+// ─── Webhooks ────────────────────────────────────────────────────────────────
+
+/** Raw request headers, as found on `req.headers` or a fetch `Request`. */
+export type WebhookHeaders =
+  | Record<string, string | string[] | undefined>
+  | { get(name: string): string | null };
+
+export interface WebhookOptions {
+  /** Overrides the client's `webhookSecret` */
+  secret?: string;
+  /** Max age in seconds (default: 300, 0 disables the check) */
+  tolerance?: number;
+}
+
+export interface WebhookSignOptions {
+  /** Overrides the client's `webhookSecret` */
+  secret?: string;
+  /** Unix timestamp in seconds (default: now) */
+  timestamp?: number;
+}
+
+/** Transfer outcome pushed to your `webhookUrl`. */
+export type TransferWebhookEvent = TransferStatusResponse;
+
+/** Any event type this SDK version does not know about yet. */
+export interface UnknownWebhookEvent {
+  type: string;
+  [key: string]: unknown;
+}
+
+export type WebhookEvent = TransferWebhookEvent | UnknownWebhookEvent;
+
 // ─── Sub-modules ─────────────────────────────────────────────────────────────
 
 export declare class Payments {
-  create(params: CreatePaymentParams): Promise<PaymentResponse>;
-  verify(orderId: string): Promise<PaymentVerification>;
-  waitForCompletion(orderId: string, options?: WaitOptions): Promise<PaymentVerification>;
-  withdraw(params: WithdrawParams): Promise<WithdrawResponse>;
-  getBalance(): Promise<BalanceResponse>;
+  create(params: CreatePaymentParams, options?: MoneyMovementOptions): Promise<PaymentResponse>;
+  verify(orderId: string, options?: RequestOptions): Promise<PaymentVerification>;
+  waitForCompletion(
+    orderId: string,
+    options?: WaitOptions<PaymentVerification>
+  ): Promise<PaymentVerification>;
+  withdraw(params: WithdrawParams, options?: PayoutOptions): Promise<WithdrawResponse>;
+  getBalance(options?: RequestOptions): Promise<BalanceResponse>;
 }
 
 export declare class Transfers {
-  checkCustomer(wallet: string): Promise<CustomerStatusResponse>;
-  moncash(params: TransferParams): Promise<TransferResponse>;
-  natcash(params: TransferParams): Promise<TransferResponse>;
-  getStatus(transactionId: string): Promise<TransferStatusResponse>;
-  getQuote(amount: number, provider: "moncash" | "natcash"): Promise<QuoteResponse>;
+  checkCustomer(wallet: WalletNumber, options?: RequestOptions): Promise<CustomerStatusResponse>;
+  moncash(params: TransferParams, options?: PayoutOptions): Promise<TransferResponse>;
+  natcash(params: TransferParams, options?: PayoutOptions): Promise<TransferResponse>;
+  /** Route by explicit provider or the wallet's carrier */
+  send(params: SendTransferParams, options?: SendTransferOptions): Promise<SendTransferResult>;
+  getStatus(transactionId: string, options?: RequestOptions): Promise<TransferStatusResponse>;
+  watch(
+    transactionId: string,
+    options?: WaitOptions<TransferStatusResponse>
+  ): AsyncGenerator<TransferStatusResponse, void>;
+  waitForCompletion(
+    transactionId: string,
+    options?: WaitOptions<TransferStatusResponse>
+  ): Promise<TransferStatusResponse>;
+  getQuote(
+    amount: Amount,
+    provider: "moncash" | "natcash",
+    options?: RequestOptions
+  ): Promise<QuoteResponse>;
+  batch(items: BatchItem[], options?: BatchOptions): Promise<BatchReport>;
 }
 
 export declare class Wallet {
-  getBalance(): Promise<BalanceResponse>;
+  getBalance(options?: RequestOptions): Promise<BalanceResponse>;
+}
+
+export declare class Webhooks {
+  /** Compute a `bazik-signature` header value for a payload */
+  sign(rawBody: string | Uint8Array, options?: WebhookSignOptions): string;
+  /** Verify signature and timestamp; throws `BazikWebhookError` on failure */
+  verifySignature(rawBody: string | Uint8Array, headers: WebhookHeaders, options?: WebhookOptions): true;
+  /** Verify and parse an incoming webhook */
+  constructEvent(rawBody: string | Uint8Array, headers: WebhookHeaders, options?: WebhookOptions): WebhookEvent;
+}
+
+// ─── Checkout ────────────────────────────────────────────────────────────────
+
+/** The parts of a Node.js `IncomingMessage` the checkout handlers use. */
+export interface CheckoutRequest extends AsyncIterable<Uint8Array> {
+  url?: string;
+  headers: Record<string, string | string[] | undefined>;
+  readableEnded?: boolean;
+  body?: unknown;
+}
+
+/** The parts of a Node.js `ServerResponse` the checkout handlers use. */
+export interface CheckoutResponse {
+  headersSent: boolean;
+  writableEnded: boolean;
+  writeHead(status: number, headers?: Record<string, string>): unknown;
+  end(body?: string): unknown;
+}
+
+export interface CheckoutContext {
+  req: CheckoutRequest;
+  res: CheckoutResponse;
+  /** Express `req`, Fastify `request` or Koa `ctx` */
+  request: any;
+  /** Set when called from the webhook route */
+  event?: WebhookEvent;
+}
+
+/** Return a URL to redirect the browser there; ignored for webhooks. */
+export type CheckoutCallback = (
+  payment: PaymentVerification,
+  context: CheckoutContext
+) => string | void | Promise<string | void>;
+
+export interface CheckoutOptions {
+  /** Params for `payments.create()` from your own data — never from the browser */
+  createPayment(request: any): CreatePaymentParams & { referenceId: string } | Promise<CreatePaymentParams & { referenceId: string }>;
+  /** Absolute URL of the route mounting `complete` */
+  successUrl: string;
+  /** Defaults to `successUrl` */
+  errorUrl?: string;
+  /** Runs once per order per Checkout, from the return URL or the webhook; must be idempotent across processes */
+  onPaid: CheckoutCallback;
+  /** Runs once per order per Checkout, like onPaid */
+  onFailed: CheckoutCallback;
+  /** Called when the payment is still pending after `pendingTimeoutMs` */
+  onPending?: CheckoutCallback;
+  /** Called for every verified webhook, before onPaid/onFailed */
+  onEvent?(event: WebhookEvent, context: CheckoutContext): void | Promise<void>;
+  /** Called before a handler answers with an error; anything it throws is ignored */
+  onError?(error: Error, context: CheckoutContext): void;
+  /** How long `complete` waits for a pending payment (default: 10000, 0 to not wait) */
+  pendingTimeoutMs?: number;
+}
+
+/** Node.js / Express handler; errors go to `next` when given. */
+export type CheckoutHandler = (
+  req: CheckoutRequest,
+  res: CheckoutResponse,
+  next?: (err?: unknown) => void
+) => Promise<void>;
+
+export interface CheckoutHandlers<Handler> {
+  /** Create the payment and redirect to MonCash */
+  start: Handler;
+  /** Return URL: verify the order and run onPaid / onFailed / onPending */
+  complete: Handler;
+  /** Verify a webhook and run onEvent, then onPaid / onFailed for payments */
+  webhook: Handler;
+}
+
+export declare class Checkout implements CheckoutHandlers<CheckoutHandler> {
+  constructor(client: Bazik, options: CheckoutOptions);
+  start: CheckoutHandler;
+  complete: CheckoutHandler;
+  webhook: CheckoutHandler;
+  /** The same handlers as Fastify route handlers */
+  readonly fastify: CheckoutHandlers<(request: any, reply: any) => Promise<void>>;
+  /** The same handlers as Koa middleware */
+  readonly koa: CheckoutHandlers<(ctx: any) => Promise<void>>;
+}
+
+// ─── Account Pool ────────────────────────────────────────────────────────────
+
+/** Per-account credentials, plus any client config that differs per account. */
+export type AccountCredentials = Pick<BazikConfig, "userID" | "secretKey"> & Partial<BazikConfig>;
+
+export interface BazikAccountPoolOptions {
+  /** Load an account's credentials, e.g. from a secrets vault */
+  resolveCredentials(accountId: string): AccountCredentials | Promise<AccountCredentials>;
+  /** Client config shared by every account */
+  config?: Omit<Partial<BazikConfig>, "userID" | "secretKey">;
+  /** Close clients unused for this long (default: 900000, 0 never) */
+  idleTimeoutMs?: number;
+}
+
+export interface AccountMapOptions {
+  /** Accounts in flight at once (default: 5) */
+  concurrency?: number;
+  /** Accounts not started yet fail with a `BazikAbortError` */
+  signal?: AbortSignal;
+}
+
+export type AccountResult<T> =
+  | { accountId: string; status: "succeeded"; result: T }
+  | { accountId: string; status: "failed"; error: Error };
+
+export interface AccountBalances {
+  /** Summed over the accounts that answered */
+  available: number;
+  reserved: number;
+  succeeded: number;
+  failed: number;
+  results: AccountResult<BalanceResponse>[];
+}
+
+export declare class BazikAccountPool {
+  constructor(options: BazikAccountPoolOptions);
+  /** Accounts with a client, including ones being created */
+  readonly size: number;
+  accounts(): string[];
+  has(accountId: string): boolean;
+  /** The account's client, created on first use */
+  get(accountId: string): Promise<Bazik>;
+  /** Run `fn` per account with bounded concurrency; failures do not stop the others */
+  map<T>(
+    accountIds: string[],
+    fn: (client: Bazik, accountId: string) => Promise<T>,
+    options?: AccountMapOptions
+  ): Promise<AccountResult<T>[]>;
+  /** `wallet.getBalance()` per account (default: every cached account), with totals */
+  getBalances(
+    accountIds?: string[],
+    options?: AccountMapOptions & { priority?: "high" | "normal" | "low" }
+  ): Promise<AccountBalances>;
+  /** Close and forget one client */
+  evict(accountId: string): boolean;
+  /** Close every client */
+  close(): void;
 }
 
 // ─── Main Client ─────────────────────────────────────────────────────────────
@@ -240,13 +1003,29 @@ export declare class Bazik {
   readonly transfers: Transfers;
   /** Wallet balance operations */
   readonly wallet: Wallet;
+  /** Incoming webhook verification */
+  readonly webhooks: Webhooks;
+  /** Local transaction record, or `null` when `ledger` is off */
+  readonly ledger: Ledger | null;
+  /** The `environment` option, else the one the last response reported */
+  readonly environment: BazikEnvironment | null;
 
-  /** Authenticate and obtain an access token */
-  authenticate(): Promise<AuthResponse>;
+  /** Register an interceptor; returns a function that removes it */
+  use(interceptor: Interceptor): () => void;
+  /** Authenticate and obtain an access token (concurrent calls share one request) */
+  authenticate(options?: RequestOptions): Promise<AuthResponse>;
   /** Check if current token is still valid */
   isTokenValid(): boolean;
   /** Get a valid token (auto-refreshes if needed) */
-  getToken(): Promise<string>;
+  getToken(options?: RequestOptions): Promise<string>;
+  /** Rate limiter queue depth and wait times, or `null` when `rateLimit` is off */
+  getRateLimitStats(): { requests: RateLimitStats; token: RateLimitStats } | null;
+  /** State of each circuit that has seen a call, or `null` when `circuitBreaker` is off */
+  getCircuitStats(): Partial<Record<CircuitName, CircuitStats>> | null;
+  /** Stop background token refresh and reject calls queued by the rate limiter */
+  close(): void;
+  /** Re-check local records against the status endpoints and report differences */
+  reconcile(records: ReconcileRecord[], options?: ReconcileOptions): Promise<ReconciliationReport>;
 }
 
 // ─── Errors ──────────────────────────────────────────────────────────────────
@@ -255,12 +1034,102 @@ export declare class BazikError extends Error {
   status: number | null;
   code: string | null;
   details: unknown;
+  /** Whether the same call may succeed if tried again */
+  retryable: boolean;
+  /** The API's request ID (`X-Request-Id`), when the response carried one */
+  requestId: string | null;
+  /** HTTP method of the failing call */
+  method: string | null;
+  /** API path of the failing call, e.g. "/order/BZK_..." */
+  path: string | null;
+  /** How many times the call was sent before failing */
+  attempts: number | null;
   constructor(message: string, status?: number, code?: string, details?: unknown);
+  /** Serializable form with secrets and PII redacted */
+  toJSON(): {
+    name: string;
+    message: string;
+    status: number | null;
+    code: string | null;
+    details: unknown;
+    retryable: boolean;
+    requestId: string | null;
+    method: string | null;
+    path: string | null;
+    attempts: number | null;
+  };
 }
 
 export declare class BazikAuthError extends BazikError {}
 export declare class BazikValidationError extends BazikError {}
 export declare class BazikInsufficientFundsError extends BazikError {}
 export declare class BazikRateLimitError extends BazikError {}
+export declare class BazikWebhookError extends BazikError {
+  code: "missing_signature" | "invalid_signature" | "timestamp_out_of_tolerance" | "invalid_payload";
+}
+/** The client `timeout` elapsed, or a `waitForCompletion` gave up. Retryable. */
+export declare class BazikTimeoutError extends BazikError {
+  code: "timeout";
+  retryable: true;
+}
+/** DNS, connection or socket failure before any response. Retryable. */
+export declare class BazikNetworkError extends BazikError {
+  code: "network_error";
+  retryable: true;
+  /** The underlying fetch error */
+  cause: unknown;
+}
+/** The API answered with a 5xx status (code "invalid_json" if its JSON body did not parse). Retryable except for 501. */
+export declare class BazikServerError extends BazikError {
+  status: number;
+}
+/** Unknown `orderId`, `transactionId` or other resource (404). */
+export declare class BazikNotFoundError extends BazikError {
+  status: 404;
+}
+/** The call's circuit is open; nothing was sent. Retryable once `retryAfterMs` has passed. */
+export declare class BazikRecipientError extends BazikError {
+  code: "recipient_not_registered" | "recipient_not_verified" | "recipient_blocked";
+  /** The wallet's `customerStatus` */
+  details: CustomerStatusResponse["customerStatus"];
+}
+
+export declare class BazikLimitExceededError extends BazikError {
+  code: "tier_limit_exceeded";
+  details: { tier: string; limit: number; amount: number };
+}
+
+export declare class BazikCircuitOpenError extends BazikError {
+  code: "circuit_open";
+  retryable: true;
+  details: { circuit: CircuitName; retryAfterMs: number };
+}
+/** Strict mode: a response did not match its endpoint's schema. */
+export declare class BazikResponseFormatError extends BazikError {
+  code: "invalid_response";
+  /** First offending location, e.g. "$.recipient.first_name" */
+  fieldPath: string;
+  details: { errors: Array<{ path: string; message: string }>; unknownFields: string[] };
+}
+/** A response reported a different environment than the `environment` option. */
+export declare class BazikEnvironmentMismatchError extends BazikError {
+  code: "environment_mismatch";
+  expected: BazikEnvironment;
+  actual: string;
+  /** `response` is what the API returned: the call was still carried out */
+  details: { expected: BazikEnvironment; actual: string; response: Record<string, any> };
+}
+/** `confirmPayouts.confirm` did not approve a payout; nothing was sent. */
+export declare class BazikPayoutDeclinedError extends BazikError {
+  code: "payout_declined";
+  details: { provider: "moncash" | "natcash"; amount: number; threshold: number; environment: BazikEnvironment | null };
+}
+/** Thrown when a call is cancelled through its `signal`. */
+export declare class BazikAbortError extends BazikError {
+  code: "aborted";
+  /** The signal's `reason` */
+  cause: unknown;
+  constructor(message: string, reason?: unknown);
+}
 
 export default Bazik;
@@ -10,19 +10,59 @@
 "use strict";
 
 const Bazik = require("./modules/Bazik");
+const MemoryTokenStore = require("./stores/MemoryTokenStore");
+const FileTokenStore = require("./stores/FileTokenStore");
+const MemoryLedgerStore = require("./stores/MemoryLedgerStore");
+const FileLedgerStore = require("./stores/FileLedgerStore");
+const Gourdes = require("./money/Gourdes");
+const HaitianPhone = require("./phone/HaitianPhone");
+const Checkout = require("./checkout/Checkout");
+const BazikAccountPool = require("./pool/BazikAccountPool");
 const BazikError = require("./errors/BazikError");
 const BazikAuthError = require("./errors/BazikAuthError");
 const BazikValidationError = require("./errors/BazikValidationError");
 const BazikInsufficientFundsError = require("./errors/BazikInsufficientFundsError");
 const BazikRateLimitError = require("./errors/BazikRateLimitError");
+const BazikWebhookError = require("./errors/BazikWebhookError");
+const BazikAbortError = require("./errors/BazikAbortError");
+const BazikTimeoutError = require("./errors/BazikTimeoutError");
+const BazikNetworkError = require("./errors/BazikNetworkError");
+const BazikServerError = require("./errors/BazikServerError");
+const BazikNotFoundError = require("./errors/BazikNotFoundError");
+const BazikCircuitOpenError = require("./errors/BazikCircuitOpenError");
+const BazikResponseFormatError = require("./errors/BazikResponseFormatError");
+const BazikRecipientError = require("./errors/BazikRecipientError");
+const BazikLimitExceededError = require("./errors/BazikLimitExceededError");
+const BazikEnvironmentMismatchError = require("./errors/BazikEnvironmentMismatchError");
+const BazikPayoutDeclinedError = require("./errors/BazikPayoutDeclinedError");
 
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
 module.exports = {
   Bazik,
+  MemoryTokenStore,
+  FileTokenStore,
+  MemoryLedgerStore,
+  FileLedgerStore,
+  Gourdes,
+  HaitianPhone,
+  Checkout,
+  BazikAccountPool,
   BazikError,
   BazikAuthError,
   BazikValidationError,
   BazikInsufficientFundsError,
   BazikRateLimitError,
+  BazikWebhookError,
+  BazikAbortError,
+  BazikTimeoutError,
+  BazikNetworkError,
+  BazikServerError,
+  BazikNotFoundError,
+  BazikCircuitOpenError,
+  BazikResponseFormatError,
+  BazikRecipientError,
+  BazikLimitExceededError,
+  BazikEnvironmentMismatchError,
+  BazikPayoutDeclinedError,
 };
@@ -6,11 +6,31 @@ import pkg from "./index.js";
 
 export const {
   Bazik,
+  MemoryTokenStore,
+  FileTokenStore,
+  MemoryLedgerStore,
+  FileLedgerStore,
+  Gourdes,
+  HaitianPhone,
+  Checkout,
+  BazikAccountPool,
   BazikError,
   BazikAuthError,
   BazikValidationError,
   BazikInsufficientFundsError,
   BazikRateLimitError,
+  BazikWebhookError,
+  BazikAbortError,
+  BazikTimeoutError,
+  BazikNetworkError,
+  BazikServerError,
+  BazikNotFoundError,
+  BazikCircuitOpenError,
+  BazikResponseFormatError,
+  BazikRecipientError,
+  BazikLimitExceededError,
+  BazikEnvironmentMismatchError,
+  BazikPayoutDeclinedError,
 } = pkg;
 
 export default Bazik;
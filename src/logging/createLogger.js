@@ -0,0 +1,43 @@
+"use strict";
+
+const { redact, redactString } = require("./redact");
+
+// ─── Logger adapter ──────────────────────────────────────────────────────────
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Wrap a user-supplied logger. Console-style loggers are called as
+ * `logger.info(message, meta)`; pino-style loggers (detected by
+ * `logger.bindings`) as `logger.info(meta, message)`. Messages and `meta`
+ * are redacted before they leave the SDK. Without a logger every call is a no-op.
+ *
+ * @param {Object} [logger] — `console`, pino, winston, or anything with level methods
+ * @param {"debug"|"info"|"warn"|"error"} [level="info"] — Minimum level to emit
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function createLogger(logger, level = "info") {
+  const min = LEVELS.indexOf(level);
+  const pinoStyle = typeof logger?.bindings === "function";
+
+  const out = {};
+  for (const name of LEVELS) {
+    const method = logger?.[name] ?? (name === "debug" ? logger?.log : null);
+    if (typeof method !== "function" || LEVELS.indexOf(name) < min) {
+      out[name] = () => {};
+      continue;
+    }
+    out[name] = (message, meta = {}) => {
+      const text = `bazik: ${redactString(message)}`;
+      const safe = redact(meta);
+      if (pinoStyle) {
+        method.call(logger, safe, text);
+      } else {
+        method.call(logger, text, safe);
+      }
+    };
+  }
+  return out;
+}
+
+module.exports = createLogger;
@@ -0,0 +1,140 @@
+"use strict";
+
+// ─── Redaction ───────────────────────────────────────────────────────────────
+
+const REDACTED = "[REDACTED]";
+
+const SECRET_KEYS =
+  /^(secretkey|secret|password|token|access_token|payment_token|authorization|idempotency-key)$/i;
+const WALLET_KEYS = /^(wallet|phone|sender|receiver)$/i;
+const EMAIL_KEYS = /email/i;
+const NAME_KEYS = /^(customer(first|last|full)?name|first_?name|last_?name)$/i;
+
+/**
+ * A Haitian wallet number in free text: 8 digits written as `37123456`,
+ * `3712-3456` or `37 12 34 56`, optionally after `509`, `+509` or `(509)`.
+ * Digits that are part of a longer token (order IDs, timestamps) are left alone.
+ */
+const WALLET_IN_TEXT =
+  /(?<![\w+])(?:\+?\(?509\)?[\s.-]?)?(\d{4}[\s.-]?\d{4}|\d{2}(?:[\s.-]\d{2}){3})(?!\w)/g;
+
+/** BazikError properties kept when an error is serialized. */
+const ERROR_FIELDS = [
+  "status",
+  "code",
+  "details",
+  "retryable",
+  "requestId",
+  "method",
+  "path",
+  "attempts",
+];
+
+/**
+ * Mask a wallet number, keeping the first four digits: "47556677" → "4755****".
+ * @param {*} wallet
+ * @returns {string}
+ */
+function maskWallet(wallet) {
+  const value = String(wallet);
+  if (value.length <= 4) return "*".repeat(value.length);
+  return value.slice(0, 4) + "*".repeat(value.length - 4);
+}
+
+/**
+ * Mask an email, keeping the first letter and the domain: "f***@example.com".
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail(email) {
+  const [local, domain] = String(email).split("@");
+  if (!domain) return REDACTED;
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+/**
+ * Mask a person's name, keeping the initial: "Melissa" → "M***".
+ * @param {*} name
+ * @returns {string}
+ */
+function maskName(name) {
+  const value = String(name);
+  return value ? `${value.slice(0, 1)}***` : value;
+}
+
+/**
+ * Scrub secrets, emails and wallet numbers that show up inside free text,
+ * such as error messages.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactString(text) {
+  return text
+    .replace(/Bearer\s+[^\s"',]+/gi, `Bearer ${REDACTED}`)
+    .replace(/\bsk_[A-Za-z0-9_]+/g, `sk_${REDACTED}`)
+    .replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, maskEmail)
+    .replace(WALLET_IN_TEXT, (match, national) =>
+      maskWallet(national.replace(/\D/g, ""))
+    );
+}
+
+/**
+ * Return a deep copy of `value` that is safe to log: secrets and bearer
+ * tokens removed, wallet numbers, emails and customer names masked.
+ * @param {*} value
+ * @param {WeakSet<object>} [seen] — Objects on the current path, to break cycles
+ * @returns {*}
+ */
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  const out = redactObject(value, seen);
+  seen.delete(value);
+  return out;
+}
+
+function redactObject(value, seen) {
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  if (value instanceof Error) {
+    const out = { name: value.name, message: redactString(value.message) };
+    for (const key of ERROR_FIELDS) {
+      if (value[key] !== undefined) out[key] = redact(value[key], seen);
+    }
+    return out;
+  }
+
+  const out = {};
+  for (const [key, val] of Object.entries(value)) {
+    if (val === null || val === undefined) {
+      out[key] = val;
+    } else if (SECRET_KEYS.test(key)) {
+      out[key] = REDACTED;
+    } else if (WALLET_KEYS.test(key) && typeof val !== "object") {
+      out[key] = maskWallet(val);
+    } else if (EMAIL_KEYS.test(key) && typeof val === "string") {
+      out[key] = maskEmail(val);
+    } else if (NAME_KEYS.test(key) && typeof val !== "object") {
+      out[key] = maskName(val);
+    } else if (key === "recipient" && typeof val === "object") {
+      out[key] = Object.fromEntries(
+        Object.entries(val).map(([k, v]) => [k, maskName(v)])
+      );
+    } else {
+      out[key] = redact(val, seen);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  redact,
+  redactString,
+  maskWallet,
+  REDACTED,
+};
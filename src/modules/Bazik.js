@@ -3,19 +3,93 @@
 const {
   DEFAULT_BASE_URL,
   TOKEN_REFRESH_MARGIN_MS,
+  TOKEN_BACKGROUND_REFRESH_LEAD_MS,
+  TOKEN_BACKGROUND_REFRESH_JITTER_MS,
+  DEFAULT_RATE_LIMIT,
+  ENVIRONMENTS,
 } = require("../constants");
 const BazikError = require("../errors/BazikError");
 const BazikAuthError = require("../errors/BazikAuthError");
 const BazikValidationError = require("../errors/BazikValidationError");
 const BazikInsufficientFundsError = require("../errors/BazikInsufficientFundsError");
 const BazikRateLimitError = require("../errors/BazikRateLimitError");
+const BazikAbortError = require("../errors/BazikAbortError");
+const BazikNotFoundError = require("../errors/BazikNotFoundError");
+const BazikServerError = require("../errors/BazikServerError");
+const BazikResponseFormatError = require("../errors/BazikResponseFormatError");
+const BazikEnvironmentMismatchError = require("../errors/BazikEnvironmentMismatchError");
+const BazikPayoutDeclinedError = require("../errors/BazikPayoutDeclinedError");
+const Gourdes = require("../money/Gourdes");
 const request = require("../http/request");
+const RateLimiter = require("../http/RateLimiter");
+const CircuitBreaker = require("../http/CircuitBreaker");
+const { throwIfAborted, raceSignal } = require("../http/abort");
+const createLogger = require("../logging/createLogger");
+const {
+  normalizeRetryPolicy,
+  computeDelay,
+  isTransientError,
+  sleep,
+} = require("../http/retry");
 const Payments = require("./Payments");
 const Transfers = require("./Transfers");
 const Wallet = require("./Wallet");
+const Webhooks = require("./Webhooks");
+const Ledger = require("./Ledger");
+const reconcile = require("../reconcile/reconcile");
+const MemoryLedgerStore = require("../stores/MemoryLedgerStore");
+const IdempotencyCache = require("../stores/IdempotencyCache");
+const createIdempotencyKey = require("../helpers/createIdempotencyKey");
+const runPreflight = require("../helpers/runPreflight");
+const { validate } = require("../schemas/schema");
+const { responseSchemaFor } = require("../schemas/responses");
 
 // ─── Bazik Client ────────────────────────────────────────────────────────────
 
+/**
+ * Record which call failed on an SDK error. Fields already set — e.g. by a
+ * failing `POST /token` inside another call — are kept.
+ * @param {*} err
+ * @param {{ method?: string, path?: string, attempts?: number, requestId?: string | null }} context
+ * @returns {*} — `err`
+ */
+function annotate(err, context) {
+  if (err instanceof BazikError) {
+    for (const [key, value] of Object.entries(context)) {
+      err[key] ??= value ?? null;
+    }
+  }
+  return err;
+}
+
+/**
+ * How an attempt's outcome counts for its circuit: `true` if the API looks
+ * down, `false` if it answered, `null` if the attempt proves neither
+ * (e.g. it was aborted).
+ * @param {*} err
+ * @returns {boolean | null}
+ */
+function circuitVerdict(err) {
+  if (isTransientError(err) || err instanceof BazikServerError) return true;
+  if (err instanceof BazikError && err.status !== null) return false;
+  return null;
+}
+
+/**
+ * The API's request ID for a response, if it sent one.
+ * @param {{ get(name: string): string | null } | undefined} headers
+ * @param {*} data
+ * @returns {string | null}
+ */
+function getRequestId(headers, data) {
+  return (
+    headers?.get?.("x-request-id") ||
+    data?.requestId ||
+    data?.request_id ||
+    null
+  );
+}
+
 class Bazik {
   #userID;
   #secretKey;
@@ -25,6 +99,26 @@ class Bazik {
   #autoRefresh;
   #timeout;
   #onTokenRefresh;
+  #retry;
+  #idempotencyCache;
+  #tokenStore;
+  #backgroundRefresh;
+  #authPromise = null;
+  #refreshPromise = null;
+  #refreshTimer = null;
+  #closed = false;
+  #interceptors = [];
+  #log;
+  #intercepted = new WeakSet();
+  #rateLimiter = null;
+  #tokenRateLimiter = null;
+  #circuitBreaker = null;
+  #strict = null;
+  #environment = null;
+  #reportedEnvironment = null;
+  #environmentChecked = false;
+  #environmentCheck = null;
+  #confirmPayouts = null;
 
   /**
    * Create a new Bazik client.
@@ -34,8 +128,42 @@ class Bazik {
    * @param {string} config.secretKey    — Your secret key (e.g. "sk_...")
    * @param {string} [config.baseURL]    — API base URL (default: https://api.bazik.io)
    * @param {boolean} [config.autoRefresh] — Automatically refresh token before expiry (default: true)
+   * @param {boolean} [config.backgroundRefresh] — With autoRefresh, renew the token in the background before it is due (default: true)
    * @param {number} [config.timeout]    — Request timeout in ms (default: 30000)
    * @param {(token: string) => void} [config.onTokenRefresh] — Callback when token is refreshed
+   * @param {Object} [config.tokenStore] — Shared token cache with async `get`, `set` and `delete`, keyed by userID
+   * @param {false | Object} [config.retry] — Retry policy for transient failures, or `false` to disable
+   * @param {number} [config.retry.maxAttempts=3]    — Total attempts, including the first
+   * @param {number} [config.retry.baseDelayMs=500]  — Backoff base; doubles each attempt, with full jitter
+   * @param {number} [config.retry.maxDelayMs=10000] — Backoff cap; a longer `Retry-After` is not retried
+   * @param {number[]} [config.retry.retryableStatuses] — Default: 408, 429, 500, 502, 503, 504
+   * @param {boolean} [config.retry.retryNonIdempotent=false] — Also retry POSTs without an idempotency key
+   * @param {false | Object} [config.idempotencyCache] — Local key → result cache for money-moving calls, or `false` to disable
+   * @param {number} [config.idempotencyCache.maxEntries=1000]
+   * @param {number} [config.idempotencyCache.ttlMs=86400000]
+   * @param {Object} [config.logger] — `console`, pino, or any object with debug/info/warn/error; output is redacted
+   * @param {"debug"|"info"|"warn"|"error"} [config.logLevel] — Minimum level to log (default: "info")
+   * @param {Object[]} [config.interceptors] — Request/response/error hooks, see `use()`
+   * @param {string} [config.webhookSecret] — Shared secret used to verify incoming webhooks
+   * @param {number} [config.webhookTolerance] — Max webhook age in seconds (default: 300)
+   * @param {boolean | Object} [config.rateLimit] — Queue requests client-side to stay under API quotas (default: off)
+   * @param {number} [config.rateLimit.requestsPerSecond=10] — Sustained rate for API calls
+   * @param {number} [config.rateLimit.burst=10]             — API calls allowed back-to-back
+   * @param {{ requestsPerSecond?: number, burst?: number }} [config.rateLimit.token] — Separate budget for `POST /token` (default: 1/s, burst 2)
+   * @param {boolean | Object} [config.circuitBreaker] — Fail fast while the API or a provider is down (default: off)
+   * @param {number} [config.circuitBreaker.failureRate=0.5]    — Failure share that opens a circuit
+   * @param {number} [config.circuitBreaker.minimumRequests=10] — Calls in the window before a circuit can open
+   * @param {number} [config.circuitBreaker.windowMs=60000]     — Rolling window for the failure rate
+   * @param {number} [config.circuitBreaker.openMs=30000]       — Time to fail fast before a trial call
+   * @param {number} [config.circuitBreaker.halfOpenRequests=1] — Trial calls allowed while half-open
+   * @param {(event: Object) => void} [config.circuitBreaker.onStateChange] — Called with `{ circuit, from, to, failureRate }`
+   * @param {boolean | Object} [config.strict] — Validate every response against the SDK's schemas (default: off)
+   * @param {(report: { method: string, path: string, fields: string[] }) => void} [config.strict.onUnknownFields] — Called when a response has fields the SDK does not know
+   * @param {boolean | Object} [config.ledger] — Record payments and transfers locally: `true` for memory, or a store with async `get`, `put` and `query` (default: off)
+   * @param {"sandbox"|"production"} [config.environment] — Expected API environment; a response reporting another one throws `BazikEnvironmentMismatchError`
+   * @param {Object} [config.confirmPayouts] — Ask before sending production payouts (default: off)
+   * @param {(payout: Object) => boolean | Promise<boolean>} config.confirmPayouts.confirm — Resolve `true` to send the payout
+   * @param {number | Gourdes} [config.confirmPayouts.above=0] — Only payouts above this many HTG need confirming
    *
    * @example
    * // CommonJS
@@ -60,15 +188,388 @@ class Bazik {
     this.#secretKey = config.secretKey;
     this.#baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, "");
     this.#autoRefresh = config.autoRefresh !== false;
+    this.#backgroundRefresh = config.backgroundRefresh !== false;
     this.#timeout = config.timeout || 30_000;
     this.#onTokenRefresh = config.onTokenRefresh || null;
+    this.#retry = normalizeRetryPolicy(config.retry);
+    this.#log = createLogger(config.logger, config.logLevel);
+    this.#idempotencyCache =
+      config.idempotencyCache === false
+        ? null
+        : new IdempotencyCache(config.idempotencyCache);
+    this.#tokenStore = config.tokenStore || null;
+    if (config.rateLimit) {
+      const limits = config.rateLimit === true ? {} : config.rateLimit;
+      this.#rateLimiter = new RateLimiter({ ...DEFAULT_RATE_LIMIT, ...limits });
+      this.#tokenRateLimiter = new RateLimiter({
+        ...DEFAULT_RATE_LIMIT.token,
+        ...limits.token,
+      });
+    }
+    if (config.circuitBreaker) {
+      const options =
+        config.circuitBreaker === true ? {} : config.circuitBreaker;
+      this.#circuitBreaker = new CircuitBreaker({
+        ...options,
+        onStateChange: (event) => {
+          const log = event.to === "closed" ? this.#log.info : this.#log.warn;
+          log(`Circuit ${event.circuit} is ${event.to}`, event);
+          if (options.onStateChange) options.onStateChange(event);
+        },
+      });
+    }
+    if (config.strict) {
+      this.#strict = config.strict === true ? {} : config.strict;
+    }
+    if (config.environment !== undefined) {
+      if (!ENVIRONMENTS.includes(config.environment)) {
+        throw new BazikValidationError(
+          `Invalid environment "${config.environment}". Must be "sandbox" or "production".`
+        );
+      }
+      this.#environment = config.environment;
+    }
+    if (config.confirmPayouts) {
+      const { confirm, above = 0 } = config.confirmPayouts;
+      if (typeof confirm !== "function") {
+        throw new BazikValidationError(
+          "confirmPayouts.confirm must be a function."
+        );
+      }
+      this.#confirmPayouts = { confirm, above: Gourdes.from(above) };
+    }
     this.#token = null;
     this.#tokenExpiresAt = 0;
 
+    for (const interceptor of config.interceptors || []) {
+      this.use(interceptor);
+    }
+
     // Bind sub-modules
+    this.ledger = config.ledger
+      ? new Ledger(
+          config.ledger === true ? new MemoryLedgerStore() : config.ledger,
+          this.#log
+        )
+      : null;
     this.payments = new Payments(this);
-    this.transfers = new Transfers(this);
+    this.transfers = new Transfers(this, this.#log);
     this.wallet = new Wallet(this);
+    this.webhooks = new Webhooks(this, {
+      secret: config.webhookSecret,
+      tolerance: config.webhookTolerance,
+    });
+  }
+
+  // ── Interceptors ────────────────────────────────────────────────────────
+
+  /**
+   * Register an interceptor. Every stage is optional and may be async.
+   * Stages run in registration order, on every HTTP call — API requests,
+   * their retries, and `POST /token`.
+   *
+   * - `onRequest(ctx)` — `ctx` is `{ method, path, url, headers, body }`.
+   *   Mutate it or return a replacement.
+   * - `onResponse(response, ctx)` — `response` is `{ status, data, headers }`.
+   *   Return a replacement to change what the SDK sees.
+   * - `onError(error, ctx)` — Return (or throw) a different error to replace it.
+   *
+   * @param {{ onRequest?: Function, onResponse?: Function, onError?: Function }} interceptor
+   * @returns {() => void} — Removes the interceptor
+   *
+   * @example
+   * bazik.use({
+   *   onRequest(ctx) {
+   *     ctx.headers["X-Correlation-ID"] = getCorrelationId();
+   *   },
+   *   onResponse(response, ctx) {
+   *     audit.log(ctx.method, ctx.path, response.status);
+   *   },
+   * });
+   */
+  use(interceptor) {
+    if (!interceptor || typeof interceptor !== "object") {
+      throw new BazikValidationError(
+        "An interceptor must be an object with onRequest, onResponse or onError."
+      );
+    }
+    this.#interceptors.push(interceptor);
+    return () => {
+      const index = this.#interceptors.indexOf(interceptor);
+      if (index !== -1) this.#interceptors.splice(index, 1);
+    };
+  }
+
+  /**
+   * Send one HTTP request through the onRequest stages, the rate limiter
+   * and the onResponse stages.
+   * @param {{ method: string, path: string, headers: Record<string, string>, body?: *, signal?: AbortSignal, priority?: "high"|"normal"|"low" }} req
+   * @returns {Promise<{ status: number, data: *, headers: Headers }>}
+   */
+  async #http(req) {
+    let ctx = {
+      ...req,
+      url: `${this.#baseURL}${req.path}`,
+      headers: { ...req.headers },
+    };
+    for (const { onRequest } of this.#interceptors) {
+      if (onRequest) ctx = (await onRequest(ctx)) || ctx;
+    }
+
+    const opts = {
+      method: ctx.method,
+      headers: ctx.headers,
+      timeout: this.#timeout,
+      signal: ctx.signal,
+    };
+    if (ctx.body !== undefined) {
+      opts.body = JSON.stringify(ctx.body);
+    }
+
+    const limiter =
+      req.path === "/token" ? this.#tokenRateLimiter : this.#rateLimiter;
+    if (limiter) {
+      const waitMs = await limiter.acquire({
+        priority: ctx.priority,
+        signal: ctx.signal,
+      });
+      if (waitMs > 0) {
+        this.#log.debug(`${ctx.method} ${ctx.path} queued for ${waitMs}ms`, {
+          method: ctx.method,
+          path: ctx.path,
+          waitMs,
+        });
+      }
+    }
+
+    this.#log.debug(`${ctx.method} ${ctx.path}`, {
+      method: ctx.method,
+      path: ctx.path,
+      body: ctx.body,
+    });
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await request(ctx.url, opts);
+    } catch (err) {
+      this.#log.debug(`${ctx.method} ${ctx.path} failed: ${err.message}`, {
+        method: ctx.method,
+        path: ctx.path,
+        durationMs: Date.now() - startedAt,
+        error: err,
+      });
+      throw err;
+    }
+    this.#log.debug(`${ctx.method} ${ctx.path} → ${response.status}`, {
+      method: ctx.method,
+      path: ctx.path,
+      status: response.status,
+      durationMs: Date.now() - startedAt,
+    });
+
+    for (const { onResponse } of this.#interceptors) {
+      if (onResponse) response = (await onResponse(response, ctx)) || response;
+    }
+    return response;
+  }
+
+  /**
+   * Run an error through the onError stages, once.
+   * @param {*} err
+   * @param {{ method: string, path: string }} ctx
+   * @returns {Promise<*>} — The error to throw
+   */
+  async #interceptError(err, ctx) {
+    if (err && typeof err === "object" && this.#intercepted.has(err)) {
+      return err;
+    }
+    let error = err;
+    for (const { onError } of this.#interceptors) {
+      if (!onError) continue;
+      try {
+        error = (await onError(error, ctx)) || error;
+      } catch (thrown) {
+        error = thrown;
+      }
+    }
+    if (error && typeof error === "object") {
+      this.#intercepted.add(error);
+    }
+    return error;
+  }
+
+  // ── Reconciliation ──────────────────────────────────────────────────────
+
+  /**
+   * Re-check local records against `payments.verify` (records with an
+   * `orderId`) and `transfers.getStatus` (records with a `transactionId`),
+   * and report every difference. Ledger entries can be passed as-is.
+   * A transfer reported as "processing" matches an expected "pending", and
+   * "successful" matches the "completed" of a create response.
+   *
+   * @param {Array<{ orderId?: string, transactionId?: string, amount?: number, fees?: number, status?: string }>} records
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5]     — Status checks in flight at once
+   * @param {AbortSignal} [options.signal]       — Stop early; rejects with BazikAbortError
+   * @param {"high"|"normal"|"low"} [options.priority="low"] — Rate limiter lane for the checks
+   * @returns {Promise<import("../reconcile/ReconciliationReport")>}
+   *
+   * @example
+   * const report = await bazik.reconcile(await db.pendingPayouts());
+   * if (!report.ok) {
+   *   fs.writeFileSync("reconcile.csv", report.toCSV());
+   * }
+   */
+  async reconcile(records, options = {}) {
+    return reconcile(this, records, options);
+  }
+
+  // ── Environment ─────────────────────────────────────────────────────────
+
+  /**
+   * The API environment: the `environment` option, else the one the last
+   * response reported, else `null` until a response has said.
+   * @returns {"sandbox"|"production"|null}
+   */
+  get environment() {
+    return this.#environment ?? this.#reportedEnvironment;
+  }
+
+  /**
+   * Internal: with the `environment` option, make sure the API is the
+   * expected one before a payout is sent. Until a response has shown it,
+   * concurrent callers share one `GET /balance`, which throws
+   * `BazikEnvironmentMismatchError` before any money moves.
+   * @param {{ signal?: AbortSignal, priority?: "high"|"normal"|"low" }} [options]
+   * @returns {Promise<void>}
+   */
+  async _ensureEnvironment(options = {}) {
+    if (!this.#environment || this.#environmentChecked) return;
+    throwIfAborted(options.signal);
+    this.#environmentCheck ??= this._request("GET", "/balance", undefined, {
+      priority: options.priority,
+    })
+      .then(() => {
+        this.#environmentChecked = true;
+      })
+      .finally(() => {
+        this.#environmentCheck = null;
+      });
+    return raceSignal(this.#environmentCheck, options.signal);
+  }
+
+  /**
+   * Internal: the one path every payout takes — environment check,
+   * optional pre-flight, `confirmPayouts`, then the POST, recorded in the
+   * ledger. A payout that lands in the wrong environment is still recorded
+   * before its `BazikEnvironmentMismatchError` is rethrown.
+   * @param {Object} payout
+   * @param {"withdrawal"|"transfer"} payout.kind
+   * @param {"moncash"|"natcash"} payout.provider
+   * @param {string} payout.path     — e.g. "/moncash/withdraw"
+   * @param {Object} payout.body     — The validated payout params
+   * @param {string} payout.source   — Ledger source, e.g. "payments.withdraw"
+   * @param {Object} [options]       — The caller's payout options
+   * @returns {Promise<Object>}      — With `preflight` when enabled
+   */
+  async _sendPayout({ kind, provider, path, body, source }, options = {}) {
+    const requestOptions = {
+      signal: options.signal,
+      priority: options.priority,
+    };
+
+    await this._ensureEnvironment(requestOptions);
+    const preflight = options.preflight
+      ? await runPreflight(
+          this,
+          { provider, gdes: body.gdes, wallet: body.wallet },
+          options.preflight,
+          requestOptions
+        )
+      : null;
+
+    await this._confirmPayout(provider, body, preflight);
+
+    const record = (result) =>
+      this.ledger?._recordPayout(kind, provider, body, result, source);
+    const result = await this._request("POST", path, body, {
+      idempotencyKey:
+        options.idempotencyKey || createIdempotencyKey(path, body),
+      ...requestOptions,
+    }).catch(async (err) => {
+      // The payout went through, just not where expected: keep it.
+      if (err instanceof BazikEnvironmentMismatchError) {
+        await record(err.details.response);
+      }
+      throw err;
+    });
+    await record(result);
+    return preflight ? { ...result, preflight } : result;
+  }
+
+  /**
+   * Internal: with `confirmPayouts`, ask before a payout above the
+   * threshold leaves a production account. While the environment is
+   * still unknown, payouts are treated as production. Runs after
+   * pre-flight, so nobody approves a payout the checks would reject.
+   * @param {"moncash"|"natcash"} provider
+   * @param {Object} body — The validated payout params
+   * @param {{ customer: Object | null, quote: Object, balance: Object } | null} preflight
+   * @returns {Promise<void>}
+   */
+  async _confirmPayout(provider, body, preflight) {
+    if (!this.#confirmPayouts) return;
+    const { confirm, above } = this.#confirmPayouts;
+    const environment = this.environment;
+    if (
+      environment === "sandbox" ||
+      Gourdes.from(body.gdes).compare(above) <= 0
+    ) {
+      return;
+    }
+
+    const approved = await confirm({
+      ...body,
+      provider,
+      environment,
+      preflight: preflight ?? null,
+    });
+    if (approved !== true) {
+      throw new BazikPayoutDeclinedError(
+        `Payout of ${body.gdes} HTG via ${provider} was not confirmed.`,
+        {
+          provider,
+          amount: body.gdes,
+          threshold: above.toNumber(),
+          environment,
+        }
+      );
+    }
+  }
+
+  /**
+   * Remember the environment a response reports, and throw if it is not
+   * the configured one. Responses without an `environment` field pass.
+   * The error keeps the response: the API has already acted on the call.
+   * @param {*} data
+   * @param {string | null} requestId
+   */
+  #checkEnvironment(data, requestId) {
+    const actual = data?.environment;
+    if (typeof actual !== "string") return;
+    this.#reportedEnvironment = actual;
+    const expected = this.#environment;
+    if (!expected) return;
+    this.#environmentChecked = actual === expected;
+    if (!this.#environmentChecked) {
+      throw annotate(
+        new BazikEnvironmentMismatchError(
+          `Expected the ${expected} API but the response came from ${actual}. Check the credentials and baseURL.`,
+          { expected, actual, response: data }
+        ),
+        { requestId }
+      );
+    }
   }
 
   // ── Token management ────────────────────────────────────────────────────
@@ -76,51 +577,92 @@ class Bazik {
   /**
    * Authenticate and obtain an access token.
    * The token is cached internally and reused for subsequent requests.
+   * Concurrent calls share a single in-flight `POST /token`; aborting
+   * `options.signal` stops this caller waiting without cancelling it for
+   * the others.
    *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
    * @returns {Promise<{ success: boolean, token: string, user_id: string, expires_at: number, message: string }>}
    *
    * @example
    * const auth = await bazik.authenticate();
    * console.log("Token expires at:", new Date(auth.expires_at));
    */
-  async authenticate() {
-    const { status, data } = await request(`${this.#baseURL}/token`, {
+  async authenticate(options = {}) {
+    throwIfAborted(options.signal);
+    this.#authPromise ??= this.#fetchToken().finally(() => {
+      this.#authPromise = null;
+    });
+    return raceSignal(this.#authPromise, options.signal);
+  }
+
+  async #fetchToken() {
+    try {
+      return await this.#exchangeCredentials();
+    } catch (err) {
+      annotate(err, { method: "POST", path: "/token", attempts: 1 });
+      throw await this.#interceptError(err, { method: "POST", path: "/token" });
+    }
+  }
+
+  async #exchangeCredentials() {
+    const { status, data, headers } = await this.#http({
       method: "POST",
+      path: "/token",
       headers: { "Content-Type": "application/json" },
-      timeout: this.#timeout,
-      body: JSON.stringify({
+      body: {
         userID: this.#userID,
         secretKey: this.#secretKey,
-      }),
+      },
     });
 
+    const requestId = getRequestId(headers, data);
+
     if (status === 429) {
-      throw new BazikRateLimitError(
-        "Too many authentication attempts. Please wait before retrying.",
-        data
+      throw annotate(
+        new BazikRateLimitError(
+          "Too many authentication attempts. Please wait before retrying.",
+          data
+        ),
+        { requestId }
       );
     }
 
     if (status === 401) {
-      throw new BazikAuthError(
-        data?.error?.message || "Invalid credentials.",
-        status,
-        data?.error?.code,
-        data?.error?.details
+      throw annotate(
+        new BazikAuthError(
+          data?.error?.message || "Invalid credentials.",
+          status,
+          data?.error?.code,
+          data?.error?.details
+        ),
+        { requestId }
       );
     }
 
     if (status !== 200 || !data?.token) {
-      throw new BazikError(
-        data?.error?.message || "Authentication failed.",
-        status,
-        data?.error?.code,
-        data
+      throw annotate(
+        new (status >= 500 ? BazikServerError : BazikError)(
+          data?.error?.message || "Authentication failed.",
+          status,
+          data?.error?.code,
+          data
+        ),
+        { requestId }
       );
     }
 
-    this.#token = data.token;
-    this.#tokenExpiresAt = data.expires_at;
+    this.#checkResponse("POST", "/token", data, requestId);
+    this.#setToken(data.token, data.expires_at);
+    this.#log.info("Token refreshed", { expiresAt: data.expires_at });
+
+    if (this.#tokenStore) {
+      await this.#callTokenStore("set", {
+        token: data.token,
+        expiresAt: data.expires_at,
+      });
+    }
 
     if (this.#onTokenRefresh) {
       this.#onTokenRefresh(data.token);
@@ -129,6 +671,53 @@ class Bazik {
     return data;
   }
 
+  /**
+   * Rate limiter queue depth and wait times, or `null` when `rateLimit` is
+   * off. `requests` covers API calls; `token` covers `POST /token`.
+   *
+   * @returns {{ requests: Object, token: Object } | null}
+   *
+   * @example
+   * const { requests } = bazik.getRateLimitStats();
+   * metrics.gauge("bazik.queue_depth", requests.queued);
+   * metrics.gauge("bazik.queue_wait_ms", requests.averageWaitMs);
+   */
+  getRateLimitStats() {
+    if (!this.#rateLimiter) return null;
+    return {
+      requests: this.#rateLimiter.stats(),
+      token: this.#tokenRateLimiter.stats(),
+    };
+  }
+
+  /**
+   * State of each circuit that has seen a call — `moncash`, `natcash` and
+   * `api` for everything else — or `null` when `circuitBreaker` is off.
+   *
+   * @returns {Record<string, { state: "closed"|"open"|"half-open", requests: number, failureRate: number }> | null}
+   */
+  getCircuitStats() {
+    return this.#circuitBreaker ? this.#circuitBreaker.stats() : null;
+  }
+
+  /**
+   * Release the client's timers: stop the background token refresh and
+   * reject calls still queued by the rate limiter with a `BazikAbortError`.
+   * Requests already sent finish normally, and later calls still work —
+   * the token is then refreshed inline. Call this before dropping a
+   * client, so a pending refresh timer does not keep it in memory.
+   *
+   * @example
+   * process.on("SIGTERM", () => bazik.close());
+   */
+  close() {
+    this.#closed = true;
+    clearTimeout(this.#refreshTimer);
+    this.#refreshTimer = null;
+    this.#rateLimiter?.close();
+    this.#tokenRateLimiter?.close();
+  }
+
   /**
    * Returns true if the current token is still valid (with a safety margin).
    * @returns {boolean}
@@ -139,65 +728,361 @@ class Bazik {
   }
 
   /**
-   * Get a valid token, refreshing if needed.
+   * Get a valid token, refreshing if needed. With a `tokenStore`, a token
+   * saved by another process is reused before authenticating again.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
    * @returns {Promise<string>}
    */
-  async getToken() {
-    if (!this.#token || (this.#autoRefresh && !this.isTokenValid())) {
-      await this.authenticate();
+  async getToken(options = {}) {
+    throwIfAborted(options.signal);
+    if (this.#needsToken()) {
+      await this.#refresh(undefined, options.signal);
     }
     return this.#token;
   }
 
+  #needsToken() {
+    return !this.#token || (this.#autoRefresh && !this.isTokenValid());
+  }
+
+  /**
+   * Obtain a new token — from the store if possible, otherwise by
+   * authenticating. Concurrent callers share one refresh.
+   * @param {string} [rejected] — A token known to be stale, never reused
+   * @param {AbortSignal} [signal] — Stops this caller waiting, not the refresh
+   * @returns {Promise<void>}
+   */
+  #refresh(rejected, signal) {
+    this.#refreshPromise ??= (async () => {
+      if (
+        this.#tokenStore &&
+        (await this.#loadStoredToken(rejected)) &&
+        !this.#needsToken()
+      ) {
+        return;
+      }
+      await this.authenticate();
+    })().finally(() => {
+      this.#refreshPromise = null;
+    });
+    return raceSignal(this.#refreshPromise, signal);
+  }
+
+  #setToken(token, expiresAt) {
+    this.#token = token;
+    this.#tokenExpiresAt = expiresAt;
+    this.#scheduleRefresh();
+  }
+
+  /**
+   * Renew the token shortly before `isTokenValid()` would turn false, so
+   * request latency never includes an auth round-trip. The moment is
+   * jittered, so processes sharing a stored token do not all refresh at
+   * once: the first one saves a new token and the others adopt it. The
+   * timer does not keep the process alive.
+   */
+  #scheduleRefresh() {
+    clearTimeout(this.#refreshTimer);
+    this.#refreshTimer = null;
+    if (this.#closed || !this.#autoRefresh || !this.#backgroundRefresh) {
+      return;
+    }
+
+    const due =
+      this.#tokenExpiresAt -
+      TOKEN_REFRESH_MARGIN_MS -
+      TOKEN_BACKGROUND_REFRESH_LEAD_MS -
+      Date.now();
+    if (due <= 0) return;
+    const delay =
+      due - Math.random() * Math.min(due, TOKEN_BACKGROUND_REFRESH_JITTER_MS);
+
+    // setTimeout overflows past ~24.8 days; re-arm until the real deadline.
+    const maxDelay = 2 ** 31 - 1;
+    this.#refreshTimer = setTimeout(() => {
+      if (delay > maxDelay) {
+        this.#scheduleRefresh();
+        return;
+      }
+      // Rejecting the current token re-reads the store first, so a newer
+      // token saved by another process is used instead of POST /token.
+      // A failed background refresh is not fatal: the next getToken()
+      // refreshes inline once the token is no longer valid.
+      this.#refresh(this.#token).catch(() => {});
+    }, Math.min(delay, maxDelay));
+    this.#refreshTimer.unref?.();
+  }
+
   /**
-   * Internal: make an authenticated API request.
+   * Adopt the shared token if it has not expired, ignoring `rejected` —
+   * a token the API just answered 401 to.
+   * @param {string} [rejected]
+   * @returns {Promise<boolean>} — Whether a token was adopted
+   */
+  async #loadStoredToken(rejected) {
+    const stored = await this.#callTokenStore("get");
+    if (
+      !stored?.token ||
+      stored.token === rejected ||
+      stored.expiresAt <= Date.now()
+    ) {
+      return false;
+    }
+    this.#setToken(stored.token, stored.expiresAt);
+    this.#log.debug("Token loaded from store", { expiresAt: stored.expiresAt });
+    return true;
+  }
+
+  /**
+   * Call the token store for this client's userID. The store is only a
+   * cache: if it fails, the error is logged and the client carries on with
+   * its in-memory token.
+   * @param {"get"|"set"|"delete"} method
+   * @param {...*} args
+   * @returns {Promise<*>} — The store's result, or `undefined` on failure
+   */
+  async #callTokenStore(method, ...args) {
+    try {
+      return await this.#tokenStore[method](this.#userID, ...args);
+    } catch (err) {
+      this.#log.warn(`Token store ${method} failed: ${err.message}`, {
+        error: err,
+      });
+      return undefined;
+    }
+  }
+
+  /**
+   * Internal: make an authenticated API request, retrying transient
+   * failures according to the client's retry policy. Calls that carry an
+   * idempotency key are deduplicated through the local idempotency cache.
    * @param {string} method
    * @param {string} path
    * @param {*} [body]
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] — Sent as `Idempotency-Key`; makes a POST safe to retry
+   * @param {AbortSignal} [options.signal]      — Cancels the request, token refresh and retry waits
+   * @param {"high"|"normal"|"low"} [options.priority="normal"] — Rate limiter lane
    * @returns {Promise<*>}
    */
-  async _request(method, path, body) {
-    const token = await this.getToken();
+  async _request(method, path, body, options = {}) {
+    try {
+      if (options.idempotencyKey && this.#idempotencyCache) {
+        // A caller joining an in-flight key can still stop waiting on it.
+        return await raceSignal(
+          this.#idempotencyCache.run(options.idempotencyKey, body, () =>
+            this.#attempt(method, path, body, options)
+          ),
+          options.signal
+        );
+      }
+      return await this.#attempt(method, path, body, options);
+    } catch (err) {
+      if (err instanceof BazikAbortError) {
+        this.#log.debug(`${method} ${path} aborted`, { method, path });
+      } else {
+        this.#log.warn(`${method} ${path} failed: ${err.message}`, {
+          method,
+          path,
+          error: err,
+        });
+      }
+      throw await this.#interceptError(err, { method, path, body });
+    }
+  }
+
+  /**
+   * Run a request through the retry policy.
+   * @returns {Promise<*>}
+   */
+  async #attempt(method, path, body, options) {
+    const policy = this.#retry;
+    const safe =
+      method === "GET" || !!options.idempotencyKey || policy.retryNonIdempotent;
+    const maxAttempts = safe ? policy.maxAttempts : 1;
+
+    let attempt = 0;
+    try {
+      for (;;) {
+        attempt += 1;
+        const circuit = this.#circuitBreaker?.acquire(path);
+        let response;
+        try {
+          response = await this.#send(method, path, body, options);
+        } catch (err) {
+          this.#circuitBreaker?.record(circuit, circuitVerdict(err));
+          if (attempt < maxAttempts && isTransientError(err)) {
+            const delay = computeDelay(policy, attempt);
+            this.#log.warn(`Retrying ${method} ${path} in ${delay}ms`, {
+              method,
+              path,
+              attempt,
+              delayMs: delay,
+              error: err,
+            });
+            await sleep(delay, options.signal);
+            continue;
+          }
+          throw err;
+        }
+
+        const { status, data, headers } = response;
+        this.#circuitBreaker?.record(circuit, status >= 500);
+        if (
+          attempt < maxAttempts &&
+          policy.retryableStatuses.includes(status)
+        ) {
+          const delay = computeDelay(
+            policy,
+            attempt,
+            headers?.get("retry-after")
+          );
+          if (delay !== null) {
+            this.#log.warn(`Retrying ${method} ${path} in ${delay}ms`, {
+              method,
+              path,
+              attempt,
+              delayMs: delay,
+              status,
+            });
+            await sleep(delay, options.signal);
+            continue;
+          }
+        }
+
+        const result = this.#handleResponse(status, data, headers);
+        const requestId = getRequestId(headers, data);
+        this.#checkEnvironment(result, requestId);
+        this.#checkResponse(method, path, result, requestId);
+        return result;
+      }
+    } catch (err) {
+      throw annotate(err, { method, path, attempts: attempt });
+    }
+  }
+
+  /**
+   * Send a single request, re-authenticating once on 401.
+   * @returns {Promise<{ status: number, data: *, headers: Headers }>}
+   */
+  async #send(method, path, body, options) {
+    const { signal, priority } = options;
+    const token = await this.getToken({ signal });
 
     const headers = {
       Authorization: `Bearer ${token}`,
       "Content-Type": "application/json",
     };
+    if (options.idempotencyKey) {
+      headers["Idempotency-Key"] = options.idempotencyKey;
+    }
 
-    const opts = { method, headers, timeout: this.#timeout };
-    if (body !== undefined) {
-      opts.body = JSON.stringify(body);
+    const response = await this.#http({
+      method,
+      path,
+      headers,
+      body,
+      signal,
+      priority,
+    });
+    if (response.status !== 401 || !this.#autoRefresh) {
+      return response;
     }
 
-    const { status, data } = await request(
-      `${this.#baseURL}${path}`,
-      opts
-    );
+    // Token may have expired — refresh once, unless a concurrent request
+    // already replaced it. Every caller waits on the same refresh.
+    if (this.#token === token) {
+      await this.#refresh(token, signal);
+    }
+    const retry = await this.#http({
+      method,
+      path,
+      headers: { ...headers, Authorization: `Bearer ${this.#token}` },
+      body,
+      signal,
+      priority,
+    });
+    if (retry.status === 401) {
+      if (this.#tokenStore) {
+        await this.#callTokenStore("delete");
+      }
+      throw annotate(
+        new BazikAuthError(
+          "Authentication failed after token refresh.",
+          401,
+          "unauthorized",
+          retry.data
+        ),
+        { requestId: getRequestId(retry.headers, retry.data) }
+      );
+    }
+    return retry;
+  }
 
-    // Handle common error statuses
-    if (status === 401) {
-      // Token may have expired — try one refresh
-      if (this.#autoRefresh) {
-        await this.authenticate();
-        const retryHeaders = {
-          Authorization: `Bearer ${this.#token}`,
-          "Content-Type": "application/json",
-        };
-        const retry = await request(`${this.#baseURL}${path}`, {
-          ...opts,
-          headers: retryHeaders,
-        });
-        if (retry.status === 401) {
-          throw new BazikAuthError(
-            "Authentication failed after token refresh.",
-            401,
-            "unauthorized",
-            retry.data
-          );
-        }
-        return retry.data;
+  /**
+   * Map an API response to its data, or throw the matching error.
+   * @param {number} status
+   * @param {*} data
+   * @param {{ get(name: string): string | null }} [headers]
+   * @returns {*}
+   */
+  #handleResponse(status, data, headers) {
+    if (status < 400) {
+      return data;
+    }
+    throw annotate(this.#responseError(status, data), {
+      requestId: getRequestId(headers, data),
+    });
+  }
+
+  /**
+   * In strict mode, check a successful response against its endpoint's
+   * schema. Mismatches throw; unknown fields are only reported.
+   * @param {string} method
+   * @param {string} path
+   * @param {*} data
+   * @param {string | null} requestId
+   */
+  #checkResponse(method, path, data, requestId) {
+    if (!this.#strict) return;
+    const schema = responseSchemaFor(method, path);
+    if (!schema) return;
+
+    const { errors, unknownFields } = validate(schema, data);
+    if (errors.length > 0) {
+      const [first] = errors;
+      throw annotate(
+        new BazikResponseFormatError(
+          `Unexpected response from ${method} ${path}: ${first.path} ${first.message}.`,
+          first.path,
+          { errors, unknownFields }
+        ),
+        { requestId }
+      );
+    }
+
+    if (unknownFields.length > 0) {
+      this.#log.warn(`${method} ${path} returned unknown fields`, {
+        method,
+        path,
+        fields: unknownFields,
+      });
+      if (this.#strict.onUnknownFields) {
+        this.#strict.onUnknownFields({ method, path, fields: unknownFields });
       }
-      throw new BazikAuthError(
+    }
+  }
+
+  /**
+   * The error for a failed API response.
+   * @param {number} status
+   * @param {*} data
+   * @returns {BazikError}
+   */
+  #responseError(status, data) {
+    if (status === 401) {
+      return new BazikAuthError(
         data?.error?.message || "Unauthorized.",
         401,
         data?.error?.code,
@@ -206,29 +1091,42 @@ class Bazik {
     }
 
     if (status === 402) {
-      throw new BazikInsufficientFundsError(
+      return new BazikInsufficientFundsError(
         data?.error?.message || "Insufficient funds.",
         data
       );
     }
 
+    if (status === 404) {
+      return new BazikNotFoundError(
+        data?.error?.message || "Resource not found.",
+        data?.error?.code,
+        data
+      );
+    }
+
     if (status === 429) {
-      throw new BazikRateLimitError(
+      return new BazikRateLimitError(
         data?.error?.message || "Rate limit exceeded.",
         data
       );
     }
 
-    if (status >= 400) {
-      throw new BazikError(
-        data?.error?.message || data?.message || `Request failed with status ${status}`,
+    if (status >= 500) {
+      return new BazikServerError(
+        data?.error?.message || `Server error (status ${status}).`,
         status,
         data?.error?.code,
         data
       );
     }
 
-    return data;
+    return new BazikError(
+      data?.error?.message || data?.message || `Request failed with status ${status}`,
+      status,
+      data?.error?.code,
+      data
+    );
   }
 }
 
@@ -0,0 +1,221 @@
+"use strict";
+
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Ledger sub-module ───────────────────────────────────────────────────────
+
+const STORE_METHODS = ["get", "put", "query"];
+
+/**
+ * Turn a Date, timestamp or date string into an ISO string.
+ * @param {Date | number | string} value
+ * @param {string} name
+ * @returns {string}
+ */
+function toISO(value, name) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BazikValidationError(`Invalid ${name} date: ${value}.`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Copy `fields` onto `entry`, appending to the status history when the
+ * status changes. `undefined` and `null` fields keep the current value.
+ */
+function applyUpdate(entry, fields, source, now) {
+  const next = { ...entry, updatedAt: now };
+  for (const [key, value] of Object.entries(fields)) {
+    if (key !== "status" && value !== undefined && value !== null) {
+      next[key] = value;
+    }
+  }
+  if (fields.status && fields.status !== entry.status) {
+    next.status = fields.status;
+    next.statusHistory = [
+      ...entry.statusHistory,
+      { status: fields.status, at: now, source },
+    ];
+  }
+  return next;
+}
+
+/**
+ * A local record of every payment, withdrawal and transfer made through
+ * the client, kept up to date by `verify()`, `getStatus()` and webhooks.
+ * Enabled with the `ledger` config option and available as `bazik.ledger`.
+ *
+ * Writes never fail an API call: the money has already moved, so a store
+ * error is logged and the call's result returned as usual.
+ *
+ * @example
+ * const bazik = new Bazik({ userID, secretKey, ledger: new FileLedgerStore("ledger.json") });
+ * await bazik.transfers.moncash({ ...payout, referenceId: "PAYOUT-42" });
+ * const [entry] = await bazik.ledger.query({ referenceId: "PAYOUT-42" });
+ * console.log(entry.status, entry.statusHistory);
+ */
+class Ledger {
+  #store;
+  #log;
+  #queue = Promise.resolve();
+
+  /**
+   * @param {{ get: Function, put: Function, query: Function }} store
+   * @param {{ error: Function, debug: Function }} log
+   */
+  constructor(store, log) {
+    const missing = STORE_METHODS.filter(
+      (m) => typeof store?.[m] !== "function"
+    );
+    if (missing.length > 0) {
+      throw new BazikValidationError(
+        `Ledger store is missing method(s): ${missing.join(", ")}.`
+      );
+    }
+    this.#store = store;
+    this.#log = log;
+  }
+
+  /**
+   * @param {string} id — orderId or transaction_id
+   * @returns {Promise<Object | null>}
+   */
+  async get(id) {
+    await this.flush();
+    return this.#store.get(id);
+  }
+
+  /**
+   * Find entries, oldest first. Every filter field is optional.
+   *
+   * @param {Object} [filter]
+   * @param {string | string[]} [filter.status]         — e.g. "pending" or ["failed", "cancelled"]
+   * @param {string} [filter.referenceId]
+   * @param {"payment"|"withdrawal"|"transfer"} [filter.kind]
+   * @param {"moncash"|"natcash"} [filter.provider]
+   * @param {Date | number | string} [filter.from]      — Created at or after
+   * @param {Date | number | string} [filter.to]        — Created at or before
+   * @returns {Promise<Object[]>}
+   *
+   * @example
+   * const stuck = await bazik.ledger.query({
+   *   status: "pending",
+   *   to: Date.now() - 60 * 60 * 1000,
+   * });
+   */
+  async query(filter = {}) {
+    const normalized = {
+      status:
+        filter.status === undefined ? undefined : [].concat(filter.status),
+      referenceId: filter.referenceId,
+      kind: filter.kind,
+      provider: filter.provider,
+      from: filter.from === undefined ? undefined : toISO(filter.from, "from"),
+      to: filter.to === undefined ? undefined : toISO(filter.to, "to"),
+    };
+    await this.flush();
+    const entries = await this.#store.query(normalized);
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Wait for pending writes — e.g. the update queued by
+   * `webhooks.constructEvent()`.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#queue;
+  }
+
+  /**
+   * Record a new payment, withdrawal or transfer, or update it if the same
+   * id was recorded before (an idempotent replay).
+   * @param {{ id: string, kind: string, provider: string, referenceId?: string, amount: number, fees?: number, total?: number, status: string }} fields
+   * @param {string} source — The SDK method that produced it, e.g. "payments.create"
+   * @returns {Promise<void>} — Never rejects
+   */
+  _record(fields, source) {
+    if (!fields.id) return Promise.resolve();
+    return this.#write(fields.id, async (now) => {
+      const existing = await this.#store.get(fields.id);
+      if (existing) {
+        return this.#store.put(applyUpdate(existing, fields, source, now));
+      }
+      await this.#store.put({
+        id: fields.id,
+        kind: fields.kind,
+        provider: fields.provider,
+        referenceId: fields.referenceId ?? null,
+        amount: fields.amount,
+        fees: fields.fees ?? null,
+        total: fields.total ?? null,
+        currency: "HTG",
+        status: fields.status,
+        statusHistory: [{ status: fields.status, at: now, source }],
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+  }
+
+  /**
+   * Record a withdrawal or transfer from its request body and response.
+   * @param {"withdrawal"|"transfer"} kind
+   * @param {"moncash"|"natcash"} provider
+   * @param {Object} body — The request body sent
+   * @param {Object} result — The API response
+   * @param {string} source
+   * @returns {Promise<void>} — Never rejects
+   */
+  _recordPayout(kind, provider, body, result, source) {
+    return this._record(
+      {
+        id: result.transaction_id,
+        kind,
+        provider,
+        referenceId: body.referenceId ?? result.referenceId,
+        amount: result.amount ?? body.gdes,
+        fees: result.fees,
+        total: result.total,
+        status: result.status ?? "pending",
+      },
+      source
+    );
+  }
+
+  /**
+   * Apply a status update to a recorded entry. Ids the ledger has never
+   * seen are ignored.
+   * @param {string} id
+   * @param {{ status?: string, amount?: number, fees?: number, total?: number }} fields
+   * @param {"payments.verify"|"transfers.getStatus"|"webhook"} source
+   * @returns {Promise<void>} — Never rejects
+   */
+  _update(id, fields, source) {
+    if (!id) return Promise.resolve();
+    return this.#write(id, async (now) => {
+      const existing = await this.#store.get(id);
+      if (!existing) {
+        this.#log.debug(`Ledger has no entry for ${id}; skipping update`);
+        return;
+      }
+      await this.#store.put(applyUpdate(existing, fields, source, now));
+    });
+  }
+
+  /** Serialize writes so read-modify-write stores never lose an update. */
+  #write(id, fn) {
+    const run = this.#queue.then(() =>
+      fn(new Date().toISOString()).catch((err) => {
+        this.#log.error(`Ledger write for ${id} failed: ${err.message}`, {
+          id,
+        });
+      })
+    );
+    this.#queue = run;
+    return run;
+  }
+}
+
+module.exports = Ledger;
@@ -3,8 +3,9 @@
 const validateRequired = require("../helpers/validateRequired");
 const validateAmount = require("../helpers/validateAmount");
 const validateWallet = require("../helpers/validateWallet");
+const createIdempotencyKey = require("../helpers/createIdempotencyKey");
+const pollStatus = require("../helpers/pollStatus");
 const { MAX_MONCASH_AMOUNT } = require("../constants");
-const BazikError = require("../errors/BazikError");
 const BazikValidationError = require("../errors/BazikValidationError");
 
 // ─── Payments sub-module ─────────────────────────────────────────────────────
@@ -20,7 +21,7 @@ class Payments {
    * Create a MonCash payment. The customer must be redirected to `redirectUrl`.
    *
    * @param {Object} params
-   * @param {number} params.gdes              — Amount in Gourdes (max 75,000)
+   * @param {number | Gourdes} params.gdes    — Amount in Gourdes (max 75,000)
    * @param {string} [params.successUrl]      — Redirect URL on success
    * @param {string} [params.errorUrl]        — Redirect URL on error
    * @param {string} [params.description]     — Payment description
@@ -30,6 +31,10 @@ class Payments {
    * @param {string} [params.customerEmail]
    * @param {string} [params.webhookUrl]      — Webhook for status updates
    * @param {Object} [params.metadata]        — Arbitrary metadata
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] — Defaults to one derived from referenceId
+   * @param {AbortSignal} [options.signal]     — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "high")
    * @returns {Promise<Object>}               — Contains orderId, redirectUrl, status, etc.
    *
    * @example
@@ -48,17 +53,40 @@ class Payments {
    * // Redirect the customer to complete the payment
    * console.log("Redirect to:", payment.redirectUrl);
    */
-  async create(params) {
+  async create(params, options = {}) {
     validateRequired(params, ["gdes"]);
-    validateAmount(params.gdes, MAX_MONCASH_AMOUNT);
+    const body = {
+      ...params,
+      gdes: validateAmount(params.gdes, MAX_MONCASH_AMOUNT),
+    };
 
-    return this.#client._request("POST", "/moncash/token", params);
+    const result = await this.#client._request("POST", "/moncash/token", body, {
+      idempotencyKey:
+        options.idempotencyKey || createIdempotencyKey("/moncash/token", body),
+      signal: options.signal,
+      priority: options.priority ?? "high",
+    });
+    await this.#client.ledger?._record(
+      {
+        id: result.orderId,
+        kind: "payment",
+        provider: "moncash",
+        referenceId: body.referenceId ?? result.referenceId,
+        amount: body.gdes,
+        status: result.status ?? "pending",
+      },
+      "payments.create"
+    );
+    return result;
   }
 
   /**
    * Verify a payment status by order ID.
    *
    * @param {string} orderId — The orderId returned by `create()`
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<Object>} — Payment details with status, amount, metadata, etc.
    *
    * @example
@@ -67,60 +95,81 @@ class Payments {
    *   console.log("Payment confirmed!");
    * }
    */
-  async verify(orderId) {
+  async verify(orderId, options = {}) {
     if (!orderId) {
       throw new BazikValidationError("orderId is required.");
     }
-    return this.#client._request("GET", `/order/${encodeURIComponent(orderId)}`);
+    const result = await this.#client._request(
+      "GET",
+      `/order/${encodeURIComponent(orderId)}`,
+      undefined,
+      { signal: options.signal, priority: options.priority }
+    );
+    await this.#client.ledger?._update(
+      orderId,
+      { status: result.status, amount: result.amount },
+      "payments.verify"
+    );
+    return result;
   }
 
   /**
-   * Poll payment status until it resolves or times out.
+   * Poll payment status until it leaves `pending` or the wait times out.
+   * Polls every `intervalMs`; pass `backoff` above 1 to grow the delay, up
+   * to `maxIntervalMs`.
    *
    * @param {string} orderId
    * @param {Object} [options]
-   * @param {number} [options.intervalMs=5000]  — Polling interval
-   * @param {number} [options.timeoutMs=300000] — Max wait time (5 min)
+   * @param {number} [options.intervalMs=5000]     — Delay before the second poll
+   * @param {number} [options.maxIntervalMs=30000] — Upper bound for the delay
+   * @param {number} [options.backoff=1]           — Delay multiplier (1 = fixed interval)
+   * @param {number} [options.timeoutMs=300000]    — Max wait time (5 min)
+   * @param {AbortSignal} [options.signal]         — Stop waiting early
+   * @param {"high"|"normal"|"low"} [options.priority="low"] — Rate limiter lane for the polls
+   * @param {(current: Object, previous: Object | null) => void} [options.onStatusChange]
    * @returns {Promise<Object>} — Final payment status
    *
    * @example
    * const result = await bazik.payments.waitForCompletion("BZK_...", {
-   *   intervalMs: 5000,
+   *   intervalMs: 2000,
    *   timeoutMs: 120000,
+   *   onStatusChange: (p) => console.log(p.status),
    * });
    */
   async waitForCompletion(orderId, options = {}) {
-    const { intervalMs = 5000, timeoutMs = 300_000 } = options;
-    const deadline = Date.now() + timeoutMs;
-
-    while (Date.now() < deadline) {
-      const payment = await this.verify(orderId);
-      if (payment.status !== "pending") {
-        return payment;
-      }
-      await new Promise((r) => setTimeout(r, intervalMs));
+    let payment;
+    for await (const update of pollStatus(
+      () =>
+        this.verify(orderId, {
+          signal: options.signal,
+          priority: options.priority ?? "low",
+        }),
+      (p) => p.status !== "pending",
+      { label: "Payment", ...options }
+    )) {
+      payment = update;
     }
-
-    throw new BazikError(
-      `Payment verification timed out after ${timeoutMs}ms.`,
-      null,
-      "timeout"
-    );
+    return payment;
   }
 
   /**
    * Send money to a MonCash wallet (withdraw / payout).
    *
    * @param {Object} params
-   * @param {number} params.gdes               — Amount in HTG
-   * @param {string} params.wallet             — Recipient phone (8 or 11 digits)
+   * @param {number | Gourdes} params.gdes    — Amount in HTG
+   * @param {string} params.wallet             — Recipient phone, e.g. "+509 4755-6677"
    * @param {string} params.customerFirstName  — Recipient first name
    * @param {string} params.customerLastName   — Recipient last name
    * @param {string} [params.description]
    * @param {string} [params.referenceId]
    * @param {string} [params.customerEmail]
    * @param {string} [params.webhookUrl]
-   * @returns {Promise<Object>}
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] — Defaults to one derived from referenceId
+   * @param {boolean | { tierLimits?: Record<string, number> }} [options.preflight] — Check recipient, quote and balance first
+   * @param {AbortSignal} [options.signal]     — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
+   * @returns {Promise<Object>}                — With `preflight: { customer, quote, balance }` when enabled
    *
    * @example
    * const withdrawal = await bazik.payments.withdraw({
@@ -131,30 +180,47 @@ class Payments {
    *   description: "Weekly earnings",
    * });
    */
-  async withdraw(params) {
+  async withdraw(params, options = {}) {
     validateRequired(params, [
       "gdes",
       "wallet",
       "customerFirstName",
       "customerLastName",
     ]);
-    validateAmount(params.gdes);
-    validateWallet(params.wallet);
-
-    return this.#client._request("POST", "/moncash/withdraw", params);
+    const body = {
+      ...params,
+      gdes: validateAmount(params.gdes),
+      wallet: validateWallet(params.wallet),
+    };
+    return this.#client._sendPayout(
+      {
+        kind: "withdrawal",
+        provider: "moncash",
+        path: "/moncash/withdraw",
+        body,
+        source: "payments.withdraw",
+      },
+      options
+    );
   }
 
   /**
    * Get account balance (MonCash).
    *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<{ available: number, reserved: number, currency: string, environment: string, last_updated: string }>}
    *
    * @example
    * const balance = await bazik.payments.getBalance();
    * console.log(`Available: ${balance.available} ${balance.currency}`);
    */
-  async getBalance() {
-    return this.#client._request("GET", "/balance");
+  async getBalance(options = {}) {
+    return this.#client._request("GET", "/balance", undefined, {
+      signal: options.signal,
+      priority: options.priority,
+    });
   }
 }
 
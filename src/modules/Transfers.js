@@ -3,47 +3,91 @@
 const validateRequired = require("../helpers/validateRequired");
 const validateAmount = require("../helpers/validateAmount");
 const validateWallet = require("../helpers/validateWallet");
+const runConcurrently = require("../helpers/runConcurrently");
+const pollStatus = require("../helpers/pollStatus");
+const Gourdes = require("../money/Gourdes");
+const HaitianPhone = require("../phone/HaitianPhone");
+const { PROVIDERS } = require("../constants");
 const BazikValidationError = require("../errors/BazikValidationError");
+const BazikInsufficientFundsError = require("../errors/BazikInsufficientFundsError");
+const BazikServerError = require("../errors/BazikServerError");
+const BazikCircuitOpenError = require("../errors/BazikCircuitOpenError");
 
 // ─── Transfers sub-module ────────────────────────────────────────────────────
 
+/** Transfer statuses that will not change any more. */
+const SETTLED_TRANSFER_STATUSES = ["successful", "failed", "cancelled"];
+
+/** Batch items with the same amount and provider share one quote. */
+function quoteKey(job) {
+  return `${job.provider}:${Gourdes.from(job.item.gdes).cents}`;
+}
+
+/**
+ * A provider that could not take the transfer at all, so the other one can
+ * be tried without risking a double payout. A 502 is not one: the gateway
+ * may have given up after the provider processed the transfer.
+ */
+function isProviderOutage(err) {
+  return (
+    err instanceof BazikCircuitOpenError ||
+    (err instanceof BazikServerError && err.status === 503)
+  );
+}
+
 class Transfers {
   #client;
+  #log;
 
-  constructor(client) {
+  /**
+   * @param {import("./Bazik")} client
+   * @param {{ warn: Function }} log
+   */
+  constructor(client, log) {
     this.#client = client;
+    this.#log = log;
   }
 
   /**
    * Check MonCash customer/wallet status before sending a transfer.
    *
-   * @param {string} wallet — MonCash phone number (8 digits)
+   * @param {string} wallet — MonCash phone number in any Haitian format
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<Object>} — Customer KYC level and status flags
    *
    * @example
    * const status = await bazik.transfers.checkCustomer("37123456");
    * console.log(status.customerStatus.type); // "fullkyc"
    */
-  async checkCustomer(wallet) {
-    validateWallet(wallet);
-    return this.#client._request("POST", "/moncash/customers/status", {
-      wallet,
-    });
+  async checkCustomer(wallet, options = {}) {
+    return this.#client._request(
+      "POST",
+      "/moncash/customers/status",
+      { wallet: validateWallet(wallet) },
+      { signal: options.signal, priority: options.priority }
+    );
   }
 
   /**
    * Create a MonCash transfer (send money to a wallet).
    *
    * @param {Object} params
-   * @param {number} params.gdes               — Amount in HTG
-   * @param {string} params.wallet             — Recipient phone (8 digits)
+   * @param {number | Gourdes} params.gdes    — Amount in HTG
+   * @param {string} params.wallet             — Recipient phone, e.g. "+509 4755-6677"
    * @param {string} params.customerFirstName
    * @param {string} params.customerLastName
    * @param {string} [params.description]
    * @param {string} [params.referenceId]
    * @param {string} [params.customerEmail]
    * @param {string} [params.webhookUrl]
-   * @returns {Promise<Object>}
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] — Defaults to one derived from referenceId
+   * @param {boolean | { tierLimits?: Record<string, number> }} [options.preflight] — Check recipient, quote and balance first
+   * @param {AbortSignal} [options.signal]     — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
+   * @returns {Promise<Object>}                — With `preflight: { customer, quote, balance }` when enabled
    *
    * @example
    * const transfer = await bazik.transfers.moncash({
@@ -55,32 +99,28 @@ class Transfers {
    * });
    * console.log(transfer.transaction_id); // "TRF_..."
    */
-  async moncash(params) {
-    validateRequired(params, [
-      "gdes",
-      "wallet",
-      "customerFirstName",
-      "customerLastName",
-    ]);
-    validateAmount(params.gdes);
-    validateWallet(params.wallet);
-
-    return this.#client._request("POST", "/moncash/transfers", params);
+  async moncash(params, options = {}) {
+    return this.#create("moncash", params, options);
   }
 
   /**
    * Create a NatCash transfer.
    *
    * @param {Object} params
-   * @param {number} params.gdes               — Amount in HTG
-   * @param {string} params.wallet             — Recipient phone (8 digits)
+   * @param {number | Gourdes} params.gdes    — Amount in HTG
+   * @param {string} params.wallet             — Recipient phone, e.g. "+509 4755-6677"
    * @param {string} params.customerFirstName
    * @param {string} params.customerLastName
    * @param {string} [params.description]
    * @param {string} [params.referenceId]
    * @param {string} [params.customerEmail]
    * @param {string} [params.webhookUrl]
-   * @returns {Promise<Object>}
+   * @param {Object} [options]
+   * @param {string} [options.idempotencyKey] — Defaults to one derived from referenceId
+   * @param {boolean | { tierLimits?: Record<string, number> }} [options.preflight] — Check recipient, quote and balance first
+   * @param {AbortSignal} [options.signal]     — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
+   * @returns {Promise<Object>}                — With `preflight: { customer, quote, balance }` when enabled
    *
    * @example
    * const transfer = await bazik.transfers.natcash({
@@ -90,23 +130,130 @@ class Transfers {
    *   customerLastName: "Pierre",
    * });
    */
-  async natcash(params) {
+  async natcash(params, options = {}) {
+    return this.#create("natcash", params, options);
+  }
+
+  /**
+   * Send a transfer through whichever provider fits the wallet: an
+   * explicit `provider`, else the carrier's (Digicel → MonCash,
+   * Natcom → NatCash). Both providers are candidates when the carrier is
+   * unknown or `crossNetwork` is set; then `compareQuotes` picks the
+   * cheaper one and `fallback` retries on the other after a provider
+   * outage (502/503 or an open circuit). Timeouts and network errors are
+   * never retried elsewhere, since the first transfer may have gone through.
+   *
+   * @param {Object} params                    — As for `moncash()`/`natcash()`
+   * @param {"moncash"|"natcash"} [params.provider] — Skip routing and use this provider
+   * @param {Object} [options]
+   * @param {boolean} [options.compareQuotes=false] — Quote both candidates and pick the cheaper
+   * @param {boolean} [options.fallback=false]      — Try the other candidate on a provider outage
+   * @param {boolean} [options.crossNetwork=false]  — The recipient has both a MonCash and a NatCash wallet
+   * @param {string} [options.idempotencyKey] — Suffixed with the provider for each attempt
+   * @param {boolean | Object} [options.preflight] — As for `moncash()`, run against the chosen provider
+   * @param {AbortSignal} [options.signal]     — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
+   * @returns {Promise<{ provider: string, transactionId: string, status: string, routing: string, quotes: Object | null, failures: Array<{ provider: string, error: Error }>, transfer: Object }>}
+   *
+   * @example
+   * const sent = await bazik.transfers.send({
+   *   gdes: 500,
+   *   wallet: "+509 4455-6677",
+   *   customerFirstName: "Marie",
+   *   customerLastName: "Pierre",
+   * });
+   * console.log(sent.provider); // "natcash"
+   */
+  async send(params, options = {}) {
     validateRequired(params, [
       "gdes",
       "wallet",
       "customerFirstName",
       "customerLastName",
     ]);
-    validateAmount(params.gdes);
-    validateWallet(params.wallet);
+    const { provider: override, ...transfer } = params;
+    if (override !== undefined && !PROVIDERS.includes(override)) {
+      throw new BazikValidationError(
+        `Invalid provider "${override}". Must be "moncash" or "natcash".`
+      );
+    }
+    const gdes = validateAmount(transfer.gdes);
+    const carrierProvider = HaitianPhone.parse(
+      validateWallet(transfer.wallet)
+    ).provider;
+
+    let routing = override
+      ? "override"
+      : carrierProvider
+      ? "carrier"
+      : "default";
+    const first = override ?? carrierProvider ?? PROVIDERS[0];
+    let candidates =
+      override || (carrierProvider && !options.crossNetwork)
+        ? [first]
+        : [first, ...PROVIDERS.filter((p) => p !== first)];
+
+    const requestOptions = {
+      signal: options.signal,
+      priority: options.priority,
+    };
+
+    let quotes = null;
+    if (options.compareQuotes && candidates.length > 1) {
+      quotes = {};
+      await Promise.all(
+        candidates.map(async (provider) => {
+          quotes[provider] = await this.getQuote(
+            gdes,
+            provider,
+            requestOptions
+          );
+        })
+      );
+      const cheapest = [...candidates].sort((a, b) =>
+        Gourdes.round(quotes[a].total_cost).compare(
+          Gourdes.round(quotes[b].total_cost)
+        )
+      );
+      if (cheapest[0] !== candidates[0]) routing = "quote";
+      candidates = cheapest;
+    }
+    if (!options.fallback) candidates = candidates.slice(0, 1);
 
-    return this.#client._request("POST", "/natcash/transfers", params);
+    const failures = [];
+    for (const provider of candidates) {
+      try {
+        const result = await this[provider](transfer, {
+          ...requestOptions,
+          preflight: options.preflight,
+          idempotencyKey:
+            options.idempotencyKey && `${options.idempotencyKey}:${provider}`,
+        });
+        return {
+          provider,
+          transactionId: result.transaction_id,
+          status: result.status,
+          routing,
+          quotes,
+          failures,
+          transfer: result,
+        };
+      } catch (error) {
+        const last = provider === candidates[candidates.length - 1];
+        if (last || !isProviderOutage(error)) throw error;
+        failures.push({ provider, error });
+        routing = "fallback";
+      }
+    }
   }
 
   /**
    * Get transfer status by transaction ID.
    *
    * @param {string} transactionId — e.g. "TRF_1761961466_eafd0ac3"
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<Object>}
    *
    * @example
@@ -115,38 +262,322 @@ class Transfers {
    *   console.log("Transfer completed!");
    * }
    */
-  async getStatus(transactionId) {
+  async getStatus(transactionId, options = {}) {
     if (!transactionId) {
       throw new BazikValidationError("transactionId is required.");
     }
-    return this.#client._request(
+    const result = await this.#client._request(
       "GET",
-      `/transfers/${encodeURIComponent(transactionId)}`
+      `/transfers/${encodeURIComponent(transactionId)}`,
+      undefined,
+      { signal: options.signal, priority: options.priority }
+    );
+    await this.#client.ledger?._update(
+      transactionId,
+      { status: result.status, fees: result.fees, total: result.total },
+      "transfers.getStatus"
+    );
+    return result;
+  }
+
+  /**
+   * Watch a transfer, yielding its status each time it changes. The first
+   * status is always yielded; iteration ends once the transfer is
+   * `successful`, `failed` or `cancelled`.
+   *
+   * @param {string} transactionId
+   * @param {Object} [options] — Same as `waitForCompletion()`
+   * @returns {AsyncGenerator<Object, void>}
+   *
+   * @example
+   * for await (const s of bazik.transfers.watch("TRF_1761961466_eafd0ac3")) {
+   *   dashboard.update(s.transactionId, s.status);
+   * }
+   */
+  watch(transactionId, options = {}) {
+    if (!transactionId) {
+      throw new BazikValidationError("transactionId is required.");
+    }
+    return pollStatus(
+      () =>
+        this.getStatus(transactionId, {
+          signal: options.signal,
+          priority: options.priority ?? "low",
+        }),
+      (s) => SETTLED_TRANSFER_STATUSES.includes(s.status),
+      { label: "Transfer", backoff: 1.5, ...options }
     );
   }
 
+  /**
+   * Poll a transfer until it is `successful`, `failed` or `cancelled`.
+   * The delay between polls grows from `intervalMs` by `backoff`, up to
+   * `maxIntervalMs`.
+   *
+   * @param {string} transactionId
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs=5000]     — Delay before the second poll
+   * @param {number} [options.maxIntervalMs=30000] — Upper bound for the delay
+   * @param {number} [options.backoff=1.5]         — Delay multiplier (1 = fixed interval)
+   * @param {number} [options.timeoutMs=300000]    — Max wait time (5 min)
+   * @param {AbortSignal} [options.signal]         — Stop waiting early
+   * @param {"high"|"normal"|"low"} [options.priority="low"] — Rate limiter lane for the polls
+   * @param {(current: Object, previous: Object | null) => void} [options.onStatusChange]
+   * @returns {Promise<Object>} — Final transfer status
+   *
+   * @example
+   * const transfer = await bazik.transfers.moncash({ ... });
+   * const final = await bazik.transfers.waitForCompletion(transfer.transaction_id);
+   * if (final.status === "failed") console.error(final.failureReason);
+   */
+  async waitForCompletion(transactionId, options = {}) {
+    let transfer;
+    for await (const update of this.watch(transactionId, options)) {
+      transfer = update;
+    }
+    return transfer;
+  }
+
   /**
    * Get a fee quote before creating a transfer.
    *
-   * @param {number} amount          — Delivery amount in HTG
+   * @param {number | Gourdes} amount — Delivery amount in HTG
    * @param {"moncash"|"natcash"} provider
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<{ delivery_amount: number, fee: number, total_cost: number, currency: string, provider: string, fee_percentage: number }>}
    *
    * @example
    * const quote = await bazik.transfers.getQuote(1000, "moncash");
    * console.log(`Fee: ${quote.fee} HTG | Total: ${quote.total_cost} HTG`);
    */
-  async getQuote(amount, provider) {
-    validateAmount(amount);
-    if (!["moncash", "natcash"].includes(provider)) {
+  async getQuote(amount, provider, options = {}) {
+    const gdes = validateAmount(amount);
+    if (!PROVIDERS.includes(provider)) {
       throw new BazikValidationError(
         `Invalid provider "${provider}". Must be "moncash" or "natcash".`
       );
     }
-    return this.#client._request("POST", "/transfers/quote", {
-      amount,
-      provider,
+    return this.#client._request(
+      "POST",
+      "/transfers/quote",
+      { amount: gdes, provider },
+      { signal: options.signal, priority: options.priority }
+    );
+  }
+
+  /**
+   * Send many transfers with bounded concurrency.
+   *
+   * Every item is validated before anything is sent, and the summed quote
+   * total must fit within `wallet.getBalance().available`. Items then run
+   * through `moncash()` / `natcash()`, so each one gets the usual
+   * idempotency key — re-running a batch with the same `referenceId`s does
+   * not pay anyone twice.
+   *
+   * @param {Array<Object>} items — Transfer params, each with a `provider`
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5]               — Transfers in flight at once
+   * @param {"moncash"|"natcash"} [options.provider]       — Default for items without one
+   * @param {boolean} [options.checkBalance=true]          — Compare the quoted total with the balance first
+   * @param {boolean} [options.stopOnInsufficientFunds=true] — Skip remaining items after a 402
+   * @param {(progress: Object) => void} [options.onProgress] — Called as each item completes; errors are logged, not thrown
+   * @param {AbortSignal} [options.signal]                 — Stops the batch; unsent items are skipped
+   * @param {"high"|"normal"|"low"} [options.priority]     — Rate limiter lane for every call
+   * @returns {Promise<{ total: number, succeeded: number, failed: number, skipped: number, totalCost: number, results: Array<Object> }>}
+   *
+   * @example
+   * const report = await bazik.transfers.batch(
+   *   drivers.map((d) => ({
+   *     provider: "moncash",
+   *     gdes: d.earnings,
+   *     wallet: d.phone,
+   *     customerFirstName: d.firstName,
+   *     customerLastName: d.lastName,
+   *     referenceId: `PAYOUT-${week}-${d.id}`,
+   *   })),
+   *   { concurrency: 5, onProgress: (p) => console.log(`${p.completed}/${p.total}`) }
+   * );
+   * for (const r of report.results.filter((r) => r.status === "failed")) {
+   *   console.error(r.item.referenceId, r.error);
+   * }
+   */
+  async batch(items, options = {}) {
+    const {
+      concurrency = 5,
+      checkBalance = true,
+      stopOnInsufficientFunds = true,
+      onProgress,
+      signal,
+      priority,
+    } = options;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new BazikValidationError(
+        "batch() requires a non-empty array of items."
+      );
+    }
+
+    const jobs = items.map((item, index) => ({
+      index,
+      item,
+      provider: item?.provider ?? options.provider,
+    }));
+    this.#validateBatch(jobs);
+
+    const quotes = await this.#quoteBatch(jobs, concurrency, {
+      signal,
+      priority,
+    });
+    const total = jobs.reduce(
+      (sum, job) =>
+        sum.plus(Gourdes.round(quotes.get(quoteKey(job)).total_cost)),
+      Gourdes.fromCents(0)
+    );
+    const totalCost = total.toNumber();
+
+    if (checkBalance) {
+      const balance = await this.#client.wallet.getBalance({
+        signal,
+        priority,
+      });
+      if (total.compare(Gourdes.round(balance.available)) > 0) {
+        throw new BazikInsufficientFundsError(
+          `Batch needs ${totalCost} HTG but only ${balance.available} HTG is available.`,
+          { required: totalCost, available: balance.available }
+        );
+      }
+    }
+
+    const results = new Array(jobs.length);
+    const counts = { succeeded: 0, failed: 0, skipped: 0 };
+    let stopped = false;
+
+    const record = (job, outcome) => {
+      results[job.index] = { index: job.index, item: job.item, ...outcome };
+      counts[outcome.status] += 1;
+      if (!onProgress) return;
+      // A failing progress callback must not change what happened to the item.
+      try {
+        onProgress({
+          completed: counts.succeeded + counts.failed + counts.skipped,
+          total: jobs.length,
+          ...counts,
+          result: results[job.index],
+        });
+      } catch (err) {
+        this.#log.warn(`Batch onProgress failed: ${err.message}`, {
+          error: err,
+        });
+      }
+    };
+
+    await runConcurrently(jobs, concurrency, async (job) => {
+      if (stopped || signal?.aborted) {
+        record(job, { status: "skipped", provider: job.provider });
+        return;
+      }
+      const { provider: _provider, ...params } = job.item;
+      let outcome;
+      try {
+        const result = await this[job.provider](params, { signal, priority });
+        outcome = { status: "succeeded", provider: job.provider, result };
+      } catch (error) {
+        if (
+          stopOnInsufficientFunds &&
+          error instanceof BazikInsufficientFundsError
+        ) {
+          stopped = true;
+        }
+        outcome = { status: "failed", provider: job.provider, error };
+      }
+      record(job, outcome);
+    });
+
+    return { total: jobs.length, ...counts, totalCost, results };
+  }
+
+  /**
+   * Validate, optionally pre-flight, and create a transfer.
+   * @param {"moncash"|"natcash"} provider
+   */
+  async #create(provider, params, options) {
+    validateRequired(params, [
+      "gdes",
+      "wallet",
+      "customerFirstName",
+      "customerLastName",
+    ]);
+    const body = {
+      ...params,
+      gdes: validateAmount(params.gdes),
+      wallet: validateWallet(params.wallet),
+    };
+    return this.#client._sendPayout(
+      {
+        kind: "transfer",
+        provider,
+        path: `/${provider}/transfers`,
+        body,
+        source: `transfers.${provider}`,
+      },
+      options
+    );
+  }
+
+  /**
+   * Validate every batch item, collecting all problems into one error.
+   * @param {Array<{ index: number, item: Object, provider: string }>} jobs
+   */
+  #validateBatch(jobs) {
+    const problems = [];
+    for (const { index, item, provider } of jobs) {
+      try {
+        if (!item || typeof item !== "object") {
+          throw new BazikValidationError("Item must be an object.");
+        }
+        if (!PROVIDERS.includes(provider)) {
+          throw new BazikValidationError(
+            `Invalid provider "${provider}". Must be "moncash" or "natcash".`
+          );
+        }
+        validateRequired(item, [
+          "gdes",
+          "wallet",
+          "customerFirstName",
+          "customerLastName",
+        ]);
+        validateAmount(item.gdes);
+        validateWallet(item.wallet);
+      } catch (err) {
+        problems.push({ index, message: err.message });
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new BazikValidationError(
+        `${problems.length} batch item(s) are invalid: ` +
+          problems.map((p) => `#${p.index} ${p.message}`).join("; "),
+        problems
+      );
+    }
+  }
+
+  /**
+   * Fetch one quote per distinct amount/provider pair.
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async #quoteBatch(jobs, concurrency, options) {
+    const quotes = new Map();
+    const distinct = [...new Map(jobs.map((j) => [quoteKey(j), j])).values()];
+    await runConcurrently(distinct, concurrency, async (job) => {
+      quotes.set(
+        quoteKey(job),
+        await this.getQuote(job.item.gdes, job.provider, options)
+      );
     });
+    return quotes;
   }
 }
 
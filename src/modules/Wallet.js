@@ -12,14 +12,20 @@ class Wallet {
   /**
    * Get wallet balance.
    *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] — Cancels the call
+   * @param {"high"|"normal"|"low"} [options.priority] — Rate limiter lane (default: "normal")
    * @returns {Promise<{ available: number, reserved: number, currency: string, environment: string, last_updated: string }>}
    *
    * @example
    * const wallet = await bazik.wallet.getBalance();
    * console.log(`Available: ${wallet.available} HTG`);
    */
-  async getBalance() {
-    return this.#client._request("GET", "/wallet");
+  async getBalance(options = {}) {
+    return this.#client._request("GET", "/wallet", undefined, {
+      signal: options.signal,
+      priority: options.priority,
+    });
   }
 }
 
@@ -0,0 +1,223 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const {
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TOLERANCE_SEC,
+} = require("../constants");
+const BazikValidationError = require("../errors/BazikValidationError");
+const BazikWebhookError = require("../errors/BazikWebhookError");
+
+// ─── Webhooks sub-module ─────────────────────────────────────────────────────
+
+/**
+ * Read a header from a plain object (Node.js `req.headers`) or a
+ * fetch-style `Headers` instance, case-insensitively.
+ * @param {Record<string, string | string[]> | Headers} headers
+ * @param {string} name
+ * @returns {string | undefined}
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Parse a `t=<unix seconds>,v1=<hex>[,v1=<hex>]` signature header.
+ * @param {string} header
+ * @returns {{ timestamp: number, signatures: string[] }}
+ */
+function parseSignatureHeader(header) {
+  let timestamp = NaN;
+  const signatures = [];
+
+  for (const part of header.split(",")) {
+    const [key, value] = part.trim().split("=", 2);
+    if (key === "t") timestamp = Number(value);
+    if (key === "v1" && value) signatures.push(value);
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * Constant-time comparison of two hex digests.
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {boolean}
+ */
+function safeEqual(expected, actual) {
+  const a = Buffer.from(expected, "utf8");
+  const b = Buffer.from(actual, "utf8");
+  if (a.length !== b.length) return false;
+  return crypto.timingSafeEqual(a, b);
+}
+
+class Webhooks {
+  #client;
+  #secret;
+  #tolerance;
+
+  /**
+   * @param {import("./Bazik")} client
+   * @param {Object} [options]
+   * @param {string} [options.secret]     — Shared webhook signing secret
+   * @param {number} [options.tolerance]  — Max age of a webhook in seconds (default: 300)
+   */
+  constructor(client, options = {}) {
+    this.#client = client;
+    this.#secret = options.secret || null;
+    this.#tolerance = options.tolerance ?? WEBHOOK_TOLERANCE_SEC;
+  }
+
+  /**
+   * Compute the signature header for a payload. Useful for tests and for
+   * forwarding webhooks between your own services.
+   *
+   * @param {string | Buffer} rawBody
+   * @param {Object} [options]
+   * @param {string} [options.secret]    — Overrides the client's webhookSecret
+   * @param {number} [options.timestamp] — Unix seconds (default: now)
+   * @returns {string} — e.g. "t=1761961466,v1=5257a869..."
+   *
+   * @example
+   * const header = bazik.webhooks.sign(JSON.stringify(event));
+   */
+  sign(rawBody, options = {}) {
+    const secret = this.#resolveSecret(options.secret);
+    const timestamp = options.timestamp ?? Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.`)
+      .update(rawBody)
+      .digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Verify the signature and timestamp of an incoming webhook.
+   * Throws a `BazikWebhookError` if the request cannot be trusted.
+   *
+   * @param {string | Buffer} rawBody — The raw, unparsed request body
+   * @param {Record<string, string | string[]> | Headers} headers
+   * @param {Object} [options]
+   * @param {string} [options.secret]    — Overrides the client's webhookSecret
+   * @param {number} [options.tolerance] — Max age in seconds (default: 300)
+   * @returns {true}
+   */
+  verifySignature(rawBody, headers, options = {}) {
+    const secret = this.#resolveSecret(options.secret);
+    const tolerance = options.tolerance ?? this.#tolerance;
+
+    if (typeof rawBody !== "string" && !(rawBody instanceof Uint8Array)) {
+      throw new BazikValidationError(
+        "Webhook body must be the raw request body as a string or Buffer."
+      );
+    }
+
+    const header = getHeader(headers, WEBHOOK_SIGNATURE_HEADER);
+    if (!header) {
+      throw new BazikWebhookError(
+        `Missing "${WEBHOOK_SIGNATURE_HEADER}" header.`,
+        "missing_signature"
+      );
+    }
+
+    const { timestamp, signatures } = parseSignatureHeader(header);
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+      throw new BazikWebhookError(
+        `Malformed "${WEBHOOK_SIGNATURE_HEADER}" header.`,
+        "invalid_signature"
+      );
+    }
+
+    const expected = this.sign(rawBody, { secret, timestamp }).split("v1=")[1];
+    if (!signatures.some((sig) => safeEqual(expected, sig))) {
+      throw new BazikWebhookError(
+        "Webhook signature does not match the payload.",
+        "invalid_signature"
+      );
+    }
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+    if (tolerance > 0 && age > tolerance) {
+      throw new BazikWebhookError(
+        `Webhook timestamp is outside the ${tolerance}s tolerance.`,
+        "timestamp_out_of_tolerance",
+        { timestamp, tolerance }
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Verify an incoming webhook and parse it into a typed event.
+   *
+   * @param {string | Buffer} rawBody — The raw, unparsed request body
+   * @param {Record<string, string | string[]> | Headers} headers
+   * @param {Object} [options]
+   * @param {string} [options.secret]    — Overrides the client's webhookSecret
+   * @param {number} [options.tolerance] — Max age in seconds (default: 300)
+   * @returns {Object} — The event, e.g. `{ type: "transfer.succeeded", transactionId, ... }`
+   *
+   * @example
+   * app.post("/webhook", express.raw({ type: "application/json" }), (req, res) => {
+   *   const event = bazik.webhooks.constructEvent(req.body, req.headers);
+   *   if (event.type === "transfer.succeeded") {
+   *     markPaid(event.referenceId);
+   *   }
+   *   res.sendStatus(200);
+   * });
+   */
+  constructEvent(rawBody, headers, options = {}) {
+    this.verifySignature(rawBody, headers, options);
+
+    let event;
+    try {
+      event = JSON.parse(Buffer.from(rawBody).toString("utf8"));
+    } catch {
+      throw new BazikWebhookError(
+        "Webhook body is not valid JSON.",
+        "invalid_payload"
+      );
+    }
+
+    if (!event || typeof event !== "object" || typeof event.type !== "string") {
+      throw new BazikWebhookError(
+        "Webhook payload is missing an event type.",
+        "invalid_payload",
+        event
+      );
+    }
+
+    // Not awaited, since constructEvent() is synchronous; ledger writes
+    // never reject, and `bazik.ledger.flush()` waits for them.
+    if (event.status) {
+      this.#client?.ledger?._update(
+        event.transactionId ?? event.orderId,
+        { status: event.status, fees: event.fees, total: event.total },
+        "webhook"
+      );
+    }
+
+    return event;
+  }
+
+  #resolveSecret(secret) {
+    const resolved = secret || this.#secret;
+    if (!resolved) {
+      throw new BazikValidationError(
+        "A webhook secret is required. Pass webhookSecret to the Bazik client or options.secret."
+      );
+    }
+    return resolved;
+  }
+}
+
+module.exports = Webhooks;
@@ -0,0 +1,179 @@
+"use strict";
+
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Money ───────────────────────────────────────────────────────────────────
+
+/** ICU has no Haitian Creole data; Kreyòl amounts use the fr-HT layout. */
+const LOCALE_ALIASES = { ht: "fr-HT", "ht-HT": "fr-HT" };
+
+/**
+ * An HTG amount held as an integer number of cents, so fee and total
+ * arithmetic is exact. Instances are immutable.
+ *
+ * @example
+ * const price = Gourdes.from("1284.50");
+ * const fee = price.percent(5);            // 64.23 HTG
+ * const total = price.plus(fee);           // 1348.73 HTG
+ * total.format("fr-HT");                   // "1 348,73 G"
+ * await bazik.payments.create({ gdes: total });
+ */
+class Gourdes {
+  #cents;
+
+  /**
+   * @param {number} cents — Integer number of cents; prefer `Gourdes.from()`
+   */
+  constructor(cents) {
+    if (!Number.isSafeInteger(cents)) {
+      throw new BazikValidationError(
+        `Invalid cents value: ${cents}. Must be a safe integer.`
+      );
+    }
+    this.#cents = cents;
+  }
+
+  /**
+   * Parse an amount in gourdes. Numbers and strings may have at most two
+   * decimal places — `0.001` or `"1284.005"` throw instead of rounding.
+   *
+   * @param {number | string | Gourdes} value
+   * @returns {Gourdes}
+   */
+  static from(value) {
+    if (value instanceof Gourdes) return value;
+
+    if (typeof value === "number") {
+      if (!Number.isFinite(value) || Number(value.toFixed(2)) !== value) {
+        throw new BazikValidationError(
+          `Invalid amount: ${value}. Must be a number with at most 2 decimal places.`
+        );
+      }
+      return new Gourdes(Math.round(value * 100));
+    }
+
+    if (typeof value === "string") {
+      const match = /^\s*(-)?(\d+)(?:\.(\d{1,2}))?\s*$/.exec(value);
+      if (!match) {
+        throw new BazikValidationError(
+          `Invalid amount: "${value}". Must be a decimal with at most 2 decimal places.`
+        );
+      }
+      const [, sign, whole, fraction = ""] = match;
+      const cents = Number(whole) * 100 + Number(fraction.padEnd(2, "0"));
+      return new Gourdes(sign ? -cents : cents);
+    }
+
+    throw new BazikValidationError(
+      `Invalid amount: ${value}. Must be a number, a decimal string or a Gourdes instance.`
+    );
+  }
+
+  /**
+   * Round a number to the nearest cent. For amounts the API computed, which
+   * may carry float noise (e.g. `1049.9999`); use `from()` for user input.
+   * @param {number} value
+   * @returns {Gourdes}
+   */
+  static round(value) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new BazikValidationError(
+        `Invalid amount: ${value}. Must be a finite number.`
+      );
+    }
+    return new Gourdes(Math.round(value * 100));
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {Gourdes}
+   */
+  static fromCents(cents) {
+    return new Gourdes(cents);
+  }
+
+  /** Integer number of cents. */
+  get cents() {
+    return this.#cents;
+  }
+
+  /** @param {number | string | Gourdes} other */
+  plus(other) {
+    return new Gourdes(this.#cents + Gourdes.from(other).cents);
+  }
+
+  /** @param {number | string | Gourdes} other */
+  minus(other) {
+    return new Gourdes(this.#cents - Gourdes.from(other).cents);
+  }
+
+  /**
+   * Multiply, rounding half away from zero to the nearest cent.
+   * @param {number} factor
+   */
+  times(factor) {
+    return new Gourdes(roundHalfAwayFromZero(this.#cents * factor));
+  }
+
+  /**
+   * A percentage of this amount, rounded to the nearest cent — e.g. the
+   * 5% Bazik transfer fee.
+   * @param {number} percentage
+   */
+  percent(percentage) {
+    return this.times(percentage / 100);
+  }
+
+  /**
+   * @param {number | string | Gourdes} other
+   * @returns {-1 | 0 | 1}
+   */
+  compare(other) {
+    return Math.sign(this.#cents - Gourdes.from(other).cents);
+  }
+
+  /** @param {number | string | Gourdes} other */
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  /** Amount in gourdes as a number, e.g. `1284.5`. */
+  toNumber() {
+    return this.#cents / 100;
+  }
+
+  /** `JSON.stringify` writes the plain number the API expects. */
+  toJSON() {
+    return this.toNumber();
+  }
+
+  /** Fixed two-decimal string, e.g. `"1284.50"`. */
+  toString() {
+    const abs = Math.abs(this.#cents);
+    const sign = this.#cents < 0 ? "-" : "";
+    return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(
+      2,
+      "0"
+    )}`;
+  }
+
+  /**
+   * Format for display.
+   * @param {"en-HT" | "fr-HT" | "ht" | string} [locale="fr-HT"]
+   * @param {Intl.NumberFormatOptions} [options] — e.g. `{ currencyDisplay: "code" }`
+   * @returns {string} — e.g. "HTG 1,284.50" (en-HT), "1 284,50 G" (fr-HT, ht)
+   */
+  format(locale = "fr-HT", options = {}) {
+    return new Intl.NumberFormat(LOCALE_ALIASES[locale] || locale, {
+      style: "currency",
+      currency: "HTG",
+      ...options,
+    }).format(this.toNumber());
+  }
+}
+
+function roundHalfAwayFromZero(value) {
+  return Math.sign(value) * Math.round(Math.abs(value));
+}
+
+module.exports = Gourdes;
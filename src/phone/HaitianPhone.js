@@ -0,0 +1,186 @@
+"use strict";
+
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Phone numbers ───────────────────────────────────────────────────────────
+
+const COUNTRY_CODE = "509";
+
+/**
+ * Mobile prefixes (first two digits of the 8-digit number) by carrier.
+ * Digicel wallets are MonCash, Natcom wallets are NatCash.
+ */
+const CARRIER_PREFIXES = {
+  digicel: ["30", "31", "34", "36", "37", "38", "39", "46", "47", "48", "49"],
+  natcom: ["32", "33", "35", "40", "41", "42", "43", "44", "45", "55"],
+};
+
+const PROVIDERS = { digicel: "moncash", natcom: "natcash" };
+
+/**
+ * Reduce `input` to its 8-digit national form, or explain why it is not a
+ * Haitian phone number.
+ * @param {unknown} input
+ * @returns {{ national: string } | { problem: string }}
+ */
+function normalize(input) {
+  if (typeof input === "number" && Number.isSafeInteger(input)) {
+    input = String(input);
+  }
+  if (typeof input !== "string") {
+    return { problem: `expected a string, got ${typeof input}` };
+  }
+
+  const trimmed = input.trim();
+  if (trimmed === "") return { problem: "it is empty" };
+  if (!/^\+?[\d\s().-]+$/.test(trimmed)) {
+    return {
+      problem: 'only digits, spaces and "+ - . ( )" are allowed',
+    };
+  }
+
+  let digits = trimmed.replace(/\D/g, "");
+  const international = trimmed.startsWith("+") || digits.startsWith("00");
+  if (digits.startsWith("00")) digits = digits.slice(2);
+
+  if (international || digits.length === 11) {
+    if (!digits.startsWith(COUNTRY_CODE)) {
+      return { problem: `country code must be ${COUNTRY_CODE} (Haiti)` };
+    }
+    digits = digits.slice(COUNTRY_CODE.length);
+    if (digits.length !== 8) {
+      return {
+        problem: `has ${digits.length} digit(s) after +${COUNTRY_CODE}; expected 8`,
+      };
+    }
+  }
+
+  if (digits.length !== 8) {
+    return {
+      problem:
+        `has ${digits.length} digit(s); expected 8 (e.g. 3712-3456) ` +
+        `or 11 starting with ${COUNTRY_CODE}`,
+    };
+  }
+  if (!/^[2-5]/.test(digits)) {
+    return { problem: "Haitian numbers start with 2, 3, 4 or 5" };
+  }
+
+  return { national: digits };
+}
+
+/**
+ * A Haitian phone number in canonical form. Accepts every common way of
+ * writing one — `37123456`, `3712-3456`, `+509 3712-3456`,
+ * `(509) 37 12 34 56`, `0050937123456` — and exposes the 8-digit and
+ * 11-digit forms plus the carrier.
+ *
+ * @example
+ * const phone = HaitianPhone.parse("+509 3712-3456");
+ * phone.national;      // "37123456"
+ * phone.international; // "50937123456"
+ * phone.carrier;       // "digicel"
+ * phone.provider;      // "moncash"
+ */
+class HaitianPhone {
+  #national;
+
+  /**
+   * @param {string} national — 8 digits; prefer `HaitianPhone.parse()`
+   */
+  constructor(national) {
+    const result = normalize(national);
+    if (result.problem || result.national !== national) {
+      throw new BazikValidationError(
+        "Invalid national number. Must be 8 digits."
+      );
+    }
+    this.#national = national;
+  }
+
+  /**
+   * Parse and normalize a Haitian phone number.
+   * @param {string | number | HaitianPhone} input
+   * @returns {HaitianPhone}
+   * @throws {BazikValidationError} — The message names what was wrong
+   */
+  static parse(input) {
+    if (input instanceof HaitianPhone) return input;
+    const result = normalize(input);
+    if (result.problem) {
+      throw new BazikValidationError(
+        `Invalid phone number: ${result.problem}.`,
+        { problem: result.problem }
+      );
+    }
+    return new HaitianPhone(result.national);
+  }
+
+  /**
+   * @param {unknown} input
+   * @returns {boolean}
+   */
+  static isValid(input) {
+    return input instanceof HaitianPhone || !normalize(input).problem;
+  }
+
+  /** 8-digit national form, e.g. "37123456". */
+  get national() {
+    return this.#national;
+  }
+
+  /** 11-digit form with the country code, e.g. "50937123456". */
+  get international() {
+    return `${COUNTRY_CODE}${this.#national}`;
+  }
+
+  /** E.164 form, e.g. "+50937123456". */
+  get e164() {
+    return `+${this.international}`;
+  }
+
+  /**
+   * Carrier detected from the prefix, or `null` for landlines and
+   * unassigned ranges.
+   * @returns {"digicel" | "natcom" | null}
+   */
+  get carrier() {
+    const prefix = this.#national.slice(0, 2);
+    for (const [carrier, prefixes] of Object.entries(CARRIER_PREFIXES)) {
+      if (prefixes.includes(prefix)) return carrier;
+    }
+    return null;
+  }
+
+  /**
+   * Wallet provider for the carrier: Digicel → MonCash, Natcom → NatCash.
+   * @returns {"moncash" | "natcash" | null}
+   */
+  get provider() {
+    return PROVIDERS[this.carrier] ?? null;
+  }
+
+  /** Display form, e.g. "+509 3712-3456". */
+  format() {
+    const n = this.#national;
+    return `+${COUNTRY_CODE} ${n.slice(0, 4)}-${n.slice(4)}`;
+  }
+
+  /** @param {string | number | HaitianPhone} other */
+  equals(other) {
+    return (
+      HaitianPhone.isValid(other) &&
+      HaitianPhone.parse(other).national === this.#national
+    );
+  }
+
+  toString() {
+    return this.#national;
+  }
+
+  toJSON() {
+    return this.#national;
+  }
+}
+
+module.exports = HaitianPhone;
@@ -0,0 +1,247 @@
+"use strict";
+
+const Bazik = require("../modules/Bazik");
+const Gourdes = require("../money/Gourdes");
+const runConcurrently = require("../helpers/runConcurrently");
+const { throwIfAborted } = require("../http/abort");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Account pool ────────────────────────────────────────────────────────────
+
+const DEFAULT_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+function validateAccountId(accountId) {
+  if (typeof accountId !== "string" || accountId === "") {
+    throw new BazikValidationError("accountId must be a non-empty string.");
+  }
+}
+
+class BazikAccountPool {
+  #resolveCredentials;
+  #config;
+  #idleTimeoutMs;
+  #entries = new Map();
+  #sweepTimer = null;
+
+  /**
+   * One cached `Bazik` client per account, for platforms whose
+   * sub-merchants each have their own credentials. Clients are created on
+   * first use, so every account keeps its own token, rate limiter and
+   * circuit breaker, and are closed after `idleTimeoutMs` without calls.
+   *
+   * @param {Object} options
+   * @param {(accountId: string) => Object | Promise<Object>} options.resolveCredentials
+   *   — `{ userID, secretKey }` for an account, plus any per-account client config
+   * @param {Object} [options.config]               — Client config shared by every account (baseURL, rateLimit, logger, tokenStore, ...)
+   * @param {number} [options.idleTimeoutMs=900000] — Close clients unused for this long; `0` keeps them until `evict()`
+   *
+   * @example
+   * const pool = new BazikAccountPool({
+   *   resolveCredentials: (merchantId) => vault.read(`bazik/${merchantId}`),
+   *   config: { rateLimit: true, tokenStore: new FileTokenStore("/var/cache/bazik-tokens.json") },
+   * });
+   *
+   * const bazik = await pool.get("merchant-42");
+   * await bazik.payments.create({ gdes: 500, referenceId: "ORDER-1" });
+   */
+  constructor(options = {}) {
+    if (typeof options.resolveCredentials !== "function") {
+      throw new BazikValidationError(
+        "BazikAccountPool requires a resolveCredentials(accountId) function."
+      );
+    }
+    this.#resolveCredentials = options.resolveCredentials;
+    this.#config = options.config ?? {};
+    this.#idleTimeoutMs = options.idleTimeoutMs ?? DEFAULT_IDLE_TIMEOUT_MS;
+  }
+
+  /** Number of accounts with a client (or one being created). */
+  get size() {
+    return this.#entries.size;
+  }
+
+  /**
+   * IDs of the accounts that currently have a client.
+   * @returns {string[]}
+   */
+  accounts() {
+    return [...this.#entries.keys()];
+  }
+
+  /**
+   * Whether an account currently has a client.
+   * @param {string} accountId
+   * @returns {boolean}
+   */
+  has(accountId) {
+    return this.#entries.has(accountId);
+  }
+
+  /**
+   * The client for an account, created on first use. Concurrent calls for
+   * a new account share one `resolveCredentials` call; if it fails,
+   * nothing is cached and the next call tries again.
+   *
+   * @param {string} accountId
+   * @returns {Promise<import("../modules/Bazik")>}
+   */
+  async get(accountId) {
+    validateAccountId(accountId);
+    let entry = this.#entries.get(accountId);
+    if (!entry) {
+      entry = { client: null, lastUsedAt: Date.now() };
+      entry.ready = this.#create(accountId, entry);
+      this.#entries.set(accountId, entry);
+      this.#startSweep();
+    }
+    entry.lastUsedAt = Date.now();
+    return entry.ready;
+  }
+
+  /**
+   * Run `fn` for each account with at most `concurrency` in flight. One
+   * account failing does not stop the others.
+   *
+   * @template T
+   * @param {string[]} accountIds
+   * @param {(client: import("../modules/Bazik"), accountId: string) => Promise<T>} fn
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5]
+   * @param {AbortSignal} [options.signal] — Accounts not started yet fail with a `BazikAbortError`
+   * @returns {Promise<Array<{ accountId: string, status: "succeeded", result: T } | { accountId: string, status: "failed", error: Error }>>}
+   */
+  async map(accountIds, fn, options = {}) {
+    const { concurrency = 5, signal } = options;
+    if (!Array.isArray(accountIds)) {
+      throw new BazikValidationError("accountIds must be an array.");
+    }
+    accountIds.forEach(validateAccountId);
+
+    const results = new Array(accountIds.length);
+    await runConcurrently(accountIds, concurrency, async (accountId, i) => {
+      try {
+        throwIfAborted(signal);
+        const client = await this.get(accountId);
+        results[i] = {
+          accountId,
+          status: "succeeded",
+          result: await fn(client, accountId),
+        };
+      } catch (error) {
+        results[i] = { accountId, status: "failed", error };
+      }
+    });
+    return results;
+  }
+
+  /**
+   * `wallet.getBalance()` for each account, with the summed balance of the
+   * accounts that answered.
+   *
+   * @param {string[]} [accountIds] — Default: every account with a client
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=5]
+   * @param {AbortSignal} [options.signal]
+   * @param {"high"|"normal"|"low"} [options.priority="low"] — Rate limiter lane
+   * @returns {Promise<{ available: number, reserved: number, succeeded: number, failed: number, results: Array<Object> }>}
+   *
+   * @example
+   * const { available, results } = await pool.getBalances(merchantIds);
+   * for (const r of results.filter((r) => r.status === "failed")) {
+   *   console.error(r.accountId, r.error.message);
+   * }
+   */
+  async getBalances(accountIds = this.accounts(), options = {}) {
+    const { signal, priority = "low" } = options;
+    const results = await this.map(
+      accountIds,
+      (client) => client.wallet.getBalance({ signal, priority }),
+      options
+    );
+
+    let available = Gourdes.fromCents(0);
+    let reserved = Gourdes.fromCents(0);
+    for (const { status, result } of results) {
+      if (status !== "succeeded") continue;
+      available = available.plus(Gourdes.round(result.available));
+      reserved = reserved.plus(Gourdes.round(result.reserved ?? 0));
+    }
+    const succeeded = results.filter((r) => r.status === "succeeded").length;
+    return {
+      available: available.toNumber(),
+      reserved: reserved.toNumber(),
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    };
+  }
+
+  /**
+   * Close and forget an account's client, e.g. after rotating its keys.
+   * The next `get()` resolves the credentials again.
+   *
+   * @param {string} accountId
+   * @returns {boolean} — Whether the account had a client
+   */
+  evict(accountId) {
+    const entry = this.#entries.get(accountId);
+    if (!entry) return false;
+    this.#entries.delete(accountId);
+    entry.client?.close();
+    if (this.#entries.size === 0) this.#stopSweep();
+    return true;
+  }
+
+  /** Close every client. The pool can still be used afterwards. */
+  close() {
+    for (const accountId of this.accounts()) this.evict(accountId);
+  }
+
+  async #create(accountId, entry) {
+    try {
+      const credentials = await this.#resolveCredentials(accountId);
+      const client = new Bazik({ ...this.#config, ...credentials });
+      // Every HTTP call, including retries and token refreshes, counts as use.
+      const touch = () => {
+        entry.lastUsedAt = Date.now();
+      };
+      client.use({ onRequest: touch, onResponse: touch, onError: touch });
+
+      if (this.#entries.get(accountId) !== entry) {
+        // Evicted while the credentials were loading.
+        client.close();
+      } else {
+        entry.client = client;
+      }
+      return client;
+    } catch (err) {
+      if (this.#entries.get(accountId) === entry) this.evict(accountId);
+      throw err;
+    }
+  }
+
+  /** Close clients idle for longer than `idleTimeoutMs`. */
+  #sweep() {
+    const cutoff = Date.now() - this.#idleTimeoutMs;
+    for (const [accountId, entry] of this.#entries) {
+      if (entry.client && entry.lastUsedAt <= cutoff) this.evict(accountId);
+    }
+  }
+
+  /** The sweep timer only runs while clients exist, and never keeps the process alive. */
+  #startSweep() {
+    if (this.#sweepTimer || !(this.#idleTimeoutMs > 0)) return;
+    this.#sweepTimer = setInterval(
+      () => this.#sweep(),
+      Math.min(this.#idleTimeoutMs, 60_000)
+    );
+    this.#sweepTimer.unref?.();
+  }
+
+  #stopSweep() {
+    clearInterval(this.#sweepTimer);
+    this.#sweepTimer = null;
+  }
+}
+
+module.exports = BazikAccountPool;
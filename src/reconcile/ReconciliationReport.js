@@ -0,0 +1,74 @@
+"use strict";
+
+// ─── Reconciliation report ───────────────────────────────────────────────────
+
+const CSV_COLUMNS = ["id", "type", "issue", "expected", "actual", "message"];
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The outcome of `bazik.reconcile()`: one entry in `differences` per
+ * problem found, plus counts. `JSON.stringify(report)` and
+ * `report.toCSV()` export it.
+ */
+class ReconciliationReport {
+  /**
+   * @param {number} checked — Records re-checked against the API
+   * @param {Array<{ index: number, id: string, type: "payment"|"transfer", issue: string, expected?: *, actual?: *, message?: string, error?: Error }>} differences
+   */
+  constructor(checked, differences) {
+    this.checked = checked;
+    this.differences = differences;
+
+    const count = (issue) =>
+      differences.filter((d) => d.issue === issue).length;
+    // By record index: records may repeat an id, and a record may have
+    // several differences.
+    const problemRecords = new Set(differences.map((d) => d.index));
+    this.summary = {
+      checked,
+      matched: checked - problemRecords.size,
+      statusMismatches: count("status_mismatch"),
+      amountMismatches: count("amount_mismatch"),
+      feeMismatches: count("fee_mismatch"),
+      unknown: count("unknown_id"),
+      errors: count("error"),
+    };
+  }
+
+  /** `true` when every record matched. */
+  get ok() {
+    return this.differences.length === 0;
+  }
+
+  /** Plain data for `JSON.stringify`; errors are redacted. */
+  toJSON() {
+    return {
+      summary: this.summary,
+      differences: this.differences.map(({ error, ...diff }) =>
+        error ? { ...diff, error: error.toJSON?.() ?? error.message } : diff
+      ),
+    };
+  }
+
+  /**
+   * One row per difference, with a header row.
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = this.differences.map((diff) =>
+      CSV_COLUMNS.map((column) => csvField(diff[column])).join(",")
+    );
+    return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+  }
+}
+
+module.exports = ReconciliationReport;
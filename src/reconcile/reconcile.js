@@ -0,0 +1,145 @@
+"use strict";
+
+const runConcurrently = require("../helpers/runConcurrently");
+const Gourdes = require("../money/Gourdes");
+const ReconciliationReport = require("./ReconciliationReport");
+const BazikAbortError = require("../errors/BazikAbortError");
+const BazikNotFoundError = require("../errors/BazikNotFoundError");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Reconciliation ──────────────────────────────────────────────────────────
+
+/**
+ * Transfer statuses are spelled differently per endpoint: creating a
+ * transfer answers "completed" where the status endpoint says
+ * "successful", and "processing" is how the status endpoint reports a
+ * pending transfer.
+ */
+const STATUS_ALIASES = { processing: "pending", completed: "successful" };
+
+function statusCategory(status) {
+  return STATUS_ALIASES[status] ?? status;
+}
+
+/**
+ * Work out which endpoint checks a record: `orderId` → payments.verify,
+ * `transactionId` → transfers.getStatus. Ledger entries (`id` + `kind`)
+ * work too.
+ * @returns {{ id: string, type: "payment"|"transfer" } | null}
+ */
+function identify(record) {
+  if (!record || typeof record !== "object") return null;
+  if (record.orderId) return { id: record.orderId, type: "payment" };
+  if (record.transactionId) {
+    return { id: record.transactionId, type: "transfer" };
+  }
+  if (record.id && record.kind) {
+    return {
+      id: record.id,
+      type: record.kind === "payment" ? "payment" : "transfer",
+    };
+  }
+  return null;
+}
+
+/**
+ * Compare two amounts to the cent; an `expected` of undefined or null is
+ * not checked. Local amounts may be numbers with float noise, decimal
+ * strings or `Gourdes`.
+ */
+function sameAmount(expected, actual) {
+  if (expected === undefined || expected === null) return true;
+  if (typeof actual !== "number") return false;
+  const local =
+    typeof expected === "number"
+      ? Gourdes.round(expected)
+      : Gourdes.from(expected);
+  return local.equals(Gourdes.round(actual));
+}
+
+/**
+ * Re-check local records against the Bazik status endpoints.
+ *
+ * @param {import("../modules/Bazik")} client
+ * @param {Array<Object>} records
+ * @param {Object} options
+ * @returns {Promise<ReconciliationReport>}
+ */
+async function reconcile(client, records, options) {
+  const { concurrency = 5, signal, priority = "low" } = options;
+
+  if (!Array.isArray(records)) {
+    throw new BazikValidationError("reconcile() requires an array of records.");
+  }
+  const jobs = records.map((record, index) => ({
+    index,
+    record,
+    ...identify(record),
+  }));
+  const invalid = jobs.filter((job) => !job.id).map((job) => job.index);
+  if (invalid.length > 0) {
+    throw new BazikValidationError(
+      `${invalid.length} record(s) have no orderId or transactionId: ` +
+        invalid.map((i) => `#${i}`).join(", "),
+      invalid.map((index) => ({ index }))
+    );
+  }
+
+  const found = new Array(jobs.length);
+  await runConcurrently(jobs, concurrency, async (job) => {
+    const { index, id, type, record } = job;
+    const diffs = [];
+    try {
+      const actual =
+        type === "payment"
+          ? await client.payments.verify(id, { signal, priority })
+          : await client.transfers.getStatus(id, { signal, priority });
+
+      if (
+        record.status !== undefined &&
+        statusCategory(record.status) !== statusCategory(actual.status)
+      ) {
+        diffs.push({
+          index,
+          id,
+          type,
+          issue: "status_mismatch",
+          expected: record.status,
+          actual: actual.status,
+        });
+      }
+      if (!sameAmount(record.amount, actual.amount)) {
+        diffs.push({
+          index,
+          id,
+          type,
+          issue: "amount_mismatch",
+          expected: record.amount,
+          actual: actual.amount,
+        });
+      }
+      if (!sameAmount(record.fees, actual.fees)) {
+        diffs.push({
+          index,
+          id,
+          type,
+          issue: "fee_mismatch",
+          expected: record.fees,
+          actual: actual.fees,
+        });
+      }
+    } catch (error) {
+      if (error instanceof BazikAbortError) throw error;
+      diffs.push(
+        error instanceof BazikNotFoundError
+          ? { index, id, type, issue: "unknown_id", message: error.message }
+          : { index, id, type, issue: "error", message: error.message, error }
+      );
+    }
+    found[index] = diffs;
+  });
+
+  return new ReconciliationReport(jobs.length, found.flat());
+}
+
+module.exports = reconcile;
@@ -0,0 +1,170 @@
+"use strict";
+
+const {
+  string,
+  number,
+  boolean,
+  oneOf,
+  arrayOf,
+  object,
+  optional,
+  nullable,
+} = require("./schema");
+
+// ─── Response schemas ────────────────────────────────────────────────────────
+
+/*
+ * Runtime counterparts of the response interfaces in `index.d.ts`. Fields
+ * the API only sends in some cases (echoed request fields, MonCash
+ * payment details) are optional here.
+ */
+
+const environment = oneOf("sandbox", "production");
+
+const AuthResponse = object({
+  success: boolean(),
+  token: string(),
+  user_id: string(),
+  expires_at: number(),
+  message: optional(string()),
+});
+
+const PaymentResponse = object({
+  orderId: string(),
+  redirectUrl: string(),
+  status: oneOf("pending", "successful", "failed", "cancelled"),
+  gourdes: number(),
+  referenceId: string(),
+  environment,
+  sender: optional(string()),
+  receiver: optional(string()),
+  customerFullName: optional(string()),
+  successUrl: optional(string()),
+  errorUrl: optional(string()),
+  userID: optional(string()),
+  transactionType: optional(string()),
+  metadata: optional(object({}, { open: true })),
+  payment: optional(
+    object({
+      mode: string(),
+      path: string(),
+      payment_token: object({
+        expired: string(),
+        created: string(),
+        token: string(),
+      }),
+      timestamp: number(),
+      status: number(),
+      httpStatusCode: number(),
+    })
+  ),
+});
+
+const PaymentVerification = object({
+  orderId: string(),
+  referenceId: string(),
+  status: oneOf("pending", "successful", "failed", "cancelled"),
+  amount: number(),
+  currency: string(),
+  createdAt: string(),
+  updatedAt: string(),
+  metadata: object(
+    {
+      description: optional(string()),
+      customerEmail: optional(string()),
+      customerName: optional(string()),
+    },
+    { open: true }
+  ),
+});
+
+const TransferResponse = object({
+  transaction_id: string(),
+  status: oneOf("pending", "completed", "failed"),
+  provider: oneOf("moncash", "natcash"),
+  amount: number(),
+  fees: number(),
+  total: number(),
+  currency: string(),
+  wallet: string(),
+  recipient: object({ first_name: string(), last_name: string() }),
+  description: optional(string()),
+  referenceId: optional(string()),
+  customerEmail: optional(string()),
+  webhookUrl: optional(string()),
+  created_at: string(),
+  environment,
+  message: optional(string()),
+});
+
+const TransferStatusResponse = object({
+  type: optional(oneOf("transfer.succeeded", "transfer.failed")),
+  transactionId: string(),
+  status: oneOf("successful", "processing", "failed", "cancelled"),
+  amount: number(),
+  fees: number(),
+  total: number(),
+  currency: string(),
+  wallet: string(),
+  description: optional(string()),
+  recipient: object({ firstName: string(), lastName: string() }),
+  referenceId: optional(string()),
+  failureReason: optional(nullable(string())),
+  timestamp: optional(string()),
+  provider: oneOf("moncash", "natcash"),
+  environment,
+});
+
+const BalanceResponse = object({
+  available: number(),
+  reserved: number(),
+  currency: string(),
+  environment,
+  last_updated: optional(string()),
+});
+
+const CustomerStatusResponse = object({
+  customerStatus: object({ type: string(), status: arrayOf(string()) }),
+  timestamp: number(),
+  status: number(),
+  environment,
+});
+
+const QuoteResponse = object({
+  delivery_amount: number(),
+  fee: number(),
+  total_cost: number(),
+  currency: string(),
+  provider: oneOf("moncash", "natcash"),
+  fee_percentage: number(),
+  timestamp: string(),
+  environment,
+});
+
+/** `[method, path pattern, schema]`, matched in order. */
+const ROUTES = [
+  ["POST", /^\/token$/, AuthResponse],
+  ["POST", /^\/moncash\/token$/, PaymentResponse],
+  ["GET", /^\/order\/[^/]+$/, PaymentVerification],
+  ["POST", /^\/moncash\/withdraw$/, TransferResponse],
+  ["POST", /^\/(moncash|natcash)\/transfers$/, TransferResponse],
+  ["GET", /^\/(balance|wallet)$/, BalanceResponse],
+  ["POST", /^\/moncash\/customers\/status$/, CustomerStatusResponse],
+  ["POST", /^\/transfers\/quote$/, QuoteResponse],
+  ["GET", /^\/transfers\/[^/]+$/, TransferStatusResponse],
+];
+
+/**
+ * The schema for an endpoint's successful response, if there is one.
+ * @param {string} method
+ * @param {string} path
+ * @returns {Object | null}
+ */
+function responseSchemaFor(method, path) {
+  const route = ROUTES.find(
+    ([m, pattern]) => m === method && pattern.test(path)
+  );
+  return route ? route[2] : null;
+}
+
+module.exports = { responseSchemaFor };
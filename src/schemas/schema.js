@@ -0,0 +1,130 @@
+"use strict";
+
+// ─── Schema primitives ───────────────────────────────────────────────────────
+
+/*
+ * A deliberately small schema language — just enough to describe the
+ * Bazik API responses in `index.d.ts`. Objects are closed by default:
+ * fields not in the schema are reported as unknown, not rejected.
+ */
+
+const string = () => ({ type: "string" });
+const number = () => ({ type: "number" });
+const boolean = () => ({ type: "boolean" });
+
+/** One of a fixed set of values. */
+const oneOf = (...values) => ({ type: "enum", values });
+
+/** An array whose items all match `items`. */
+const arrayOf = (items) => ({ type: "array", items });
+
+/**
+ * An object with known `fields`. With `open: true`, other keys are
+ * expected (e.g. caller-defined metadata) and not reported.
+ */
+const object = (fields, { open = false } = {}) => ({
+  type: "object",
+  fields,
+  open,
+});
+
+/** The field may be missing. */
+const optional = (schema) => ({ ...schema, optional: true });
+
+/** The value may be `null`. */
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check `value` against `schema`.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path="$"] — JSONPath-style location used in reports
+ * @returns {{ errors: Array<{ path: string, message: string }>, unknownFields: string[] }}
+ */
+function validate(schema, value, path = "$") {
+  const report = { errors: [], unknownFields: [] };
+  check(schema, value, path, report);
+  return report;
+}
+
+function check(schema, value, path, report) {
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case "string":
+    case "boolean":
+      if (typeof value !== schema.type) {
+        fail(report, path, `expected ${schema.type}, got ${describe(value)}`);
+      }
+      return;
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        fail(report, path, `expected number, got ${describe(value)}`);
+      }
+      return;
+    case "enum":
+      if (!schema.values.includes(value)) {
+        fail(
+          report,
+          path,
+          `expected one of ${schema.values
+            .map((v) => JSON.stringify(v))
+            .join(", ")}, got ${JSON.stringify(value)}`
+        );
+      }
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        fail(report, path, `expected array, got ${describe(value)}`);
+        return;
+      }
+      value.forEach((item, i) =>
+        check(schema.items, item, `${path}[${i}]`, report)
+      );
+      return;
+    case "object":
+      if (describe(value) !== "object") {
+        fail(report, path, `expected object, got ${describe(value)}`);
+        return;
+      }
+      for (const [key, field] of Object.entries(schema.fields)) {
+        if (value[key] === undefined) {
+          if (!field.optional) fail(report, `${path}.${key}`, "is missing");
+          continue;
+        }
+        check(field, value[key], `${path}.${key}`, report);
+      }
+      if (!schema.open) {
+        for (const key of Object.keys(value)) {
+          if (!(key in schema.fields)) {
+            report.unknownFields.push(`${path}.${key}`);
+          }
+        }
+      }
+      return;
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+function fail(report, path, message) {
+  report.errors.push({ path, message });
+}
+
+module.exports = {
+  string,
+  number,
+  boolean,
+  oneOf,
+  arrayOf,
+  object,
+  optional,
+  nullable,
+  validate,
+};
@@ -0,0 +1,96 @@
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const matchesLedgerFilter = require("../helpers/matchesLedgerFilter");
+const BazikError = require("../errors/BazikError");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── File ledger store ───────────────────────────────────────────────────────
+
+/**
+ * Ledger store backed by a JSON file. Writes go through a temp file and
+ * `rename()` so a crash never leaves a half-written ledger. Meant for one
+ * process per file — several writers would overwrite each other's entries,
+ * so give each worker its own file or use a database adapter.
+ *
+ * Unlike `FileTokenStore`, a corrupt file throws instead of reading as
+ * empty: the next write would otherwise erase the ledger.
+ *
+ * @example
+ * const ledger = new FileLedgerStore("/var/lib/myapp/bazik-ledger.json");
+ * const bazik = new Bazik({ userID, secretKey, ledger });
+ */
+class FileLedgerStore {
+  #filePath;
+
+  /**
+   * @param {string} filePath — Where to keep the ledger
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new BazikValidationError("FileLedgerStore requires a file path.");
+    }
+    this.#filePath = path.resolve(filePath);
+  }
+
+  /**
+   * @param {string} id — orderId or transaction_id
+   * @returns {Promise<Object | null>}
+   */
+  async get(id) {
+    const entries = await this.#read();
+    return entries[id] ?? null;
+  }
+
+  /**
+   * Insert or replace the entry with `entry.id`.
+   * @param {Object} entry
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    const entries = await this.#read();
+    entries[entry.id] = entry;
+    await this.#write(entries);
+  }
+
+  /**
+   * @param {Object} filter — See `matchesLedgerFilter`
+   * @returns {Promise<Object[]>}
+   */
+  async query(filter) {
+    const entries = await this.#read();
+    return Object.values(entries).filter((entry) =>
+      matchesLedgerFilter(entry, filter)
+    );
+  }
+
+  async #read() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.#filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      throw new BazikError(
+        `Ledger file ${this.#filePath} is not valid JSON.`,
+        null,
+        "ledger_corrupt",
+        { cause: err.message }
+      );
+    }
+  }
+
+  async #write(entries) {
+    await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+    const tmp = `${this.#filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entries), { mode: 0o600 });
+    await fs.rename(tmp, this.#filePath);
+  }
+}
+
+module.exports = FileLedgerStore;
@@ -0,0 +1,88 @@
+"use strict";
+
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── File token store ────────────────────────────────────────────────────────
+
+/**
+ * Token store backed by a JSON file, so every worker, cluster node or CLI
+ * run on the same machine shares one token per account. Writes go through a
+ * temp file and `rename()` so readers never see a half-written file. The
+ * file holds bearer tokens and is created with mode 0600.
+ *
+ * @example
+ * const tokenStore = new FileTokenStore("/var/run/myapp/bazik-tokens.json");
+ * const bazik = new Bazik({ userID, secretKey, tokenStore });
+ */
+class FileTokenStore {
+  #filePath;
+
+  /**
+   * @param {string} filePath — Where to keep the tokens
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new BazikValidationError("FileTokenStore requires a file path.");
+    }
+    this.#filePath = path.resolve(filePath);
+  }
+
+  /**
+   * @param {string} key — The account's userID
+   * @returns {Promise<{ token: string, expiresAt: number } | null>}
+   */
+  async get(key) {
+    const tokens = await this.#read();
+    return tokens[key] ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ token: string, expiresAt: number }} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const tokens = await this.#read();
+    tokens[key] = { token: value.token, expiresAt: value.expiresAt };
+    await this.#write(tokens);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const tokens = await this.#read();
+    if (!(key in tokens)) return;
+    delete tokens[key];
+    await this.#write(tokens);
+  }
+
+  async #read() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.#filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+    try {
+      const tokens = JSON.parse(raw);
+      return tokens && typeof tokens === "object" ? tokens : {};
+    } catch {
+      // A corrupt file is just an empty cache — the next set() repairs it.
+      return {};
+    }
+  }
+
+  async #write(tokens) {
+    await fs.mkdir(path.dirname(this.#filePath), { recursive: true });
+    const tmp = `${this.#filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(tokens), { mode: 0o600 });
+    await fs.rename(tmp, this.#filePath);
+  }
+}
+
+module.exports = FileTokenStore;
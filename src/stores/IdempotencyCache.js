@@ -0,0 +1,88 @@
+"use strict";
+
+const crypto = require("node:crypto");
+const BazikValidationError = require("../errors/BazikValidationError");
+
+// ─── Idempotency cache ───────────────────────────────────────────────────────
+
+/**
+ * In-memory map of idempotency key → first result. A repeated call with the
+ * same key gets the original result (or joins the in-flight request) instead
+ * of moving money twice. Failed calls are evicted so they can be retried.
+ */
+class IdempotencyCache {
+  #entries = new Map();
+  #maxEntries;
+  #ttlMs;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=1000] — Oldest keys are evicted first
+   * @param {number} [options.ttlMs=86400000]  — How long a result is remembered (24h)
+   */
+  constructor(options = {}) {
+    this.#maxEntries = options.maxEntries ?? 1000;
+    this.#ttlMs = options.ttlMs ?? 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Run `fn` once per key. Reusing a key with a different body is an error.
+   * @param {string} key
+   * @param {*} body
+   * @param {() => Promise<*>} fn
+   * @returns {Promise<*>}
+   */
+  run(key, body, fn) {
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(body ?? null))
+      .digest("hex");
+
+    const existing = this.#entries.get(key);
+    if (existing && existing.expiresAt > Date.now()) {
+      if (existing.fingerprint !== fingerprint) {
+        return Promise.reject(
+          new BazikValidationError(
+            `Idempotency key "${key}" was already used with different parameters.`,
+            { idempotencyKey: key }
+          )
+        );
+      }
+      return existing.promise;
+    }
+
+    const promise = fn().catch((err) => {
+      if (this.#entries.get(key)?.promise === promise) {
+        this.#entries.delete(key);
+      }
+      throw err;
+    });
+
+    this.#entries.delete(key);
+    this.#entries.set(key, {
+      fingerprint,
+      promise,
+      expiresAt: Date.now() + this.#ttlMs,
+    });
+    this.#evict();
+
+    return promise;
+  }
+
+  /** Forget every remembered key. */
+  clear() {
+    this.#entries.clear();
+  }
+
+  #evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.#entries) {
+      if (this.#entries.size <= this.#maxEntries && entry.expiresAt > now) {
+        break;
+      }
+      this.#entries.delete(key);
+    }
+  }
+}
+
+module.exports = IdempotencyCache;
@@ -0,0 +1,46 @@
+"use strict";
+
+const matchesLedgerFilter = require("../helpers/matchesLedgerFilter");
+
+// ─── In-memory ledger store ──────────────────────────────────────────────────
+
+/**
+ * Ledger store backed by a `Map`. Entries are lost when the process exits;
+ * use `FileLedgerStore` or your own database adapter to keep them.
+ *
+ * @example
+ * const bazik = new Bazik({ userID, secretKey, ledger: new MemoryLedgerStore() });
+ */
+class MemoryLedgerStore {
+  #entries = new Map();
+
+  /**
+   * @param {string} id — orderId or transaction_id
+   * @returns {Promise<Object | null>}
+   */
+  async get(id) {
+    const entry = this.#entries.get(id);
+    return entry ? structuredClone(entry) : null;
+  }
+
+  /**
+   * Insert or replace the entry with `entry.id`.
+   * @param {Object} entry
+   * @returns {Promise<void>}
+   */
+  async put(entry) {
+    this.#entries.set(entry.id, structuredClone(entry));
+  }
+
+  /**
+   * @param {Object} filter — See `matchesLedgerFilter`
+   * @returns {Promise<Object[]>}
+   */
+  async query(filter) {
+    return [...this.#entries.values()]
+      .filter((entry) => matchesLedgerFilter(entry, filter))
+      .map((entry) => structuredClone(entry));
+  }
+}
+
+module.exports = MemoryLedgerStore;
@@ -0,0 +1,43 @@
+"use strict";
+
+// ─── In-memory token store ───────────────────────────────────────────────────
+
+/**
+ * Token store backed by a `Map`. Share one instance between several `Bazik`
+ * clients in the same process so they reuse a single token per account.
+ *
+ * @example
+ * const tokenStore = new MemoryTokenStore();
+ * const a = new Bazik({ userID, secretKey, tokenStore });
+ * const b = new Bazik({ userID, secretKey, tokenStore }); // reuses a's token
+ */
+class MemoryTokenStore {
+  #tokens = new Map();
+
+  /**
+   * @param {string} key — The account's userID
+   * @returns {Promise<{ token: string, expiresAt: number } | null>}
+   */
+  async get(key) {
+    return this.#tokens.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ token: string, expiresAt: number }} value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.#tokens.set(key, { ...value });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.#tokens.delete(key);
+  }
+}
+
+module.exports = MemoryTokenStore;
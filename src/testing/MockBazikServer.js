@@ -0,0 +1,641 @@
+"use strict";
+
+const http = require("node:http");
+const https = require("node:https");
+const crypto = require("node:crypto");
+const {
+  MAX_MONCASH_AMOUNT,
+  WEBHOOK_SIGNATURE_HEADER,
+} = require("../constants");
+const Webhooks = require("../modules/Webhooks");
+const HaitianPhone = require("../phone/HaitianPhone");
+
+// ─── Mock Bazik API server ───────────────────────────────────────────────────
+
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const FEE_PERCENTAGE = 5;
+
+/** Round to cents. */
+function money(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function apiError(status, code, message) {
+  return { status, body: { success: false, error: { code, message } } };
+}
+
+/**
+ * A local HTTP server that speaks the Bazik API, for offline tests.
+ *
+ * It keeps realistic state — a balance that payouts draw down (amount plus
+ * the 5% fee), orders and transfers that move from pending to a final
+ * status, the 75,000 HTG payment cap, idempotency keys — and lets tests
+ * force the next response to any status.
+ *
+ * @example
+ * const { MockBazikServer } = require("bazik-sdk/testing");
+ *
+ * const server = new MockBazikServer({ balance: 10_000 });
+ * await server.start();
+ * const bazik = new Bazik({ ...server.credentials, baseURL: server.url });
+ *
+ * server.forceNext(429, { headers: { "retry-after": "1" } });
+ * // ...
+ * await server.stop();
+ */
+class MockBazikServer {
+  #server = null;
+  #tokens = new Map();
+  #orders = new Map();
+  #transfers = new Map();
+  #customers = new Map();
+  #idempotent = new Map();
+  #forced = [];
+  #balance;
+  #reserved;
+  #environment;
+  #webhooks;
+  #autoSettleAfter;
+  #requestCount = 0;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.userID="bzk_test_user"]
+   * @param {string} [options.secretKey="sk_test_secret"]
+   * @param {number} [options.balance=100000]     — Starting available balance in HTG
+   * @param {"sandbox"|"production"} [options.environment="sandbox"]
+   * @param {string} [options.webhookSecret]       — Sign and deliver transfer webhooks when they settle
+   * @param {number} [options.autoSettleAfter]     — Settle pending items as successful after this many status polls
+   */
+  constructor(options = {}) {
+    this.userID = options.userID || "bzk_test_user";
+    this.secretKey = options.secretKey || "sk_test_secret";
+    this.#balance = options.balance ?? 100_000;
+    this.#reserved = 0;
+    this.#environment = options.environment || "sandbox";
+    this.#webhooks = options.webhookSecret
+      ? new Webhooks(null, { secret: options.webhookSecret })
+      : null;
+    this.#autoSettleAfter = options.autoSettleAfter ?? null;
+
+    /** Every request received, oldest first. */
+    this.requests = [];
+  }
+
+  /** Base URL to pass as `baseURL`. Only set while the server is running. */
+  get url() {
+    const address = this.#server?.address();
+    return address ? `http://127.0.0.1:${address.port}` : null;
+  }
+
+  /** `{ userID, secretKey }` accepted by `POST /token`. */
+  get credentials() {
+    return { userID: this.userID, secretKey: this.secretKey };
+  }
+
+  /** Current available balance in HTG. */
+  get balance() {
+    return this.#balance;
+  }
+
+  /**
+   * Listen on an ephemeral localhost port.
+   * @returns {Promise<string>} — The base URL
+   */
+  async start() {
+    this.#server = http.createServer((req, res) => this.#handle(req, res));
+    await new Promise((resolve) =>
+      this.#server.listen(0, "127.0.0.1", resolve)
+    );
+    return this.url;
+  }
+
+  /** Close the server and drop open connections. */
+  async stop() {
+    if (!this.#server) return;
+    const server = this.#server;
+    this.#server = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  // ── Test controls ───────────────────────────────────────────────────────
+
+  /**
+   * Force the next matching request to return `status` instead of being
+   * handled. Forced responses are queued and used in order.
+   *
+   * @param {number} status
+   * @param {Object} [options]
+   * @param {*} [options.body]      — Defaults to a Bazik-style error body
+   * @param {Record<string, string>} [options.headers]
+   * @param {string} [options.path] — Only match requests to this path
+   * @param {number} [options.times=1]
+   */
+  forceNext(status, options = {}) {
+    const body =
+      options.body ??
+      apiError(status, "forced_error", `Forced ${status} response.`).body;
+    for (let i = 0; i < (options.times ?? 1); i++) {
+      this.#forced.push({
+        status,
+        body,
+        headers: options.headers,
+        path: options.path,
+      });
+    }
+  }
+
+  /** Set the available balance in HTG. */
+  setBalance(available) {
+    this.#balance = available;
+  }
+
+  /**
+   * Set what `POST /moncash/customers/status` reports for a wallet.
+   * @param {string} wallet — Any Haitian format; stored in 8-digit form
+   * @param {{ type?: string, status?: string[] }} customerStatus
+   */
+  setCustomer(wallet, customerStatus) {
+    this.#customers.set(HaitianPhone.parse(wallet).national, {
+      type: customerStatus.type ?? "fullkyc",
+      status: customerStatus.status ?? ["registered", "active"],
+    });
+  }
+
+  /** Invalidate every issued token, so the next call gets a 401. */
+  expireTokens() {
+    this.#tokens.clear();
+  }
+
+  /**
+   * Move a payment order to a final status.
+   * @param {string} orderId
+   * @param {"successful"|"failed"|"cancelled"} status
+   */
+  settleOrder(orderId, status = "successful") {
+    const order = this.#orders.get(orderId);
+    if (!order) throw new Error(`Unknown orderId "${orderId}".`);
+    if (order.status !== "pending") {
+      throw new Error(`Order "${orderId}" is already ${order.status}.`);
+    }
+    order.status = status;
+    order.updatedAt = new Date().toISOString();
+    if (status === "successful") {
+      this.#balance = money(this.#balance + order.amount);
+    }
+  }
+
+  /**
+   * Move a transfer or withdrawal to a final status. A failed transfer
+   * refunds its total to the balance.
+   * @param {string} transactionId
+   * @param {"successful"|"failed"|"cancelled"} status
+   * @param {string} [failureReason]
+   */
+  async settleTransfer(transactionId, status = "successful", failureReason) {
+    const transfer = this.#transfers.get(transactionId);
+    if (!transfer) throw new Error(`Unknown transactionId "${transactionId}".`);
+    if (transfer.status !== "processing") {
+      throw new Error(
+        `Transfer "${transactionId}" is already ${transfer.status}.`
+      );
+    }
+    transfer.status = status;
+    transfer.failureReason =
+      status === "successful" ? null : failureReason || "Transfer failed.";
+    transfer.updatedAt = new Date().toISOString();
+    this.#reserved = money(this.#reserved - transfer.total);
+    if (status !== "successful") {
+      this.#balance = money(this.#balance + transfer.total);
+    }
+    await this.#deliver(transfer.webhookUrl, this.#transferView(transfer));
+  }
+
+  // ── Request handling ────────────────────────────────────────────────────
+
+  async #handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks).toString("utf8");
+
+    let body = null;
+    try {
+      body = raw ? JSON.parse(raw) : null;
+    } catch {
+      return this.#send(
+        res,
+        apiError(400, "invalid_json", "Body is not valid JSON.")
+      );
+    }
+
+    const path = new URL(req.url, "http://localhost").pathname;
+    this.requests.push({
+      method: req.method,
+      path,
+      headers: req.headers,
+      body,
+    });
+
+    const forcedIndex = this.#forced.findIndex(
+      (f) => !f.path || f.path === path
+    );
+    if (forcedIndex !== -1) {
+      const [forced] = this.#forced.splice(forcedIndex, 1);
+      return this.#send(res, forced);
+    }
+
+    if (req.method === "POST" && path === "/token") {
+      return this.#send(res, this.#token(body));
+    }
+
+    const auth = req.headers.authorization || "";
+    const expiresAt = this.#tokens.get(auth.replace(/^Bearer /, ""));
+    if (!expiresAt || expiresAt <= Date.now()) {
+      return this.#send(
+        res,
+        apiError(401, "unauthorized", "Invalid or expired token.")
+      );
+    }
+
+    const key = req.headers["idempotency-key"];
+    if (key && this.#idempotent.has(key)) {
+      return this.#send(res, this.#idempotent.get(key));
+    }
+
+    const result = this.#route(req.method, path, body || {});
+    if (key && result.status < 500) {
+      this.#idempotent.set(key, result);
+    }
+    return this.#send(res, result);
+  }
+
+  #route(method, path, body) {
+    let match;
+    if (method === "POST" && path === "/moncash/token")
+      return this.#createOrder(body);
+    if (method === "GET" && (match = path.match(/^\/order\/([^/]+)$/))) {
+      return this.#getOrder(decodeURIComponent(match[1]));
+    }
+    if (method === "POST" && path === "/moncash/withdraw")
+      return this.#payout(body, "moncash");
+    if (method === "GET" && (path === "/balance" || path === "/wallet")) {
+      return { status: 200, body: this.#balanceView() };
+    }
+    if (method === "POST" && path === "/moncash/customers/status")
+      return this.#customer(body);
+    if (method === "POST" && path === "/moncash/transfers")
+      return this.#payout(body, "moncash");
+    if (method === "POST" && path === "/natcash/transfers")
+      return this.#payout(body, "natcash");
+    if (method === "POST" && path === "/transfers/quote")
+      return this.#quote(body);
+    if (method === "GET" && (match = path.match(/^\/transfers\/([^/]+)$/))) {
+      return this.#getTransfer(decodeURIComponent(match[1]));
+    }
+    return apiError(404, "not_found", `No route for ${method} ${path}.`);
+  }
+
+  #token(body) {
+    if (body?.userID !== this.userID || body?.secretKey !== this.secretKey) {
+      return apiError(
+        401,
+        "invalid_credentials",
+        "Invalid userID or secretKey"
+      );
+    }
+    const token = crypto.randomBytes(24).toString("base64url");
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    this.#tokens.set(token, expiresAt);
+    return {
+      status: 200,
+      body: {
+        success: true,
+        token,
+        user_id: this.userID,
+        expires_at: expiresAt,
+        message: "Authentication successful",
+      },
+    };
+  }
+
+  #createOrder(body) {
+    const invalid = this.#checkAmount(body.gdes, MAX_MONCASH_AMOUNT);
+    if (invalid) return invalid;
+
+    const orderId = `BZK_${this.#environment}_${crypto
+      .randomBytes(4)
+      .toString("hex")}_${Date.now()}`;
+    const now = new Date().toISOString();
+    const order = {
+      orderId,
+      referenceId: body.referenceId || orderId,
+      status: "pending",
+      amount: money(body.gdes),
+      description: body.description,
+      customerEmail: body.customerEmail,
+      customerName: [body.customerFirstName, body.customerLastName]
+        .filter(Boolean)
+        .join(" "),
+      successUrl: body.successUrl,
+      errorUrl: body.errorUrl,
+      metadata: body.metadata || {},
+      polls: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.#orders.set(orderId, order);
+
+    return {
+      status: 200,
+      body: {
+        orderId,
+        redirectUrl: `${this.url}/pay/${orderId}`,
+        status: "pending",
+        gourdes: order.amount,
+        referenceId: order.referenceId,
+        environment: this.#environment,
+        customerFullName: order.customerName,
+        successUrl: order.successUrl,
+        errorUrl: order.errorUrl,
+        userID: this.userID,
+        transactionType: "payment",
+        metadata: order.metadata,
+      },
+    };
+  }
+
+  #getOrder(orderId) {
+    const order = this.#orders.get(orderId);
+    if (!order)
+      return apiError(404, "order_not_found", `Order ${orderId} not found.`);
+    if (order.status === "pending" && this.#shouldAutoSettle(order)) {
+      this.settleOrder(orderId, "successful");
+    }
+    return { status: 200, body: this.#orderView(order) };
+  }
+
+  #payout(body, provider) {
+    const missing = [
+      "gdes",
+      "wallet",
+      "customerFirstName",
+      "customerLastName",
+    ].filter((f) => body[f] === undefined || body[f] === "");
+    if (missing.length > 0) {
+      return apiError(
+        400,
+        "validation_error",
+        `Missing required field(s): ${missing.join(", ")}`
+      );
+    }
+    const invalid = this.#checkAmount(body.gdes);
+    if (invalid) return invalid;
+
+    const amount = money(body.gdes);
+    const fees = money((amount * FEE_PERCENTAGE) / 100);
+    const total = money(amount + fees);
+    if (total > this.#balance) {
+      return apiError(402, "insufficient_funds", "Insufficient funds.");
+    }
+    this.#balance = money(this.#balance - total);
+    this.#reserved = money(this.#reserved + total);
+
+    const transactionId = `TRF_${Math.floor(Date.now() / 1000)}_${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+    const now = new Date().toISOString();
+    const transfer = {
+      transactionId,
+      provider,
+      status: "processing",
+      amount,
+      fees,
+      total,
+      wallet: body.wallet,
+      firstName: body.customerFirstName,
+      lastName: body.customerLastName,
+      description: body.description || "",
+      referenceId: body.referenceId || transactionId,
+      customerEmail: body.customerEmail || "",
+      webhookUrl: body.webhookUrl || "",
+      failureReason: null,
+      polls: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.#transfers.set(transactionId, transfer);
+
+    return {
+      status: 201,
+      body: {
+        transaction_id: transactionId,
+        status: "pending",
+        provider,
+        amount,
+        fees,
+        total,
+        currency: "HTG",
+        wallet: transfer.wallet,
+        recipient: {
+          first_name: transfer.firstName,
+          last_name: transfer.lastName,
+        },
+        description: transfer.description,
+        referenceId: transfer.referenceId,
+        customerEmail: transfer.customerEmail,
+        webhookUrl: transfer.webhookUrl,
+        created_at: now,
+        environment: this.#environment,
+        message: "Transfer initiated successfully",
+      },
+    };
+  }
+
+  #getTransfer(transactionId) {
+    const transfer = this.#transfers.get(transactionId);
+    if (!transfer) {
+      return apiError(
+        404,
+        "transfer_not_found",
+        `Transfer ${transactionId} not found.`
+      );
+    }
+    if (transfer.status === "processing" && this.#shouldAutoSettle(transfer)) {
+      // The status changes synchronously; the webhook is delivered in the
+      // background and never fails the poll.
+      this.settleTransfer(transactionId, "successful").catch(() => {});
+    }
+    return { status: 200, body: this.#transferView(transfer) };
+  }
+
+  #customer(body) {
+    if (!body.wallet) {
+      return apiError(
+        400,
+        "validation_error",
+        "Missing required field(s): wallet"
+      );
+    }
+    return {
+      status: 200,
+      body: {
+        customerStatus: this.#customers.get(body.wallet) ?? {
+          type: "fullkyc",
+          status: ["registered", "active"],
+        },
+        timestamp: Date.now(),
+        status: 200,
+        environment: this.#environment,
+      },
+    };
+  }
+
+  #quote(body) {
+    const invalid = this.#checkAmount(body.amount);
+    if (invalid) return invalid;
+    if (!["moncash", "natcash"].includes(body.provider)) {
+      return apiError(
+        400,
+        "validation_error",
+        `Invalid provider "${body.provider}".`
+      );
+    }
+    const amount = money(body.amount);
+    const fee = money((amount * FEE_PERCENTAGE) / 100);
+    return {
+      status: 200,
+      body: {
+        delivery_amount: amount,
+        fee,
+        total_cost: money(amount + fee),
+        currency: "HTG",
+        provider: body.provider,
+        fee_percentage: FEE_PERCENTAGE,
+        timestamp: new Date().toISOString(),
+        environment: this.#environment,
+      },
+    };
+  }
+
+  // ── Helpers ─────────────────────────────────────────────────────────────
+
+  #checkAmount(amount, max) {
+    if (typeof amount !== "number" || !isFinite(amount) || amount <= 0) {
+      return apiError(400, "validation_error", `Invalid amount: ${amount}.`);
+    }
+    if (max !== undefined && amount > max) {
+      return apiError(
+        400,
+        "amount_exceeds_limit",
+        `Amount ${amount} exceeds maximum of ${max} HTG.`
+      );
+    }
+    return null;
+  }
+
+  #shouldAutoSettle(item) {
+    if (this.#autoSettleAfter === null) return false;
+    item.polls += 1;
+    return item.polls >= this.#autoSettleAfter;
+  }
+
+  #balanceView() {
+    return {
+      available: this.#balance,
+      reserved: this.#reserved,
+      currency: "HTG",
+      environment: this.#environment,
+      last_updated: new Date().toISOString(),
+    };
+  }
+
+  #orderView(order) {
+    return {
+      orderId: order.orderId,
+      referenceId: order.referenceId,
+      status: order.status,
+      amount: order.amount,
+      currency: "HTG",
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt,
+      metadata: {
+        ...order.metadata,
+        description: order.description,
+        customerEmail: order.customerEmail,
+        customerName: order.customerName,
+      },
+    };
+  }
+
+  #transferView(transfer) {
+    const settled = transfer.status !== "processing";
+    return {
+      ...(settled && {
+        type:
+          transfer.status === "successful"
+            ? "transfer.succeeded"
+            : "transfer.failed",
+      }),
+      transactionId: transfer.transactionId,
+      status: transfer.status,
+      amount: transfer.amount,
+      fees: transfer.fees,
+      total: transfer.total,
+      currency: "HTG",
+      wallet: transfer.wallet,
+      description: transfer.description,
+      recipient: { firstName: transfer.firstName, lastName: transfer.lastName },
+      referenceId: transfer.referenceId,
+      failureReason: transfer.failureReason,
+      timestamp: transfer.updatedAt,
+      provider: transfer.provider,
+      environment: this.#environment,
+    };
+  }
+
+  /** POST a signed webhook. Delivery failures are ignored, like a real provider giving up. */
+  async #deliver(webhookUrl, event) {
+    if (!this.#webhooks || !webhookUrl) return;
+    const payload = JSON.stringify(event);
+    const signature = this.#webhooks.sign(payload);
+    await new Promise((resolve) => {
+      let req;
+      try {
+        const url = new URL(webhookUrl);
+        req = (url.protocol === "https:" ? https : http).request(
+          url,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              [WEBHOOK_SIGNATURE_HEADER]: signature,
+            },
+          },
+          (res) => {
+            res.resume();
+            res.on("end", resolve);
+          }
+        );
+      } catch {
+        // Not an http(s) URL — nothing to deliver to.
+        resolve();
+        return;
+      }
+      req.on("error", resolve);
+      req.end(payload);
+    });
+  }
+
+  #send(res, { status, body, headers }) {
+    const payload = body === undefined ? "" : JSON.stringify(body);
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "X-Request-Id": `req_mock_${++this.#requestCount}`,
+      ...headers,
+    });
+    res.end(payload);
+  }
+}
+
+module.exports = MockBazikServer;
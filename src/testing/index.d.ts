@@ -0,0 +1,69 @@
+/**
+ * Bazik SDK — testing utilities TypeScript Definitions
+ */
+
+export interface MockBazikServerOptions {
+  /** Accepted by `POST /token` (default: "bzk_test_user") */
+  userID?: string;
+  /** Accepted by `POST /token` (default: "sk_test_secret") */
+  secretKey?: string;
+  /** Starting available balance in HTG (default: 100000) */
+  balance?: number;
+  /** Reported in every response (default: "sandbox") */
+  environment?: "sandbox" | "production";
+  /** Sign and deliver transfer webhooks to `webhookUrl` when they settle */
+  webhookSecret?: string;
+  /** Settle pending orders and transfers as successful after this many status polls */
+  autoSettleAfter?: number;
+}
+
+export interface ForceResponseOptions {
+  /** Response body (default: a Bazik-style error body) */
+  body?: unknown;
+  headers?: Record<string, string>;
+  /** Only match requests to this path, e.g. "/moncash/transfers" */
+  path?: string;
+  /** How many requests to answer this way (default: 1) */
+  times?: number;
+}
+
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  headers: Record<string, string | string[] | undefined>;
+  body: unknown;
+}
+
+export declare class MockBazikServer {
+  constructor(options?: MockBazikServerOptions);
+
+  readonly userID: string;
+  readonly secretKey: string;
+  /** Base URL to pass as `baseURL`; null until started */
+  readonly url: string | null;
+  /** `{ userID, secretKey }` accepted by `POST /token` */
+  readonly credentials: { userID: string; secretKey: string };
+  /** Current available balance in HTG */
+  readonly balance: number;
+  /** Every request received, oldest first */
+  readonly requests: RecordedRequest[];
+
+  /** Listen on an ephemeral localhost port; resolves to the base URL */
+  start(): Promise<string>;
+  stop(): Promise<void>;
+
+  /** Answer the next matching request with `status` */
+  forceNext(status: number, options?: ForceResponseOptions): void;
+  setBalance(available: number): void;
+  setCustomer(wallet: string, customerStatus: { type?: string; status?: string[] }): void;
+  /** Invalidate every issued token */
+  expireTokens(): void;
+  /** Move a pending payment order to a final status */
+  settleOrder(orderId: string, status?: "successful" | "failed" | "cancelled"): void;
+  /** Move a processing transfer to a final status; failures are refunded */
+  settleTransfer(
+    transactionId: string,
+    status?: "successful" | "failed" | "cancelled",
+    failureReason?: string
+  ): Promise<void>;
+}
@@ -0,0 +1,17 @@
+/**
+ * Bazik SDK — testing utilities
+ * A local mock of the Bazik API for offline tests.
+ *
+ * @example
+ * const { MockBazikServer } = require("bazik-sdk/testing");
+ */
+
+"use strict";
+
+const MockBazikServer = require("./MockBazikServer");
+
+// ─── Exports ─────────────────────────────────────────────────────────────────
+
+module.exports = {
+  MockBazikServer,
+};
@@ -0,0 +1,7 @@
+/**
+ * Bazik SDK testing utilities — ESM entry point
+ * Re-exports all public APIs from the CommonJS source.
+ */
+import pkg from "./index.js";
+
+export const { MockBazikServer } = pkg;
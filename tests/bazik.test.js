@@ -5,17 +5,49 @@
  * Run: node --test tests/bazik.test.js
  */
 
-const { describe, it, mock, beforeEach } = require("node:test");
+const {
+  describe,
+  it,
+  mock,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
 const assert = require("node:assert/strict");
 
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
 const {
   Bazik,
+  MemoryTokenStore,
+  FileTokenStore,
+  FileLedgerStore,
+  Gourdes,
+  HaitianPhone,
   BazikError,
   BazikAuthError,
   BazikValidationError,
   BazikInsufficientFundsError,
   BazikRateLimitError,
+  BazikWebhookError,
+  BazikAbortError,
+  BazikTimeoutError,
+  BazikNetworkError,
+  BazikServerError,
+  BazikNotFoundError,
+  BazikCircuitOpenError,
+  BazikResponseFormatError,
+  BazikRecipientError,
+  BazikLimitExceededError,
+  BazikEnvironmentMismatchError,
+  BazikPayoutDeclinedError,
 } = require("../src/index.js");
+const { MockBazikServer } = require("../src/testing");
+
+const realFetch = globalThis.fetch;
 
 // ─── Mock fetch ──────────────────────────────────────────────────────────────
 
@@ -32,12 +64,58 @@ function mockFetch(status, body) {
   );
 }
 
-function setupClient(fetchMock) {
-  globalThis.fetch = fetchMock;
+/**
+ * Mock fetch that answers each call with the next entry in `responses`.
+ * An entry is `[status, body, headers?]`, or an Error to throw.
+ */
+function mockFetchSequence(responses) {
+  let i = 0;
+  return mock.fn(() => {
+    const next = responses[Math.min(i++, responses.length - 1)];
+    if (next instanceof Error) return Promise.reject(next);
+    const [status, body, headers = {}] = next;
+    return Promise.resolve({
+      status,
+      headers: {
+        get: (name) =>
+          name.toLowerCase() === "content-type"
+            ? "application/json"
+            : headers[name.toLowerCase()] ?? null,
+      },
+      json: () => Promise.resolve(body),
+      text: () => Promise.resolve(JSON.stringify(body)),
+    });
+  });
+}
+
+const AUTH_OK = [
+  200,
+  {
+    success: true,
+    token: "test_token",
+    user_id: "bzk_test",
+    expires_at: Date.now() + 86_400_000,
+    message: "ok",
+  },
+];
+
+/**
+ * A client for tests. `target` is a fetch mock, or a MockBazikServer to talk
+ * to over real HTTP (without retries); `config` overrides the defaults.
+ */
+function setupClient(target, config = {}) {
+  const server = target instanceof MockBazikServer ? target : null;
+  globalThis.fetch = server ? realFetch : target;
   return new Bazik({
     userID: "bzk_test_123",
     secretKey: "sk_test_secret",
     autoRefresh: false,
+    ...(server && {
+      ...server.credentials,
+      baseURL: server.url,
+      retry: false,
+    }),
+    ...config,
   });
 }
 
@@ -509,39 +587,3691 @@ describe("Wallet", () => {
   });
 });
 
-// ─── Error classes ───────────────────────────────────────────────────────────
+// ─── Token store tests ───────────────────────────────────────────────────────
 
-describe("Error classes", () => {
-  it("BazikError should have correct properties", () => {
-    const err = new BazikError("test", 500, "server_error", { foo: "bar" });
-    assert.equal(err.message, "test");
-    assert.equal(err.status, 500);
-    assert.equal(err.code, "server_error");
-    assert.deepEqual(err.details, { foo: "bar" });
-    assert.equal(err.name, "BazikError");
-    assert.ok(err instanceof Error);
+describe("Token stores", () => {
+  it("should share one token between clients through a store", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [200, { available: 1 }]]);
+    const tokenStore = new MemoryTokenStore();
+
+    await setupClient(fetchFn, { tokenStore }).wallet.getBalance();
+    await setupClient(fetchFn, { tokenStore }).wallet.getBalance();
+
+    const tokenCalls = fetchFn.mock.calls.filter((c) =>
+      c.arguments[0].endsWith("/token")
+    );
+    assert.equal(tokenCalls.length, 1);
+    assert.equal((await tokenStore.get("bzk_test_123")).token, "test_token");
   });
 
-  it("BazikAuthError should extend BazikError", () => {
-    const err = new BazikAuthError("unauthorized", 401);
-    assert.ok(err instanceof BazikError);
-    assert.ok(err instanceof Error);
-    assert.equal(err.name, "BazikAuthError");
+  it("should ignore an expired stored token", async () => {
+    const tokenStore = new MemoryTokenStore();
+    await tokenStore.set("bzk_test_123", {
+      token: "stale",
+      expiresAt: Date.now() - 1,
+    });
+    const fetchFn = mockFetchSequence([AUTH_OK]);
+
+    const client = setupClient(fetchFn, { tokenStore });
+    assert.equal(await client.getToken(), "test_token");
+    assert.equal(fetchFn.mock.calls.length, 1);
   });
 
-  it("BazikValidationError should have status 400", () => {
-    const err = new BazikValidationError("bad input");
-    assert.equal(err.status, 400);
-    assert.equal(err.code, "validation_error");
+  it("should adopt a token another process refreshed after a 401", async () => {
+    const tokenStore = new MemoryTokenStore();
+    const expiresAt = Date.now() + 86_400_000;
+    await tokenStore.set("bzk_test_123", { token: "old_token", expiresAt });
+    const fetchFn = mock.fn(async (url, opts) => {
+      const rejected = opts.headers.Authorization === "Bearer old_token";
+      if (rejected) {
+        await tokenStore.set("bzk_test_123", {
+          token: "fresh_token",
+          expiresAt,
+        });
+      }
+      return {
+        status: rejected ? 401 : 200,
+        headers: { get: () => "application/json" },
+        json: async () => (rejected ? {} : { available: 5 }),
+      };
+    });
+
+    const client = setupClient(fetchFn, { tokenStore, autoRefresh: true });
+    const balance = await client.wallet.getBalance();
+    assert.equal(balance.available, 5);
+    assert.equal(fetchFn.mock.calls.length, 2);
+    assert.equal(
+      fetchFn.mock.calls[1].arguments[1].headers.Authorization,
+      "Bearer fresh_token"
+    );
   });
 
-  it("BazikInsufficientFundsError should have status 402", () => {
-    const err = new BazikInsufficientFundsError("no funds");
-    assert.equal(err.status, 402);
+  it("should fall back to POST /token when the store fails", async () => {
+    const warnings = [];
+    const tokenStore = {
+      get: async () => {
+        throw new Error("ECONNREFUSED");
+      },
+      set: async () => {
+        throw new Error("ECONNREFUSED");
+      },
+      delete: async () => {},
+    };
+    const fetchFn = mockFetchSequence([AUTH_OK, [200, { available: 7 }]]);
+    const bazik = setupClient(fetchFn, {
+      tokenStore,
+      logger: { warn: (message) => warnings.push(message) },
+    });
+
+    const balance = await bazik.wallet.getBalance();
+    assert.equal(balance.available, 7);
+    assert.equal(fetchFn.mock.calls.length, 2);
+    assert.equal(await bazik.getToken(), "test_token");
+    assert.deepEqual(warnings, [
+      "bazik: Token store get failed: ECONNREFUSED",
+      "bazik: Token store set failed: ECONNREFUSED",
+    ]);
   });
 
-  it("BazikRateLimitError should have status 429", () => {
-    const err = new BazikRateLimitError("slow down");
-    assert.equal(err.status, 429);
+  it("should authenticate even if saving the token fails", async () => {
+    const auth = await setupClient(mockFetchSequence([AUTH_OK]), {
+      tokenStore: {
+        get: async () => null,
+        set: async () => {
+          throw new Error("read-only store");
+        },
+        delete: async () => {},
+      },
+    }).authenticate();
+    assert.equal(auth.token, "test_token");
+  });
+
+  it("should persist tokens in a file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bazik-"));
+    const file = path.join(dir, "tokens.json");
+    try {
+      const store = new FileTokenStore(file);
+      assert.equal(await store.get("bzk_test"), null);
+
+      await store.set("bzk_test", { token: "abc", expiresAt: 123 });
+      assert.deepEqual(await new FileTokenStore(file).get("bzk_test"), {
+        token: "abc",
+        expiresAt: 123,
+      });
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+      await store.delete("bzk_test");
+      assert.equal(await store.get("bzk_test"), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+// ─── Token refresh tests ─────────────────────────────────────────────────────
+
+describe("Token refresh", () => {
+  const {
+    TOKEN_REFRESH_MARGIN_MS,
+    TOKEN_BACKGROUND_REFRESH_LEAD_MS,
+  } = require("../src/constants");
+
+  /** An expires_at whose background refresh fires in `ms`. */
+  const dueForBackgroundRefreshIn = (ms) =>
+    Date.now() +
+    TOKEN_REFRESH_MARGIN_MS +
+    TOKEN_BACKGROUND_REFRESH_LEAD_MS +
+    ms;
+
+  const tokenCalls = (fetchFn) =>
+    fetchFn.mock.calls.filter((c) => c.arguments[0].endsWith("/token"));
+
+  it("should authenticate once for concurrent first requests", async () => {
+    const fetchFn = mock.fn(async (url) => ({
+      status: 200,
+      headers: { get: () => "application/json" },
+      json: async () =>
+        url.endsWith("/token") ? AUTH_OK[1] : { available: 1 },
+    }));
+    globalThis.fetch = fetchFn;
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+
+    await Promise.all(
+      Array.from({ length: 50 }, () => client.wallet.getBalance())
+    );
+
+    assert.equal(tokenCalls(fetchFn).length, 1);
+    assert.equal(fetchFn.mock.calls.length, 51);
+  });
+
+  it("should share one refresh between concurrent 401s", async () => {
+    let token = "test_token";
+    const fetchFn = mock.fn(async (url, opts) => {
+      if (url.endsWith("/token")) {
+        token = "fresh_token";
+        return {
+          status: 200,
+          headers: { get: () => "application/json" },
+          json: async () => ({ ...AUTH_OK[1], token }),
+        };
+      }
+      const ok = opts.headers.Authorization === `Bearer ${token}`;
+      return {
+        status: ok ? 200 : 401,
+        headers: { get: () => "application/json" },
+        json: async () => ({}),
+      };
+    });
+    globalThis.fetch = mockFetchSequence([AUTH_OK]);
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+    await client.authenticate();
+    token = "rotated_server_side";
+    globalThis.fetch = fetchFn;
+
+    await Promise.all(
+      Array.from({ length: 10 }, () => client.wallet.getBalance())
+    );
+    assert.equal(tokenCalls(fetchFn).length, 1);
+  });
+
+  it("should refresh the token in the background before it is due", async () => {
+    const expiresSoon = dueForBackgroundRefreshIn(20);
+    const fetchFn = mockFetchSequence([
+      [200, { ...AUTH_OK[1], token: "first", expires_at: expiresSoon }],
+      [200, { ...AUTH_OK[1], token: "second" }],
+    ]);
+    globalThis.fetch = fetchFn;
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+
+    assert.equal(await client.getToken(), "first");
+    await new Promise((r) => setTimeout(r, 60));
+
+    assert.equal(fetchFn.mock.calls.length, 2);
+    assert.equal(await client.getToken(), "second");
+  });
+
+  it("should refresh a shared token once for several clients", async () => {
+    let n = 0;
+    mock.method(Math, "random", () => (n++ % 5) / 5);
+    try {
+      const respond = mockFetchSequence([
+        [
+          200,
+          {
+            ...AUTH_OK[1],
+            token: "first",
+            expires_at: dueForBackgroundRefreshIn(200),
+          },
+        ],
+        [200, { ...AUTH_OK[1], token: "second" }],
+      ]);
+      // POST /token takes a while, as it does over a real network.
+      const fetchFn = mock.fn(async (...args) => {
+        await new Promise((r) => setTimeout(r, 10));
+        return respond(...args);
+      });
+      globalThis.fetch = fetchFn;
+      const tokenStore = new MemoryTokenStore();
+      const clients = Array.from(
+        { length: 5 },
+        () =>
+          new Bazik({ userID: "bzk_test", secretKey: "sk_test", tokenStore })
+      );
+      for (const client of clients) await client.getToken();
+      assert.equal(tokenCalls(fetchFn).length, 1);
+
+      await new Promise((r) => setTimeout(r, 300));
+      assert.equal(tokenCalls(fetchFn).length, 2);
+      for (const client of clients) {
+        assert.equal(await client.getToken(), "second");
+        client.close();
+      }
+    } finally {
+      Math.random.mock.restore();
+    }
+  });
+
+  it("should not refresh in the background when disabled", async () => {
+    const expiresSoon = dueForBackgroundRefreshIn(20);
+    const fetchFn = mockFetchSequence([
+      [200, { ...AUTH_OK[1], expires_at: expiresSoon }],
+    ]);
+    globalThis.fetch = fetchFn;
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      backgroundRefresh: false,
+    });
+
+    await client.getToken();
+    await new Promise((r) => setTimeout(r, 60));
+    assert.equal(fetchFn.mock.calls.length, 1);
+  });
+
+  it("should stop refreshing in the background once closed", async () => {
+    const expiresSoon = dueForBackgroundRefreshIn(20);
+    const fetchFn = mockFetchSequence([
+      [200, { ...AUTH_OK[1], expires_at: expiresSoon }],
+    ]);
+    globalThis.fetch = fetchFn;
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+
+    await client.getToken();
+    client.close();
+    await new Promise((r) => setTimeout(r, 60));
+    assert.equal(fetchFn.mock.calls.length, 1);
+  });
+});
+
+// ─── Retry tests ─────────────────────────────────────────────────────────────
+
+describe("Retries", () => {
+  const retry = { baseDelayMs: 1, maxDelayMs: 50 };
+
+  it("should retry a GET on 503 and return the eventual success", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [503, { error: { message: "Upstream unavailable" } }],
+      [200, { orderId: "BZK_1", status: "successful" }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    const result = await client.payments.verify("BZK_1");
+    assert.equal(result.status, "successful");
+    assert.equal(fetchFn.mock.calls.length, 3);
+  });
+
+  it("should retry network failures on GET", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      new TypeError("fetch failed"),
+      [200, { available: 100 }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    const balance = await client.wallet.getBalance();
+    assert.equal(balance.available, 100);
+  });
+
+  it("should give up after maxAttempts", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [429, {}]]);
+    const client = setupClient(fetchFn, {
+      retry: { ...retry, maxAttempts: 2 },
+    });
+
+    await assert.rejects(
+      () => client.transfers.getStatus("TRF_1"),
+      BazikRateLimitError
+    );
+    assert.equal(fetchFn.mock.calls.length, 3);
+  });
+
+  it("should not retry a POST without an idempotency key", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [503, {}], [201, {}]]);
+    const client = setupClient(fetchFn, { retry });
+
+    await assert.rejects(
+      () => client._request("POST", "/moncash/transfers", {}),
+      BazikError
+    );
+    assert.equal(fetchFn.mock.calls.length, 2);
+  });
+
+  it("should retry a POST that carries an idempotency key", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [502, {}], [201, { ok: 1 }]]);
+    const client = setupClient(fetchFn, { retry });
+
+    const result = await client._request(
+      "POST",
+      "/moncash/transfers",
+      {},
+      {
+        idempotencyKey: "key_1",
+      }
+    );
+    assert.deepEqual(result, { ok: 1 });
+    assert.equal(
+      fetchFn.mock.calls[2].arguments[1].headers["Idempotency-Key"],
+      "key_1"
+    );
+  });
+
+  it("should not retry when Retry-After exceeds maxDelayMs", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [429, {}, { "retry-after": "120" }],
+      [200, {}],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    await assert.rejects(() => client.wallet.getBalance(), BazikRateLimitError);
+    assert.equal(fetchFn.mock.calls.length, 2);
+  });
+
+  it("should not retry when retry is disabled", async () => {
+    const client = setupClient(
+      mockFetchSequence([AUTH_OK, [500, {}], [200, {}]]),
+      { retry: false }
+    );
+
+    await assert.rejects(() => client.wallet.getBalance(), BazikError);
+    assert.equal(globalThis.fetch.mock.calls.length, 2);
+  });
+});
+
+// ─── Idempotency tests ───────────────────────────────────────────────────────
+
+describe("Idempotency", () => {
+  const transfer = {
+    gdes: 500,
+    wallet: "47556677",
+    customerFirstName: "Melissa",
+    customerLastName: "Francois",
+    referenceId: "PAYOUT-001",
+  };
+
+  const retry = { baseDelayMs: 1 };
+
+  it("should derive the same key from the same referenceId", async () => {
+    const keys = [];
+    for (let i = 0; i < 2; i++) {
+      const fetchFn = mockFetchSequence([AUTH_OK, [201, {}]]);
+      await setupClient(fetchFn, { retry }).transfers.moncash(transfer);
+      keys.push(fetchFn.mock.calls[1].arguments[1].headers["Idempotency-Key"]);
+    }
+
+    const [key1, key2] = keys;
+    assert.ok(key1.startsWith("bzk_idem_"));
+    assert.equal(key1, key2);
+  });
+
+  it("should send an explicit idempotency key", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [201, {}]]);
+    const client = setupClient(fetchFn, { retry });
+
+    await client.payments.withdraw(transfer, { idempotencyKey: "payout-42" });
+    assert.equal(
+      fetchFn.mock.calls[1].arguments[1].headers["Idempotency-Key"],
+      "payout-42"
+    );
+  });
+
+  it("should return the first result for a repeated key", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [201, { transaction_id: "TRF_1" }],
+      [201, { transaction_id: "TRF_2" }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    const first = await client.transfers.moncash(transfer);
+    const second = await client.transfers.moncash(transfer);
+
+    assert.equal(first.transaction_id, "TRF_1");
+    assert.equal(second.transaction_id, "TRF_1");
+    assert.equal(fetchFn.mock.calls.length, 2);
+  });
+
+  it("should share one request between concurrent duplicates", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [201, { transaction_id: "TRF_1" }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+    await client.authenticate();
+
+    const [a, b] = await Promise.all([
+      client.transfers.natcash(transfer),
+      client.transfers.natcash(transfer),
+    ]);
+    assert.equal(a, b);
+    assert.equal(fetchFn.mock.calls.length, 2);
+  });
+
+  it("should reject a reused key with different parameters", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [201, {}]]);
+    const client = setupClient(fetchFn, { retry });
+
+    await client.transfers.moncash(transfer);
+    await assert.rejects(
+      () => client.transfers.moncash({ ...transfer, gdes: 900 }),
+      BazikValidationError
+    );
+  });
+
+  it("should allow a failed call to be retried with the same key", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [402, { error: { message: "Insufficient funds" } }],
+      [201, { transaction_id: "TRF_1" }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    await assert.rejects(
+      () => client.transfers.moncash(transfer),
+      BazikInsufficientFundsError
+    );
+    const result = await client.transfers.moncash(transfer);
+    assert.equal(result.transaction_id, "TRF_1");
+  });
+
+  it("should retry a money-moving call on 503", async () => {
+    const fetchFn = mockFetchSequence([
+      AUTH_OK,
+      [503, {}],
+      [201, { transaction_id: "TRF_1" }],
+    ]);
+    const client = setupClient(fetchFn, { retry });
+
+    const result = await client.transfers.moncash(transfer);
+    assert.equal(result.transaction_id, "TRF_1");
+    assert.equal(fetchFn.mock.calls.length, 3);
+  });
+});
+
+// ─── Interceptor tests ───────────────────────────────────────────────────────
+
+describe("Interceptors", () => {
+  it("should let onRequest add headers to API and token calls", async () => {
+    const fetchFn = mockFetchSequence([AUTH_OK, [200, { available: 1 }]]);
+    globalThis.fetch = fetchFn;
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      interceptors: [
+        {
+          onRequest(ctx) {
+            ctx.headers["X-Correlation-ID"] = "corr-1";
+          },
+        },
+      ],
+    });
+
+    await client.wallet.getBalance();
+    for (const call of fetchFn.mock.calls) {
+      assert.equal(call.arguments[1].headers["X-Correlation-ID"], "corr-1");
+    }
+    assert.equal(fetchFn.mock.calls.length, 2);
+  });
+
+  it("should let onResponse inspect and replace responses", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK, [200, { available: 1 }]]);
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+    const seen = [];
+    client.use({
+      onResponse(response, ctx) {
+        seen.push(`${ctx.method} ${ctx.path} ${response.status}`);
+        if (ctx.path === "/wallet") {
+          return { ...response, data: { ...response.data, tenant: "acme" } };
+        }
+      },
+    });
+
+    const balance = await client.wallet.getBalance();
+    assert.equal(balance.tenant, "acme");
+    assert.deepEqual(seen, ["POST /token 200", "GET /wallet 200"]);
+  });
+
+  it("should let onError replace errors once", async () => {
+    globalThis.fetch = mockFetchSequence([[401, { error: {} }]]);
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+    const onError = mock.fn((err, ctx) => {
+      const wrapped = new Error(`${ctx.path}: ${err.name}`);
+      wrapped.cause = err;
+      return wrapped;
+    });
+    client.use({ onError });
+
+    await assert.rejects(() => client.wallet.getBalance(), {
+      message: "/token: BazikAuthError",
+    });
+    assert.equal(onError.mock.calls.length, 1);
+  });
+
+  it("should stop running a removed interceptor", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK]);
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+    const onRequest = mock.fn();
+    const remove = client.use({ onRequest });
+
+    remove();
+    await client.authenticate();
+    assert.equal(onRequest.mock.calls.length, 0);
+  });
+
+  it("should reject an invalid interceptor", () => {
+    const client = new Bazik({ userID: "bzk_test", secretKey: "sk_test" });
+    assert.throws(() => client.use(null), BazikValidationError);
+  });
+});
+
+// ─── Logging tests ───────────────────────────────────────────────────────────
+
+describe("Logging", () => {
+  function captureLogger() {
+    const lines = [];
+    const logger = {};
+    for (const level of ["debug", "info", "warn", "error"]) {
+      logger[level] = (message, meta) => lines.push({ level, message, meta });
+    }
+    return { logger, lines };
+  }
+
+  it("should log requests, latency and token refreshes", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK, [200, { available: 1 }]]);
+    const { logger, lines } = captureLogger();
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      logger,
+      logLevel: "debug",
+    });
+
+    await client.wallet.getBalance();
+
+    assert.ok(
+      lines.some((l) => l.level === "info" && /Token refreshed/.test(l.message))
+    );
+    const response = lines.find(
+      (l) => l.message === "bazik: GET /wallet → 200"
+    );
+    assert.equal(response.meta.status, 200);
+    assert.equal(typeof response.meta.durationMs, "number");
+  });
+
+  it("should respect logLevel", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK, [200, {}]]);
+    const { logger, lines } = captureLogger();
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      logger,
+    });
+
+    await client.wallet.getBalance();
+    assert.ok(lines.every((l) => l.level !== "debug"));
+  });
+
+  it("should log retries", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK, [503, {}], [200, {}]]);
+    const { logger, lines } = captureLogger();
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      logger,
+      retry: { baseDelayMs: 1 },
+    });
+
+    await client.wallet.getBalance();
+    const retry = lines.find((l) => /Retrying GET \/wallet/.test(l.message));
+    assert.equal(retry.level, "warn");
+    assert.equal(retry.meta.status, 503);
+  });
+
+  it("should mask wallet numbers inside error messages", async () => {
+    globalThis.fetch = mockFetchSequence([
+      AUTH_OK,
+      [
+        400,
+        {
+          error: {
+            code: "recipient_not_registered",
+            message: "Wallet 47556677 (+509 4755-6677) is not registered",
+          },
+        },
+      ],
+    ]);
+    const { logger, lines } = captureLogger();
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      logger,
+    });
+
+    const err = await client.transfers
+      .checkCustomer("47556677")
+      .catch((e) => e);
+    assert.equal(
+      JSON.parse(JSON.stringify(err)).message,
+      "Wallet 4755**** (4755****) is not registered"
+    );
+    const warning = lines.find((l) => l.level === "warn");
+    assert.match(warning.message, /Wallet 4755\*{4}/);
+    assert.ok(!JSON.stringify(lines).includes("6677"));
+  });
+
+  it("should keep the wallet out of validation messages", async () => {
+    const client = setupClient(mockFetch(200, {}));
+    const err = await client.transfers
+      .checkCustomer("+509 4755-66")
+      .catch((e) => e);
+    assert.ok(err instanceof BazikValidationError);
+    assert.ok(!err.message.includes("4755"));
+  });
+
+  it("should redact secrets and PII from logged bodies", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK, [201, {}]]);
+    const { logger, lines } = captureLogger();
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_live_secret",
+      logger,
+      logLevel: "debug",
+    });
+
+    await client.transfers.moncash({
+      gdes: 500,
+      wallet: "47556677",
+      customerFirstName: "Melissa",
+      customerLastName: "Francois",
+      customerEmail: "melissa@example.com",
+    });
+
+    const output = JSON.stringify(lines);
+    assert.ok(!output.includes("sk_live_secret"));
+    assert.ok(!output.includes("47556677"));
+    assert.ok(!output.includes("Melissa"));
+    assert.ok(!output.includes("melissa@example.com"));
+
+    const transfer = lines.find(
+      (l) => l.message === "bazik: POST /moncash/transfers"
+    );
+    assert.equal(transfer.meta.body.wallet, "4755****");
+    assert.equal(transfer.meta.body.customerEmail, "m***@example.com");
+  });
+
+  it("should call pino-style loggers with meta first", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK]);
+    const calls = [];
+    const logger = {
+      bindings: () => ({}),
+      info: (...args) => calls.push(args),
+    };
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      logger,
+    });
+
+    await client.authenticate();
+    assert.equal(typeof calls[0][0], "object");
+    assert.equal(calls[0][1], "bazik: Token refreshed");
+  });
+
+  it("should redact serialized errors", () => {
+    const err = new BazikError("Bearer abc123 rejected", 400, "bad", {
+      wallet: "47556677",
+      headers: { Authorization: "Bearer abc123" },
+    });
+
+    const json = JSON.parse(JSON.stringify(err));
+    assert.equal(json.message, "Bearer [REDACTED] rejected");
+    assert.equal(json.details.wallet, "4755****");
+    assert.equal(json.details.headers.Authorization, "[REDACTED]");
+    assert.equal(err.details.wallet, "47556677");
+  });
+});
+
+// ─── Webhook tests ───────────────────────────────────────────────────────────
+
+describe("Webhooks", () => {
+  const secret = "whsec_test";
+  const event = {
+    type: "transfer.succeeded",
+    transactionId: "TRF_001",
+    status: "successful",
+    amount: 500,
+  };
+  const body = JSON.stringify(event);
+
+  it("should parse a correctly signed event", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const headers = { "bazik-signature": client.webhooks.sign(body) };
+
+    const result = client.webhooks.constructEvent(Buffer.from(body), headers);
+    assert.deepEqual(result, event);
+  });
+
+  it("should read the signature from a Headers instance", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const headers = new Headers({
+      "Bazik-Signature": client.webhooks.sign(body),
+    });
+
+    const result = client.webhooks.constructEvent(body, headers);
+    assert.equal(result.type, "transfer.succeeded");
+  });
+
+  it("should reject a tampered body", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const headers = { "bazik-signature": client.webhooks.sign(body) };
+    const tampered = body.replace("500", "50000");
+
+    assert.throws(
+      () => client.webhooks.constructEvent(tampered, headers),
+      (err) =>
+        err instanceof BazikWebhookError && err.code === "invalid_signature"
+    );
+  });
+
+  it("should reject a signature made with another secret", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const headers = {
+      "bazik-signature": client.webhooks.sign(body, { secret: "whsec_other" }),
+    };
+
+    assert.throws(
+      () => client.webhooks.constructEvent(body, headers),
+      BazikWebhookError
+    );
+  });
+
+  it("should reject a replayed event outside the tolerance", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const timestamp = Math.floor(Date.now() / 1000) - 600;
+    const headers = {
+      "bazik-signature": client.webhooks.sign(body, { timestamp }),
+    };
+
+    assert.throws(
+      () => client.webhooks.constructEvent(body, headers),
+      (err) => err.code === "timestamp_out_of_tolerance"
+    );
+  });
+
+  it("should reject a missing signature header", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    assert.throws(
+      () => client.webhooks.constructEvent(body, {}),
+      (err) => err.code === "missing_signature"
+    );
+  });
+
+  it("should reject an already parsed body", () => {
+    const client = setupClient(realFetch, { webhookSecret: secret });
+    const headers = { "bazik-signature": client.webhooks.sign(body) };
+    assert.throws(
+      () => client.webhooks.constructEvent(event, headers),
+      BazikValidationError
+    );
+  });
+
+  it("should require a webhook secret", () => {
+    const client = setupClient(realFetch);
+    assert.throws(
+      () =>
+        client.webhooks.constructEvent(body, { "bazik-signature": "t=1,v1=a" }),
+      BazikValidationError
+    );
+  });
+});
+
+// ─── Mock server tests ───────────────────────────────────────────────────────
+
+describe("MockBazikServer", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 10_000 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    server.setBalance(10_000);
+    client = setupClient(server, {
+      autoRefresh: true,
+      retry: { baseDelayMs: 1 },
+    });
+  });
+
+  const payout = {
+    gdes: 1000,
+    wallet: "47556677",
+    customerFirstName: "Melissa",
+    customerLastName: "Francois",
+  };
+
+  it("should reject bad credentials", async () => {
+    const bad = new Bazik({
+      userID: server.userID,
+      secretKey: "sk_wrong",
+      baseURL: server.url,
+    });
+    await assert.rejects(() => bad.authenticate(), BazikAuthError);
+  });
+
+  it("should draw the amount plus 5% fee from the balance", async () => {
+    const quote = await client.transfers.getQuote(1000, "moncash");
+    assert.equal(quote.fee, 50);
+    assert.equal(quote.total_cost, 1050);
+
+    const transfer = await client.transfers.moncash(payout);
+    assert.equal(transfer.total, 1050);
+
+    const balance = await client.wallet.getBalance();
+    assert.equal(balance.available, 8950);
+    assert.equal(balance.reserved, 1050);
+  });
+
+  it("should move a transfer from processing to successful", async () => {
+    const transfer = await client.transfers.natcash({
+      ...payout,
+      wallet: "44556677",
+    });
+    let status = await client.transfers.getStatus(transfer.transaction_id);
+    assert.equal(status.status, "processing");
+    assert.equal(status.type, undefined);
+
+    await server.settleTransfer(transfer.transaction_id, "successful");
+    status = await client.transfers.getStatus(transfer.transaction_id);
+    assert.equal(status.status, "successful");
+    assert.equal(status.type, "transfer.succeeded");
+  });
+
+  it("should settle transfers whose webhookUrl is https or unusable", async () => {
+    const webhookUrls = [
+      "https://127.0.0.1:9/webhooks/bazik",
+      "ftp://127.0.0.1/webhooks/bazik",
+    ];
+    const auto = new MockBazikServer({
+      webhookSecret: "whsec_test",
+      autoSettleAfter: 1,
+    });
+    const manual = new MockBazikServer({ webhookSecret: "whsec_test" });
+    await auto.start();
+    await manual.start();
+    try {
+      for (const webhookUrl of webhookUrls) {
+        const bazik = setupClient(auto);
+        const sent = await bazik.transfers.moncash({ ...payout, webhookUrl });
+        const status = await bazik.transfers.getStatus(sent.transaction_id);
+        assert.equal(status.status, "successful");
+      }
+      for (const webhookUrl of webhookUrls) {
+        const bazik = setupClient(manual);
+        const sent = await bazik.transfers.moncash({ ...payout, webhookUrl });
+        await manual.settleTransfer(sent.transaction_id, "successful");
+      }
+    } finally {
+      await auto.stop();
+      await manual.stop();
+    }
+  });
+
+  it("should refund a failed transfer", async () => {
+    const transfer = await client.payments.withdraw(payout);
+    await server.settleTransfer(
+      transfer.transaction_id,
+      "failed",
+      "Wallet closed"
+    );
+
+    const status = await client.transfers.getStatus(transfer.transaction_id);
+    assert.equal(status.failureReason, "Wallet closed");
+    assert.equal(server.balance, 10_000);
+  });
+
+  it("should move an order from pending to successful", async () => {
+    const payment = await client.payments.create({ gdes: 500 });
+    assert.equal(
+      (await client.payments.verify(payment.orderId)).status,
+      "pending"
+    );
+
+    server.settleOrder(payment.orderId, "successful");
+    assert.equal(
+      (await client.payments.verify(payment.orderId)).status,
+      "successful"
+    );
+  });
+
+  it("should enforce the 75,000 HTG cap", async () => {
+    await assert.rejects(
+      () => client._request("POST", "/moncash/token", { gdes: 80_000 }),
+      (err) => err.status === 400 && err.code === "amount_exceeds_limit"
+    );
+  });
+
+  it("should answer 402 when the balance is too low", async () => {
+    server.setBalance(100);
+    await assert.rejects(
+      () => client.transfers.moncash(payout),
+      BazikInsufficientFundsError
+    );
+  });
+
+  it("should force the next response", async () => {
+    server.forceNext(402, { path: "/moncash/transfers" });
+    await assert.rejects(
+      () => client.transfers.moncash(payout),
+      BazikInsufficientFundsError
+    );
+
+    // One per attempt of the default retry policy
+    server.forceNext(429, { times: 3 });
+    await assert.rejects(() => client.wallet.getBalance(), BazikRateLimitError);
+  });
+
+  it("should replay the first response for a repeated idempotency key", async () => {
+    const params = { ...payout, referenceId: "PAYOUT-IDEM" };
+    const first = await client.transfers.moncash(params);
+    const other = setupClient(server);
+    const second = await other.transfers.moncash(params);
+
+    assert.equal(first.transaction_id, second.transaction_id);
+    assert.equal(server.balance, 8950);
+  });
+
+  it("should recover from expired tokens", async () => {
+    await client.wallet.getBalance();
+    server.expireTokens();
+
+    const balance = await client.wallet.getBalance();
+    assert.equal(balance.currency, "HTG");
+  });
+
+  it("should report customer status", async () => {
+    server.setCustomer("37123456", { type: "minikyc", status: ["blocked"] });
+    const result = await client.transfers.checkCustomer("37123456");
+    assert.equal(result.customerStatus.type, "minikyc");
+  });
+});
+
+// ─── Status polling tests ────────────────────────────────────────────────────
+
+describe("Status polling", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockBazikServer({ autoSettleAfter: 2 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    client = setupClient(server);
+  });
+
+  const send = () =>
+    client.transfers.natcash({
+      gdes: 500,
+      wallet: "37123456",
+      customerFirstName: "Jean",
+      customerLastName: "Baptiste",
+    });
+
+  it("should wait for a transfer and report each status change", async () => {
+    const { transaction_id } = await send();
+    const changes = [];
+
+    const final = await client.transfers.waitForCompletion(transaction_id, {
+      intervalMs: 5,
+      onStatusChange: (current, previous) =>
+        changes.push([previous?.status ?? null, current.status]),
+    });
+
+    assert.equal(final.status, "successful");
+    assert.deepEqual(changes, [
+      [null, "processing"],
+      ["processing", "successful"],
+    ]);
+  });
+
+  it("should yield only status changes from transfers.watch", async () => {
+    const { transaction_id } = await send();
+    const seen = [];
+    for await (const s of client.transfers.watch(transaction_id, {
+      intervalMs: 1,
+      backoff: 1,
+    })) {
+      seen.push(s.status);
+    }
+    assert.deepEqual(seen, ["processing", "successful"]);
+  });
+
+  it("should time out with the last status attached", async () => {
+    const slow = new MockBazikServer();
+    await slow.start();
+    try {
+      client = setupClient(slow);
+      const { transaction_id } = await send();
+      await assert.rejects(
+        () =>
+          client.transfers.waitForCompletion(transaction_id, {
+            intervalMs: 5,
+            timeoutMs: 30,
+          }),
+        (err) =>
+          err instanceof BazikTimeoutError &&
+          err.details.lastStatus === "processing" &&
+          err.details.attempts >= 2
+      );
+    } finally {
+      await slow.stop();
+    }
+  });
+
+  it("should stop polling when the signal aborts", async () => {
+    const { transaction_id } = await send();
+    const controller = new AbortController();
+    const waiting = client.transfers.waitForCompletion(transaction_id, {
+      intervalMs: 60_000,
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(waiting, BazikAbortError);
+  });
+
+  it("should poll payments at a fixed interval by default", async () => {
+    const pending = [200, { orderId: "BZK_1", status: "pending" }];
+    client = setupClient(
+      mockFetchSequence([
+        AUTH_OK,
+        pending,
+        pending,
+        pending,
+        [200, { orderId: "BZK_1", status: "successful" }],
+      ])
+    );
+    const timers = mock.method(globalThis, "setTimeout");
+    try {
+      await client.payments.waitForCompletion("BZK_1", { intervalMs: 10 });
+    } finally {
+      timers.mock.restore();
+    }
+    const polls = timers.mock.calls
+      .map((c) => c.arguments[1])
+      .filter((ms) => ms < 1000); // not the 30s request timeouts
+    assert.deepEqual(polls, [10, 10, 10]);
+  });
+
+  it("should back off between payment polls", async () => {
+    const pending = [200, { orderId: "BZK_1", status: "pending" }];
+    const fetchMock = mockFetchSequence([
+      AUTH_OK,
+      pending,
+      pending,
+      pending,
+      [200, { orderId: "BZK_1", status: "successful" }],
+    ]);
+    client = setupClient(fetchMock);
+
+    const started = Date.now();
+    const result = await client.payments.waitForCompletion("BZK_1", {
+      intervalMs: 10,
+      backoff: 2,
+    });
+
+    assert.equal(result.status, "successful");
+    assert.equal(fetchMock.mock.callCount(), 5);
+    assert.ok(Date.now() - started >= 10 + 20 + 40 - 5);
+  });
+});
+
+// ─── Cancellation tests ──────────────────────────────────────────────────────
+
+describe("Cancellation", () => {
+  /** Fetch that authenticates, then never answers until its signal aborts. */
+  function hangingFetch({ hangAuth = false } = {}) {
+    return mock.fn((url, opts) => {
+      if (url.endsWith("/token") && !hangAuth) {
+        return mockFetchSequence([AUTH_OK])();
+      }
+      return new Promise((_, reject) => {
+        opts.signal.addEventListener("abort", () =>
+          reject(new DOMException("aborted", "AbortError"))
+        );
+      });
+    });
+  }
+
+  it("should abort an in-flight request without retrying it", async () => {
+    const fetchMock = hangingFetch();
+    const bazik = setupClient(fetchMock);
+    const controller = new AbortController();
+    const reason = new Error("client disconnected");
+    setTimeout(() => controller.abort(reason), 10);
+
+    await assert.rejects(
+      () => bazik.payments.verify("BZK_1", { signal: controller.signal }),
+      (err) =>
+        err instanceof BazikAbortError &&
+        err.code === "aborted" &&
+        err.cause === reason
+    );
+    assert.equal(fetchMock.mock.callCount(), 2);
+  });
+
+  it("should not send anything for an already-aborted signal", async () => {
+    const fetchMock = hangingFetch();
+    const bazik = setupClient(fetchMock);
+
+    await assert.rejects(
+      () => bazik.wallet.getBalance({ signal: AbortSignal.abort() }),
+      BazikAbortError
+    );
+    assert.equal(fetchMock.mock.callCount(), 0);
+  });
+
+  it("should still treat the client timeout as a retryable failure", async () => {
+    globalThis.fetch = hangingFetch();
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+      timeout: 10,
+      retry: { maxAttempts: 2, baseDelayMs: 1 },
+    });
+
+    await assert.rejects(
+      () =>
+        bazik.transfers.getStatus("TRF_1", {
+          signal: new AbortController().signal,
+        }),
+      (err) => err instanceof BazikTimeoutError && err.attempts === 2
+    );
+    assert.equal(globalThis.fetch.mock.callCount(), 3);
+  });
+
+  it("should cancel the wait between retries", async () => {
+    const fetchMock = mockFetchSequence([
+      AUTH_OK,
+      [503, { error: { message: "busy" } }, { "retry-after": "5" }],
+    ]);
+    const bazik = setupClient(fetchMock);
+
+    const started = Date.now();
+    await assert.rejects(
+      () =>
+        bazik.transfers.getStatus("TRF_1", {
+          signal: AbortSignal.timeout(20),
+        }),
+      BazikAbortError
+    );
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(fetchMock.mock.callCount(), 2);
+  });
+
+  it("should stop waiting on a token refresh without cancelling it", async () => {
+    let answerAuth;
+    globalThis.fetch = mock.fn((url) =>
+      url.endsWith("/token")
+        ? new Promise((resolve) => {
+            answerAuth = () => resolve(mockFetchSequence([AUTH_OK])());
+          })
+        : mockFetchSequence([[200, { available: 100 }]])()
+    );
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+    });
+    const controller = new AbortController();
+
+    const cancelled = bazik.wallet.getBalance({ signal: controller.signal });
+    const patient = bazik.wallet.getBalance();
+    controller.abort();
+    answerAuth();
+
+    await assert.rejects(cancelled, BazikAbortError);
+    assert.equal((await patient).available, 100);
+    assert.equal(globalThis.fetch.mock.callCount(), 2);
+  });
+});
+
+// ─── Error taxonomy tests ────────────────────────────────────────────────────
+
+describe("Error taxonomy", () => {
+  const fastRetry = { maxAttempts: 2, baseDelayMs: 1 };
+
+  it("should wrap connection failures in BazikNetworkError", async () => {
+    const cause = new TypeError("fetch failed");
+    globalThis.fetch = mockFetchSequence([AUTH_OK, cause]);
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+      retry: fastRetry,
+    });
+
+    await assert.rejects(
+      () => bazik.wallet.getBalance(),
+      (err) =>
+        err instanceof BazikNetworkError &&
+        err.retryable === true &&
+        err.cause === cause &&
+        err.method === "GET" &&
+        err.path === "/wallet" &&
+        err.attempts === 2
+    );
+  });
+
+  it("should map 5xx responses to BazikServerError", async () => {
+    globalThis.fetch = mockFetchSequence([
+      AUTH_OK,
+      [
+        503,
+        { error: { message: "Down for maintenance" } },
+        { "x-request-id": "req_42" },
+      ],
+    ]);
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+      retry: fastRetry,
+    });
+
+    await assert.rejects(
+      () => bazik.transfers.getStatus("TRF_1"),
+      (err) =>
+        err instanceof BazikServerError &&
+        err.status === 503 &&
+        err.retryable === true &&
+        err.requestId === "req_42" &&
+        err.attempts === 2
+    );
+  });
+
+  it("should report a JSON body that does not parse", async () => {
+    const garbled = (status) =>
+      Promise.resolve({
+        status,
+        headers: {
+          get: (name) =>
+            name.toLowerCase() === "content-type"
+              ? "application/json"
+              : name.toLowerCase() === "x-request-id"
+              ? "req_7"
+              : null,
+        },
+        json: () => Promise.reject(new SyntaxError("Unexpected token <")),
+      });
+    const auth = mockFetchSequence([AUTH_OK]);
+    let status = 200;
+    const bazik = setupClient(
+      mock.fn((url) => (url.endsWith("/token") ? auth() : garbled(status))),
+      { retry: false }
+    );
+
+    await assert.rejects(
+      () => bazik.wallet.getBalance(),
+      (err) =>
+        !(err instanceof BazikServerError) &&
+        err instanceof BazikError &&
+        err.code === "invalid_json" &&
+        err.status === 200 &&
+        err.requestId === "req_7" &&
+        err.path === "/wallet" &&
+        err.cause instanceof SyntaxError
+    );
+    status = 502;
+    await assert.rejects(
+      () => bazik.wallet.getBalance(),
+      (err) => err instanceof BazikServerError && err.code === "invalid_json"
+    );
+  });
+
+  it("should report which call failed when POST /token fails", async () => {
+    globalThis.fetch = mockFetchSequence([
+      [500, { error: { message: "oops" } }],
+    ]);
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+    });
+
+    await assert.rejects(
+      () => bazik.wallet.getBalance(),
+      (err) =>
+        err instanceof BazikServerError &&
+        err.method === "POST" &&
+        err.path === "/token"
+    );
+  });
+
+  it("should map unknown IDs to BazikNotFoundError", async () => {
+    const server = new MockBazikServer();
+    await server.start();
+    globalThis.fetch = realFetch;
+    try {
+      const bazik = setupClient(server);
+      await assert.rejects(
+        () => bazik.payments.verify("BZK_missing"),
+        (err) =>
+          err instanceof BazikNotFoundError &&
+          err.code === "order_not_found" &&
+          err.retryable === false &&
+          /^req_mock_\d+$/.test(err.requestId) &&
+          err.path === "/order/BZK_missing" &&
+          err.attempts === 1
+      );
+    } finally {
+      await server.stop();
+    }
+  });
+
+  it("should include the request context in toJSON()", async () => {
+    const bazik = setupClient(
+      mockFetchSequence([AUTH_OK, [402, { error: { message: "No funds" } }]])
+    );
+    const err = await bazik.wallet.getBalance().catch((e) => e);
+
+    assert.deepEqual(
+      {
+        retryable: err.toJSON().retryable,
+        method: err.toJSON().method,
+        attempts: err.toJSON().attempts,
+      },
+      { retryable: false, method: "GET", attempts: 1 }
+    );
+  });
+});
+
+// ─── Rate limiter tests ──────────────────────────────────────────────────────
+
+describe("Rate limiting", () => {
+  /** Records the path of every API call after authentication. */
+  function recordingClient(rateLimit) {
+    const paths = [];
+    const auth = mockFetchSequence([AUTH_OK]);
+    const ok = mockFetchSequence([[200, { success: true, status: "pending" }]]);
+    const fetchFn = mock.fn((url, opts) => {
+      const path = new URL(url).pathname;
+      if (path === "/token") return auth(url, opts);
+      paths.push(path);
+      return ok(url, opts);
+    });
+    return { bazik: setupClient(fetchFn, { rateLimit }), paths };
+  }
+
+  async function until(predicate) {
+    while (!predicate()) await new Promise((r) => setTimeout(r, 1));
+  }
+
+  it("should be off by default", () => {
+    const bazik = setupClient(mockFetch(200, {}));
+    assert.equal(bazik.getRateLimitStats(), null);
+  });
+
+  it("should queue requests over budget instead of failing", async () => {
+    const { bazik, paths } = recordingClient({
+      requestsPerSecond: 100,
+      burst: 2,
+    });
+
+    const started = Date.now();
+    await Promise.all(
+      Array.from({ length: 5 }, () => bazik.wallet.getBalance())
+    );
+
+    assert.equal(paths.length, 5);
+    assert.ok(Date.now() - started >= 25);
+    const { requests, token } = bazik.getRateLimitStats();
+    assert.equal(requests.queued, 0);
+    assert.ok(requests.maxWaitMs >= 20);
+    assert.ok(requests.averageWaitMs > 0);
+    assert.equal(token.maxWaitMs, 0);
+  });
+
+  it("should serve high priority calls first", async () => {
+    const { bazik, paths } = recordingClient({
+      requestsPerSecond: 20,
+      burst: 1,
+    });
+
+    const calls = [
+      bazik.wallet.getBalance(),
+      bazik.transfers.getStatus("TRF_1", { priority: "low" }),
+      bazik.transfers.getQuote(500, "moncash"),
+      bazik.payments.create({ gdes: 500, referenceId: "ORD-1" }),
+    ];
+    await until(() => bazik.getRateLimitStats().requests.queued === 3);
+    assert.deepEqual(bazik.getRateLimitStats().requests.lanes, {
+      high: 1,
+      normal: 1,
+      low: 1,
+    });
+
+    await Promise.all(calls);
+    assert.deepEqual(paths, [
+      "/wallet",
+      "/moncash/token",
+      "/transfers/quote",
+      "/transfers/TRF_1",
+    ]);
+  });
+
+  it("should leave the queue when the signal aborts", async () => {
+    const { bazik } = recordingClient({ requestsPerSecond: 1, burst: 1 });
+    await bazik.wallet.getBalance();
+
+    const controller = new AbortController();
+    const queued = bazik.wallet.getBalance({ signal: controller.signal });
+    await until(() => bazik.getRateLimitStats().requests.queued === 1);
+    controller.abort();
+
+    await assert.rejects(queued, BazikAbortError);
+    assert.equal(bazik.getRateLimitStats().requests.queued, 0);
+  });
+
+  it("should reject queued calls when the client closes", async () => {
+    const { bazik, paths } = recordingClient({
+      requestsPerSecond: 1,
+      burst: 1,
+    });
+    await bazik.wallet.getBalance();
+
+    const queued = bazik.wallet.getBalance();
+    await until(() => bazik.getRateLimitStats().requests.queued === 1);
+    bazik.close();
+
+    await assert.rejects(queued, BazikAbortError);
+    assert.equal(bazik.getRateLimitStats().requests.queued, 0);
+    assert.equal(paths.length, 1);
+  });
+
+  it("should reject invalid limits", () => {
+    assert.throws(
+      () =>
+        new Bazik({
+          userID: "bzk_test_123",
+          secretKey: "sk_test_secret",
+          rateLimit: { requestsPerSecond: 0 },
+        }),
+      BazikValidationError
+    );
+  });
+});
+
+// ─── Circuit breaker tests ───────────────────────────────────────────────────
+
+describe("Circuit breaker", () => {
+  const transfer = {
+    gdes: 500,
+    wallet: "37123456",
+    customerFirstName: "Jean",
+    customerLastName: "Baptiste",
+  };
+
+  /** NatCash answers with `natcashStatus`; everything else succeeds. */
+  function outageClient(natcashStatus, circuitBreaker) {
+    const state = { natcashStatus, natcashCalls: 0 };
+    const auth = mockFetchSequence([AUTH_OK]);
+    const fetchFn = mock.fn((url, opts) => {
+      const path = new URL(url).pathname;
+      if (path === "/token") return auth(url, opts);
+      if (path.startsWith("/natcash/")) {
+        state.natcashCalls += 1;
+        return mockFetchSequence([
+          [state.natcashStatus, { error: { message: "NatCash says no" } }],
+        ])();
+      }
+      return mockFetchSequence([[200, { success: true }]])();
+    });
+    const bazik = setupClient(fetchFn, {
+      retry: false,
+      circuitBreaker: { minimumRequests: 3, openMs: 30, ...circuitBreaker },
+    });
+    return { bazik, state };
+  }
+
+  async function failTimes(bazik, n) {
+    for (let i = 0; i < n; i++) {
+      await bazik.transfers.natcash(transfer).catch(() => {});
+    }
+  }
+
+  it("should open after repeated failures and fail fast", async () => {
+    const events = [];
+    const { bazik, state } = outageClient(503, {
+      onStateChange: (e) => events.push(e),
+    });
+
+    await failTimes(bazik, 3);
+    assert.deepEqual(events, [
+      { circuit: "natcash", from: "closed", to: "open", failureRate: 1 },
+    ]);
+
+    await assert.rejects(
+      () => bazik.transfers.natcash(transfer),
+      (err) =>
+        err instanceof BazikCircuitOpenError &&
+        err.code === "circuit_open" &&
+        err.details.circuit === "natcash" &&
+        err.details.retryAfterMs > 0
+    );
+    assert.equal(state.natcashCalls, 3);
+  });
+
+  it("should not retry or trip on a bug in an interceptor", async () => {
+    globalThis.fetch = mockFetchSequence([AUTH_OK]);
+    let calls = 0;
+    const bazik = new Bazik({
+      userID: "bzk_test_123",
+      secretKey: "sk_test_secret",
+      retry: { baseDelayMs: 1 },
+      circuitBreaker: { minimumRequests: 3 },
+      interceptors: [
+        {
+          onRequest(ctx) {
+            if (ctx.path === "/token") return;
+            calls += 1;
+            ctx.headers.undefinedHeader.trim();
+          },
+        },
+      ],
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(bazik.wallet.getBalance(), TypeError);
+    }
+    assert.equal(calls, 3);
+    assert.equal(bazik.getCircuitStats().api.state, "closed");
+  });
+
+  it("should keep other providers' circuits closed", async () => {
+    const { bazik } = outageClient(503);
+    await failTimes(bazik, 3);
+
+    await bazik.transfers.moncash(transfer);
+    await bazik.wallet.getBalance();
+    assert.deepEqual(
+      Object.fromEntries(
+        Object.entries(bazik.getCircuitStats()).map(([k, v]) => [k, v.state])
+      ),
+      { natcash: "open", moncash: "closed", api: "closed" }
+    );
+  });
+
+  it("should close again after a successful half-open trial", async () => {
+    const events = [];
+    const { bazik, state } = outageClient(503, {
+      onStateChange: (e) => events.push(`${e.from}→${e.to}`),
+    });
+    await failTimes(bazik, 3);
+    await new Promise((r) => setTimeout(r, 40));
+
+    state.natcashStatus = 200;
+    await bazik.transfers.natcash(transfer);
+    assert.deepEqual(events, [
+      "closed→open",
+      "open→half-open",
+      "half-open→closed",
+    ]);
+  });
+
+  it("should re-open when the half-open trial fails", async () => {
+    const events = [];
+    const { bazik, state } = outageClient(503, {
+      onStateChange: (e) => events.push(e.to),
+    });
+    await failTimes(bazik, 3);
+    await new Promise((r) => setTimeout(r, 40));
+
+    await failTimes(bazik, 2);
+    assert.deepEqual(events, ["open", "half-open", "open"]);
+    assert.equal(state.natcashCalls, 4);
+  });
+
+  it("should not count client errors as failures", async () => {
+    const { bazik } = outageClient(404);
+    await failTimes(bazik, 5);
+    assert.equal(bazik.getCircuitStats().natcash.state, "closed");
+  });
+});
+
+// ─── Strict mode tests ───────────────────────────────────────────────────────
+
+describe("Strict response validation", () => {
+  const transferResponse = {
+    transaction_id: "TRF_1",
+    status: "pending",
+    provider: "moncash",
+    amount: 500,
+    fees: 25,
+    total: 525,
+    currency: "HTG",
+    wallet: "37123456",
+    recipient: { first_name: "Jean", last_name: "Baptiste" },
+    created_at: "2026-10-19T12:00:00.000Z",
+    environment: "sandbox",
+  };
+  const params = {
+    gdes: 500,
+    wallet: "37123456",
+    customerFirstName: "Jean",
+    customerLastName: "Baptiste",
+  };
+
+  it("should accept every MockBazikServer response", async () => {
+    const server = new MockBazikServer({ autoSettleAfter: 1 });
+    await server.start();
+    const unknown = [];
+    try {
+      const bazik = setupClient(server, {
+        strict: { onUnknownFields: (r) => unknown.push(r) },
+      });
+      const payment = await bazik.payments.create({ gdes: 500 });
+      await bazik.payments.waitForCompletion(payment.orderId, {
+        intervalMs: 1,
+      });
+      await bazik.payments.withdraw(params);
+      await bazik.payments.getBalance();
+      await bazik.wallet.getBalance();
+      await bazik.transfers.checkCustomer("37123456");
+      await bazik.transfers.getQuote(500, "natcash");
+      const transfer = await bazik.transfers.natcash(params);
+      await bazik.transfers.waitForCompletion(transfer.transaction_id, {
+        intervalMs: 1,
+      });
+    } finally {
+      await server.stop();
+    }
+    assert.deepEqual(unknown, []);
+  });
+
+  it("should report the path of a missing field", async () => {
+    const { recipient, ...rest } = transferResponse;
+    const bazik = setupClient(
+      mockFetchSequence([
+        AUTH_OK,
+        [200, { ...rest, recipient: { last_name: recipient.last_name } }],
+      ]),
+      { strict: true }
+    );
+
+    await assert.rejects(
+      () => bazik.transfers.moncash(params),
+      (err) =>
+        err instanceof BazikResponseFormatError &&
+        err.code === "invalid_response" &&
+        err.fieldPath === "$.recipient.first_name" &&
+        err.path === "/moncash/transfers" &&
+        /is missing/.test(err.message)
+    );
+  });
+
+  it("should reject wrong types and unexpected enum values", async () => {
+    const bazik = setupClient(
+      mockFetchSequence([
+        AUTH_OK,
+        [200, { ...transferResponse, amount: "500", status: "queued" }],
+      ]),
+      { strict: true }
+    );
+
+    const err = await bazik.transfers.natcash(params).catch((e) => e);
+    assert.ok(err instanceof BazikResponseFormatError);
+    assert.deepEqual(
+      err.details.errors.map((e) => e.path),
+      ["$.status", "$.amount"]
+    );
+  });
+
+  it("should reject a non-JSON body", async () => {
+    const bazik = setupClient(
+      mockFetchSequence([AUTH_OK, [200, "<html>Bad gateway</html>"]]),
+      { strict: true }
+    );
+    await assert.rejects(
+      () => bazik.wallet.getBalance(),
+      (err) =>
+        err instanceof BazikResponseFormatError &&
+        err.fieldPath === "$" &&
+        /got string/.test(err.message)
+    );
+  });
+
+  it("should tolerate and report unknown fields", async () => {
+    const reports = [];
+    const bazik = setupClient(
+      mockFetchSequence([AUTH_OK, [200, { ...transferResponse, eta: "5m" }]]),
+      { strict: { onUnknownFields: (r) => reports.push(r) } }
+    );
+
+    const result = await bazik.transfers.moncash(params);
+    assert.equal(result.eta, "5m");
+    assert.deepEqual(reports, [
+      { method: "POST", path: "/moncash/transfers", fields: ["$.eta"] },
+    ]);
+  });
+
+  it("should pass responses through unchecked by default", async () => {
+    const bazik = setupClient(
+      mockFetchSequence([AUTH_OK, [200, { unexpected: true }]])
+    );
+    assert.deepEqual(await bazik.wallet.getBalance(), { unexpected: true });
+  });
+});
+
+// ─── Gourdes tests ───────────────────────────────────────────────────────────
+
+describe("Gourdes", () => {
+  it("should parse numbers and decimal strings into cents", () => {
+    assert.equal(Gourdes.from(1284.5).cents, 128_450);
+    assert.equal(Gourdes.from("1284.50").cents, 128_450);
+    assert.equal(Gourdes.from(0.07).cents, 7);
+    assert.equal(Gourdes.from("-3.1").cents, -310);
+    assert.equal(Gourdes.fromCents(5).toString(), "0.05");
+  });
+
+  it("should reject amounts with more than 2 decimals", () => {
+    for (const value of [0.001, 1284.005, "10.123", "1e3", "", NaN, null]) {
+      assert.throws(() => Gourdes.from(value), BazikValidationError);
+    }
+  });
+
+  it("should do exact fee and total arithmetic", () => {
+    assert.equal(Gourdes.from(0.1).plus(0.2).toString(), "0.30");
+    assert.ok(Gourdes.from(0.3).equals(Gourdes.from(0.1).plus(0.2)));
+
+    const amount = Gourdes.from(1284.5);
+    const fee = amount.percent(5);
+    assert.equal(fee.toString(), "64.23");
+    assert.equal(amount.plus(fee).toNumber(), 1348.73);
+    assert.equal(Gourdes.from(10.01).percent(5).cents, 50);
+    assert.equal(Gourdes.from(-0.5).percent(5).cents, -3);
+    assert.equal(Gourdes.from(500).minus("25.50").compare(474.5), 0);
+  });
+
+  it("should format for en-HT, fr-HT and ht", () => {
+    const amount = Gourdes.from(1284.5);
+    assert.equal(amount.format("en-HT"), "HTG 1,284.50");
+    assert.match(amount.format("fr-HT"), /^1\s284,50\sG$/);
+    assert.equal(amount.format("ht"), amount.format("fr-HT"));
+    assert.equal(amount.format(), amount.format("fr-HT"));
+  });
+
+  it("should serialize as a plain number", () => {
+    assert.equal(JSON.stringify({ gdes: Gourdes.from("500") }), '{"gdes":500}');
+  });
+
+  it("should be accepted wherever an amount is", async () => {
+    const fetchMock = mockFetchSequence([
+      AUTH_OK,
+      [200, { orderId: "BZK_1", status: "pending" }],
+    ]);
+    const client = setupClient(fetchMock);
+
+    await client.payments.create({ gdes: Gourdes.from("1284.50") });
+
+    const body = JSON.parse(fetchMock.mock.calls[1].arguments[1].body);
+    assert.equal(body.gdes, 1284.5);
+  });
+
+  it("should reject module amounts with more than 2 decimals", async () => {
+    const client = setupClient(mockFetch(200, {}));
+
+    await assert.rejects(
+      () => client.payments.create({ gdes: 10.001 }),
+      BazikValidationError
+    );
+    await assert.rejects(
+      () => client.transfers.getQuote(0.005, "moncash"),
+      BazikValidationError
+    );
+    await assert.rejects(
+      () => client.payments.create({ gdes: Gourdes.from(75_000.01) }),
+      /exceeds maximum of 75000 HTG/
+    );
+  });
+});
+
+// ─── Phone number tests ──────────────────────────────────────────────────────
+
+describe("HaitianPhone", () => {
+  it("should normalize every common Haitian format", () => {
+    for (const input of [
+      "37123456",
+      "3712-3456",
+      "3712.3456",
+      " 37 12 34 56 ",
+      "+509 3712-3456",
+      "(509) 37 12 34 56",
+      "509-3712-3456",
+      "50937123456",
+      "0050937123456",
+      50937123456,
+    ]) {
+      const phone = HaitianPhone.parse(input);
+      assert.equal(phone.national, "37123456", `for ${input}`);
+    }
+  });
+
+  it("should expose the 8-digit, 11-digit and display forms", () => {
+    const phone = HaitianPhone.parse("+509 3712-3456");
+    assert.equal(phone.national, "37123456");
+    assert.equal(phone.international, "50937123456");
+    assert.equal(phone.e164, "+50937123456");
+    assert.equal(phone.format(), "+509 3712-3456");
+    assert.equal(JSON.stringify({ wallet: phone }), '{"wallet":"37123456"}');
+    assert.ok(phone.equals("(509) 3712 3456"));
+  });
+
+  it("should detect the carrier from the prefix", () => {
+    assert.equal(HaitianPhone.parse("37123456").carrier, "digicel");
+    assert.equal(HaitianPhone.parse("47556677").provider, "moncash");
+    assert.equal(HaitianPhone.parse("44556677").carrier, "natcom");
+    assert.equal(HaitianPhone.parse("+509 3312-3456").provider, "natcash");
+    assert.equal(HaitianPhone.parse("2812-3456").carrier, null);
+    assert.equal(HaitianPhone.parse("2812-3456").provider, null);
+  });
+
+  it("should name what was wrong", () => {
+    const cases = [
+      ["123", /has 3 digit\(s\); expected 8/],
+      ["3712-3456x", /only digits/],
+      ["+1 212 555 1234", /country code must be 509/],
+      ["12345678901", /country code must be 509/],
+      ["+509 3712-345", /has 7 digit\(s\) after \+509/],
+      ["19123456", /start with 2, 3, 4 or 5/],
+      ["", /empty/],
+      [undefined, /expected a string/],
+    ];
+    for (const [input, message] of cases) {
+      assert.throws(
+        () => HaitianPhone.parse(input),
+        (err) => {
+          assert.ok(err instanceof BazikValidationError);
+          assert.match(err.message, message);
+          return true;
+        }
+      );
+      assert.equal(HaitianPhone.isValid(input), false);
+    }
+  });
+
+  it("should normalize wallets before sending them", async () => {
+    const fetchMock = mockFetchSequence([
+      AUTH_OK,
+      [200, { transaction_id: "TRF_1", status: "pending" }],
+      [200, { customerStatus: { type: "fullkyc", status: ["active"] } }],
+    ]);
+    const client = setupClient(fetchMock);
+
+    await client.transfers.moncash({
+      gdes: 500,
+      wallet: "+509 4755-6677",
+      customerFirstName: "Melissa",
+      customerLastName: "Francois",
+    });
+    await client.transfers.checkCustomer("(509) 37 12 34 56");
+
+    const bodies = fetchMock.mock.calls
+      .slice(1)
+      .map((call) => JSON.parse(call.arguments[1].body));
+    assert.equal(bodies[0].wallet, "47556677");
+    assert.equal(bodies[1].wallet, "37123456");
+  });
+
+  it("should reject bad wallets with the reason", async () => {
+    const client = setupClient(mockFetch(200, {}));
+
+    await assert.rejects(
+      () =>
+        client.payments.withdraw({
+          gdes: 500,
+          wallet: "+1 212 555 1234",
+          customerFirstName: "A",
+          customerLastName: "B",
+        }),
+      {
+        name: "BazikValidationError",
+        message: "Invalid wallet number: country code must be 509 (Haiti).",
+      }
+    );
+  });
+});
+
+// ─── Transfer routing tests ──────────────────────────────────────────────────
+
+describe("transfers.send", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 10_000 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    server.setBalance(10_000);
+    server.requests.length = 0;
+    client = setupClient(server);
+  });
+
+  const recipient = {
+    gdes: 500,
+    customerFirstName: "Marie",
+    customerLastName: "Pierre",
+  };
+
+  function transferPaths() {
+    return server.requests
+      .map((r) => r.path)
+      .filter((p) => p.endsWith("/transfers"));
+  }
+
+  it("should route by the wallet's carrier", async () => {
+    const natcom = await client.transfers.send({
+      ...recipient,
+      wallet: "+509 4455-6677",
+    });
+    assert.equal(natcom.provider, "natcash");
+    assert.equal(natcom.routing, "carrier");
+    assert.equal(natcom.transfer.provider, "natcash");
+    assert.equal(natcom.transactionId, natcom.transfer.transaction_id);
+
+    const digicel = await client.transfers.send({
+      ...recipient,
+      wallet: "3712-3456",
+    });
+    assert.equal(digicel.provider, "moncash");
+    assert.deepEqual(transferPaths(), [
+      "/natcash/transfers",
+      "/moncash/transfers",
+    ]);
+  });
+
+  it("should honour an explicit provider", async () => {
+    const sent = await client.transfers.send({
+      ...recipient,
+      wallet: "44556677",
+      provider: "moncash",
+    });
+    assert.equal(sent.provider, "moncash");
+    assert.equal(sent.routing, "override");
+    assert.equal(server.requests.at(-1).body.provider, undefined);
+  });
+
+  it("should compare quotes only when both providers are possible", async () => {
+    await client.transfers.send(
+      { ...recipient, wallet: "44556677" },
+      { compareQuotes: true }
+    );
+    assert.equal(
+      server.requests.filter((r) => r.path === "/transfers/quote").length,
+      0
+    );
+
+    const sent = await client.transfers.send(
+      { ...recipient, wallet: "44556677" },
+      { compareQuotes: true, crossNetwork: true }
+    );
+    assert.deepEqual(Object.keys(sent.quotes).sort(), ["moncash", "natcash"]);
+    assert.equal(sent.quotes.natcash.total_cost, 525);
+    assert.equal(sent.provider, "natcash");
+  });
+
+  it("should fall back to the other provider on an outage", async () => {
+    server.forceNext(503, { path: "/natcash/transfers" });
+
+    const sent = await client.transfers.send(
+      { ...recipient, wallet: "44556677" },
+      { fallback: true, crossNetwork: true }
+    );
+    assert.equal(sent.provider, "moncash");
+    assert.equal(sent.routing, "fallback");
+    assert.equal(sent.failures.length, 1);
+    assert.equal(sent.failures[0].provider, "natcash");
+    assert.ok(sent.failures[0].error instanceof BazikServerError);
+    assert.deepEqual(transferPaths(), [
+      "/natcash/transfers",
+      "/moncash/transfers",
+    ]);
+  });
+
+  it("should not fall back on errors that may have moved money", async () => {
+    server.forceNext(500, { path: "/natcash/transfers" });
+    await assert.rejects(
+      () =>
+        client.transfers.send(
+          { ...recipient, wallet: "44556677" },
+          { fallback: true, crossNetwork: true }
+        ),
+      BazikServerError
+    );
+
+    server.forceNext(400, { path: "/natcash/transfers" });
+    await assert.rejects(
+      () =>
+        client.transfers.send(
+          { ...recipient, wallet: "44556677" },
+          { fallback: true, crossNetwork: true }
+        ),
+      BazikError
+    );
+    assert.deepEqual(transferPaths(), [
+      "/natcash/transfers",
+      "/natcash/transfers",
+    ]);
+  });
+
+  it("should not fall back after a 502", async () => {
+    server.forceNext(502, { path: "/natcash/transfers" });
+    await assert.rejects(
+      () =>
+        client.transfers.send(
+          { ...recipient, wallet: "44556677" },
+          { fallback: true, crossNetwork: true }
+        ),
+      (err) => err instanceof BazikServerError && err.status === 502
+    );
+    assert.deepEqual(transferPaths(), ["/natcash/transfers"]);
+  });
+
+  it("should try both providers for a number with no known carrier", async () => {
+    server.forceNext(503, { path: "/moncash/transfers" });
+
+    const sent = await client.transfers.send(
+      { ...recipient, wallet: "2812-3456" },
+      { fallback: true }
+    );
+    assert.equal(sent.provider, "natcash");
+    assert.equal(sent.failures[0].provider, "moncash");
+  });
+
+  it("should reject an unknown provider", async () => {
+    await assert.rejects(
+      () =>
+        client.transfers.send({
+          ...recipient,
+          wallet: "44556677",
+          provider: "paypal",
+        }),
+      BazikValidationError
+    );
+    assert.equal(server.requests.length, 0);
+  });
+});
+
+// ─── Pre-flight tests ────────────────────────────────────────────────────────
+
+describe("Pre-flight checks", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 100_000 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    server.setBalance(100_000);
+    server.setCustomer("47556677", {});
+    server.requests.length = 0;
+    client = setupClient(server);
+  });
+
+  const payout = {
+    gdes: 500,
+    wallet: "47556677",
+    customerFirstName: "Melissa",
+    customerLastName: "Francois",
+  };
+
+  function moneyMoved() {
+    return server.requests.some(
+      (r) => r.path.endsWith("/transfers") || r.path.endsWith("/withdraw")
+    );
+  }
+
+  it("should return the quote and customer status with the transfer", async () => {
+    const transfer = await client.transfers.moncash(payout, {
+      preflight: true,
+    });
+
+    assert.ok(transfer.transaction_id);
+    assert.equal(transfer.preflight.quote.total_cost, 525);
+    assert.equal(transfer.preflight.customer.customerStatus.type, "fullkyc");
+    assert.equal(transfer.preflight.balance.available, 100_000);
+  });
+
+  it("should leave results unchanged without preflight", async () => {
+    const transfer = await client.transfers.moncash(payout);
+    assert.equal(transfer.preflight, undefined);
+    assert.deepEqual(
+      server.requests.map((r) => r.path).filter((p) => p !== "/token"),
+      ["/moncash/transfers"]
+    );
+  });
+
+  it("should reject unregistered and blocked wallets", async () => {
+    server.setCustomer("47556677", { status: [] });
+    await assert.rejects(
+      () => client.payments.withdraw(payout, { preflight: true }),
+      (err) =>
+        err instanceof BazikRecipientError &&
+        err.code === "recipient_not_registered"
+    );
+
+    server.setCustomer("47556677", { status: ["registered", "blocked"] });
+    await assert.rejects(
+      () => client.transfers.moncash(payout, { preflight: true }),
+      (err) =>
+        err instanceof BazikRecipientError &&
+        err.code === "recipient_blocked" &&
+        err.details.status.includes("blocked")
+    );
+
+    server.setCustomer("47556677", { type: "nokyc" });
+    await assert.rejects(
+      () => client.transfers.moncash(payout, { preflight: true }),
+      { name: "BazikRecipientError", code: "recipient_not_verified" }
+    );
+    assert.equal(moneyMoved(), false);
+  });
+
+  it("should enforce the limit for the KYC tier", async () => {
+    server.setCustomer("47556677", { type: "minikyc" });
+
+    await assert.rejects(
+      () =>
+        client.transfers.moncash(
+          { ...payout, gdes: 25_000 },
+          { preflight: true }
+        ),
+      (err) =>
+        err instanceof BazikLimitExceededError &&
+        err.details.tier === "minikyc" &&
+        err.details.limit === 20_000
+    );
+    assert.equal(moneyMoved(), false);
+
+    const transfer = await client.transfers.moncash(
+      { ...payout, gdes: 25_000 },
+      { preflight: { tierLimits: { minikyc: 30_000 } } }
+    );
+    assert.equal(transfer.preflight.customer.customerStatus.type, "minikyc");
+  });
+
+  it("should reject a total cost above the balance", async () => {
+    server.setBalance(520);
+
+    await assert.rejects(
+      () => client.transfers.natcash(payout, { preflight: true }),
+      (err) =>
+        err instanceof BazikInsufficientFundsError &&
+        err.details.required === 525 &&
+        err.details.available === 520
+    );
+    assert.equal(moneyMoved(), false);
+  });
+
+  it("should skip the customer check for NatCash", async () => {
+    const transfer = await client.transfers.natcash(
+      { ...payout, wallet: "44556677" },
+      { preflight: true }
+    );
+
+    assert.equal(transfer.preflight.customer, null);
+    assert.ok(
+      !server.requests.some((r) => r.path === "/moncash/customers/status")
+    );
+  });
+});
+
+// ─── Ledger tests ────────────────────────────────────────────────────────────
+
+describe("Ledger", () => {
+  let server;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 100_000 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const payout = {
+    gdes: 500,
+    wallet: "47556677",
+    customerFirstName: "Melissa",
+    customerLastName: "Francois",
+  };
+
+  it("should be off unless configured", () => {
+    assert.equal(setupClient(server).ledger, null);
+  });
+
+  it("should record payments, withdrawals and transfers", async () => {
+    const bazik = setupClient(server, { ledger: true });
+    const payment = await bazik.payments.create({
+      gdes: 1284.5,
+      referenceId: "ORDER-1",
+    });
+    const withdrawal = await bazik.payments.withdraw(payout);
+    const transfer = await bazik.transfers.natcash({
+      ...payout,
+      wallet: "44556677",
+      referenceId: "PAYOUT-1",
+    });
+
+    const entry = await bazik.ledger.get(payment.orderId);
+    assert.equal(entry.kind, "payment");
+    assert.equal(entry.provider, "moncash");
+    assert.equal(entry.referenceId, "ORDER-1");
+    assert.equal(entry.amount, 1284.5);
+    assert.equal(entry.status, "pending");
+    assert.equal(entry.statusHistory[0].source, "payments.create");
+
+    assert.equal(
+      (await bazik.ledger.get(withdrawal.transaction_id)).kind,
+      "withdrawal"
+    );
+    const [byReference] = await bazik.ledger.query({
+      referenceId: "PAYOUT-1",
+    });
+    assert.equal(byReference.id, transfer.transaction_id);
+    assert.equal(byReference.provider, "natcash");
+    assert.equal(byReference.fees, 25);
+    assert.equal(byReference.total, 525);
+  });
+
+  it("should track status changes from getStatus, verify and webhooks", async () => {
+    const bazik = setupClient(server, {
+      ledger: true,
+      webhookSecret: "whsec_test",
+    });
+    const transfer = await bazik.transfers.moncash(payout);
+    const id = transfer.transaction_id;
+
+    await bazik.transfers.getStatus(id);
+    await server.settleTransfer(id, "successful");
+    await bazik.transfers.getStatus(id);
+
+    let entry = await bazik.ledger.get(id);
+    assert.equal(entry.status, "successful");
+    assert.deepEqual(
+      entry.statusHistory.map((h) => [h.status, h.source]),
+      [
+        [transfer.status, "transfers.moncash"],
+        ["processing", "transfers.getStatus"],
+        ["successful", "transfers.getStatus"],
+      ]
+    );
+
+    const payment = await bazik.payments.create({ gdes: 100 });
+    server.settleOrder(payment.orderId, "successful");
+    await bazik.payments.verify(payment.orderId);
+    entry = await bazik.ledger.get(payment.orderId);
+    assert.equal(entry.status, "successful");
+    assert.equal(entry.statusHistory.at(-1).source, "payments.verify");
+
+    const refund = await bazik.transfers.moncash(payout);
+    const body = JSON.stringify({
+      type: "transfer.failed",
+      transactionId: refund.transaction_id,
+      status: "failed",
+    });
+    bazik.webhooks.constructEvent(body, {
+      "bazik-signature": bazik.webhooks.sign(body),
+    });
+    await bazik.ledger.flush();
+    entry = await bazik.ledger.get(refund.transaction_id);
+    assert.equal(entry.status, "failed");
+    assert.equal(entry.statusHistory.at(-1).source, "webhook");
+  });
+
+  it("should query by status and date range", async () => {
+    const bazik = setupClient(server, { ledger: true });
+    const before = new Date();
+    const a = await bazik.transfers.moncash(payout);
+    const b = await bazik.transfers.moncash(payout);
+    await server.settleTransfer(b.transaction_id, "failed");
+    await bazik.transfers.getStatus(b.transaction_id);
+
+    const failed = await bazik.ledger.query({ status: ["failed"] });
+    assert.deepEqual(
+      failed.map((e) => e.id),
+      [b.transaction_id]
+    );
+
+    const recent = await bazik.ledger.query({ from: before, to: new Date() });
+    assert.deepEqual(
+      recent.map((e) => e.id),
+      [a.transaction_id, b.transaction_id]
+    );
+    assert.deepEqual(
+      await bazik.ledger.query({ to: before.getTime() - 1 }),
+      []
+    );
+    await assert.rejects(
+      () => bazik.ledger.query({ from: "not a date" }),
+      BazikValidationError
+    );
+  });
+
+  it("should persist entries in a JSON file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bazik-"));
+    const file = path.join(dir, "ledger.json");
+    try {
+      const bazik = setupClient(server, {
+        ledger: new FileLedgerStore(file),
+      });
+      const transfer = await bazik.transfers.moncash(payout);
+
+      const reopened = new FileLedgerStore(file);
+      const entry = await reopened.get(transfer.transaction_id);
+      assert.equal(entry.amount, 500);
+      assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+      fs.writeFileSync(file, "{ not json");
+      await assert.rejects(() => reopened.get("x"), {
+        code: "ledger_corrupt",
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should not fail API calls when the store fails", async () => {
+    const errors = [];
+    const bazik = setupClient(server, {
+      ledger: {
+        get: async () => null,
+        put: async () => {
+          throw new Error("disk full");
+        },
+        query: async () => [],
+      },
+      logger: { error: (message) => errors.push(message) },
+    });
+
+    const transfer = await bazik.transfers.moncash(payout);
+    assert.ok(transfer.transaction_id);
+    assert.match(errors[0], /Ledger write for TRF_\S+ failed: disk full/);
+  });
+
+  it("should reject a store without get, put and query", () => {
+    assert.throws(
+      () => setupClient(server, { ledger: { get: async () => null } }),
+      /missing method\(s\): put, query/
+    );
+  });
+});
+
+// ─── Reconciliation tests ────────────────────────────────────────────────────
+
+describe("Reconciliation", () => {
+  let server;
+  let bazik;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 100_000 });
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    bazik = setupClient(server);
+  });
+
+  const payout = {
+    gdes: 500,
+    wallet: "47556677",
+    customerFirstName: "Melissa",
+    customerLastName: "Francois",
+  };
+
+  it("should report status, amount and fee mismatches and unknown IDs", async () => {
+    const settled = await bazik.transfers.moncash(payout);
+    await server.settleTransfer(settled.transaction_id, "successful");
+    const pending = await bazik.transfers.moncash(payout);
+    const payment = await bazik.payments.create({ gdes: 1000 });
+
+    const report = await bazik.reconcile([
+      {
+        transactionId: settled.transaction_id,
+        amount: 500,
+        fees: 25,
+        status: "pending",
+      },
+      {
+        transactionId: pending.transaction_id,
+        amount: 499.99,
+        fees: "20",
+        status: "pending",
+      },
+      { orderId: payment.orderId, amount: 1000.0000001, status: "pending" },
+      { transactionId: "TRF_missing" },
+      { orderId: "BZK_missing", status: "pending" },
+    ]);
+
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.summary, {
+      checked: 5,
+      matched: 1,
+      statusMismatches: 1,
+      amountMismatches: 1,
+      feeMismatches: 1,
+      unknown: 2,
+      errors: 0,
+    });
+    assert.deepEqual(
+      report.differences.map((d) => [d.id, d.type, d.issue]),
+      [
+        [settled.transaction_id, "transfer", "status_mismatch"],
+        [pending.transaction_id, "transfer", "amount_mismatch"],
+        [pending.transaction_id, "transfer", "fee_mismatch"],
+        ["TRF_missing", "transfer", "unknown_id"],
+        ["BZK_missing", "payment", "unknown_id"],
+      ]
+    );
+    assert.equal(report.differences[0].expected, "pending");
+    assert.equal(report.differences[0].actual, "successful");
+  });
+
+  it("should match a ledger entry recorded as completed", async () => {
+    const transfer = {
+      transaction_id: "TRF_1761961466_eafd0ac3",
+      status: "completed",
+      provider: "moncash",
+      amount: 500,
+      fees: 25,
+      total: 525,
+      currency: "HTG",
+    };
+    globalThis.fetch = mockFetchSequence([
+      AUTH_OK,
+      [201, transfer],
+      [
+        200,
+        {
+          transactionId: transfer.transaction_id,
+          status: "successful",
+          amount: 500,
+          fees: 25,
+          total: 525,
+        },
+      ],
+    ]);
+    const client = new Bazik({
+      userID: "bzk_test",
+      secretKey: "sk_test",
+      retry: false,
+      ledger: true,
+    });
+    await client.transfers.moncash(payout);
+    const entries = await client.ledger.query();
+    assert.equal(entries[0].status, "completed");
+
+    const report = await client.reconcile(entries);
+    assert.equal(report.ok, true);
+    assert.equal(report.summary.matched, 1);
+  });
+
+  it("should count records, not IDs, when an ID repeats", async () => {
+    const [twice, once] = [
+      await bazik.transfers.moncash(payout),
+      await bazik.transfers.moncash(payout),
+    ].map((t) => t.transaction_id);
+
+    const report = await bazik.reconcile([
+      { transactionId: twice, amount: 400 },
+      { transactionId: once },
+      { transactionId: twice, amount: 400 },
+    ]);
+    assert.equal(report.summary.checked, 3);
+    assert.equal(report.summary.matched, 1);
+    assert.deepEqual(
+      report.differences.map((d) => d.index),
+      [0, 2]
+    );
+  });
+
+  it("should export the diff as JSON and CSV", async () => {
+    const report = await bazik.reconcile([
+      { transactionId: "TRF_missing" },
+      { orderId: "BZK_missing" },
+    ]);
+
+    const json = JSON.parse(JSON.stringify(report));
+    assert.equal(json.summary.unknown, 2);
+    assert.equal(json.differences[0].issue, "unknown_id");
+
+    const lines = report.toCSV().trim().split("\n");
+    assert.equal(lines[0], "id,type,issue,expected,actual,message");
+    assert.equal(
+      lines[1],
+      "TRF_missing,transfer,unknown_id,,,Transfer TRF_missing not found."
+    );
+    assert.equal(lines.length, 3);
+  });
+
+  it("should accept ledger entries", async () => {
+    const withLedger = setupClient(server, {
+      ledger: true,
+    });
+    await withLedger.transfers.moncash(payout);
+    await withLedger.payments.create({ gdes: 250 });
+
+    const report = await withLedger.reconcile(await withLedger.ledger.query());
+    assert.equal(report.ok, true);
+    assert.equal(report.summary.matched, 2);
+  });
+
+  it("should bound concurrency and use the low priority lane", async () => {
+    const ids = [];
+    for (let i = 0; i < 6; i++) {
+      ids.push((await bazik.transfers.moncash(payout)).transaction_id);
+    }
+    let inFlight = 0;
+    let maxInFlight = 0;
+    globalThis.fetch = async (...args) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      try {
+        await new Promise((r) => setTimeout(r, 5));
+        return await realFetch(...args);
+      } finally {
+        inFlight--;
+      }
+    };
+
+    const priorities = new Set();
+    const getStatus = bazik.transfers.getStatus.bind(bazik.transfers);
+    bazik.transfers.getStatus = (id, options) => {
+      priorities.add(options.priority);
+      return getStatus(id, options);
+    };
+
+    const report = await bazik.reconcile(
+      ids.map((transactionId) => ({ transactionId })),
+      { concurrency: 2 }
+    );
+    assert.equal(report.summary.matched, 6);
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual([...priorities], ["low"]);
+  });
+
+  it("should reject records without an ID", async () => {
+    await assert.rejects(
+      () => bazik.reconcile([{ orderId: "BZK_1" }, { amount: 5 }]),
+      (err) => err instanceof BazikValidationError && /#1/.test(err.message)
+    );
+  });
+});
+
+// ─── CLI tests ───────────────────────────────────────────────────────────────
+
+describe("CLI", () => {
+  const { run } = require("../src/cli/run");
+  let server;
+  let dir;
+  let env;
+
+  before(async () => {
+    server = new MockBazikServer({ balance: 10_000 });
+    await server.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bazik-cli-"));
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    env = {
+      BAZIK_USER_ID: server.credentials.userID,
+      BAZIK_SECRET_KEY: server.credentials.secretKey,
+      BAZIK_BASE_URL: server.url,
+      BAZIK_CONFIG: path.join(dir, "missing.json"),
+    };
+  });
+
+  async function cli(argv, cliEnv = env) {
+    let stdout = "";
+    let stderr = "";
+    const code = await run(argv, {
+      env: cliEnv,
+      stdout: { write: (s) => (stdout += s) },
+      stderr: { write: (s) => (stderr += s) },
+    });
+    return { code, stdout, stderr };
+  }
+
+  it("should print the balance for humans and as JSON", async () => {
+    const human = await cli(["balance"]);
+    assert.equal(human.code, 0);
+    assert.match(
+      human.stdout,
+      new RegExp(`^Available +${Gourdes.from(10_000).format()}$`, "m")
+    );
+
+    const json = await cli(["balance", "--json"]);
+    assert.equal(json.code, 0);
+    assert.equal(JSON.parse(json.stdout).available, 10_000);
+  });
+
+  it("should exit 13 when BAZIK_ENVIRONMENT does not match", async () => {
+    const { code, stderr } = await cli(["balance"], {
+      ...env,
+      BAZIK_ENVIRONMENT: "production",
+    });
+    assert.equal(code, 13);
+    assert.match(stderr, /Expected the production API/);
+  });
+
+  it("should create a payment and wait for it to settle", async () => {
+    const created = await cli(["pay", "create", "--gdes", "250.50", "--json"]);
+    assert.equal(created.code, 0);
+    const { orderId } = JSON.parse(created.stdout);
+    assert.equal(server.requests.at(-1).body.gdes, 250.5);
+
+    server.settleOrder(orderId, "successful");
+    const verified = await cli(["pay", "verify", orderId, "--wait"]);
+    assert.equal(verified.code, 0);
+    assert.match(verified.stdout, /^Status\s+successful$/m);
+  });
+
+  it("should send a transfer routed by carrier", async () => {
+    const { code, stdout } = await cli([
+      "transfer",
+      "send",
+      "--wallet=+509 4455-6677",
+      "--gdes",
+      "100",
+      "--first-name",
+      "Marie",
+      "--last-name",
+      "Pierre",
+      "--json",
+    ]);
+    assert.equal(code, 0);
+    const sent = JSON.parse(stdout);
+    assert.equal(sent.provider, "natcash");
+    assert.equal(sent.routing, "carrier");
+
+    const status = await cli(["transfer", "status", sent.transactionId]);
+    assert.equal(status.code, 0);
+    assert.match(status.stdout, /^Provider\s+natcash$/m);
+  });
+
+  it("should quote both providers unless one is given", async () => {
+    const both = await cli(["quote", "--gdes", "1000", "--json"]);
+    assert.deepEqual(
+      JSON.parse(both.stdout).map((q) => q.provider),
+      ["moncash", "natcash"]
+    );
+    const one = await cli(["quote", "--gdes", "1000", "--provider", "natcash"]);
+    assert.ok(
+      one.stdout.startsWith(
+        `natcash  ${Gourdes.from(1050).format()} (fee ${Gourdes.from(
+          50
+        ).format()}, 5%)`
+      )
+    );
+    assert.doesNotMatch(one.stdout, /moncash/);
+  });
+
+  it("should show a customer's carrier and KYC level", async () => {
+    server.setCustomer("37123456", { type: "minikyc", status: ["registered"] });
+    const { code, stdout } = await cli(["customer", "3712 3456"]);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Wallet\s+\+509 3712-3456$/m);
+    assert.match(stdout, /^Carrier\s+digicel$/m);
+    assert.match(stdout, /^KYC\s+minikyc$/m);
+  });
+
+  it("should map error classes to exit codes", async () => {
+    const notFound = await cli(["transfer", "status", "TRF_missing"]);
+    assert.equal(notFound.code, 4);
+    assert.match(
+      notFound.stderr,
+      /^Error: .*not found.*\(transfer_not_found\)/
+    );
+
+    const broke = await cli([
+      "transfer",
+      "send",
+      "--wallet",
+      "37123456",
+      "--gdes",
+      "50000",
+      "--first-name",
+      "A",
+      "--last-name",
+      "B",
+      "--json",
+    ]);
+    assert.equal(broke.code, 5);
+    assert.equal(
+      JSON.parse(broke.stderr).error.name,
+      "BazikInsufficientFundsError"
+    );
+
+    const auth = await cli(["auth"], { ...env, BAZIK_SECRET_KEY: "sk_wrong" });
+    assert.equal(auth.code, 3);
+
+    const invalid = await cli(["quote", "--gdes", "1.234"]);
+    assert.equal(invalid.code, 2);
+  });
+
+  it("should reject bad usage before sending anything", async () => {
+    const before = server.requests.length;
+    for (const argv of [
+      ["pay"],
+      ["pay", "verify"],
+      ["pay", "create"],
+      ["balance", "--wait"],
+      ["balance", "extra"],
+      ["quote", "--gdes"],
+      ["refund"],
+    ]) {
+      const { code, stderr } = await cli(argv);
+      assert.equal(code, 2, argv.join(" "));
+      assert.match(stderr, /bazik --help/);
+    }
+    assert.equal(server.requests.length, before);
+
+    const help = await cli(["--help"]);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /bazik transfer send --wallet <wallet>/);
+  });
+
+  it("should read credentials from a profile", async () => {
+    const config = path.join(dir, "config.json");
+    fs.writeFileSync(
+      config,
+      JSON.stringify({
+        default: { userID: "bzk_other", secretKey: "sk_other" },
+        sandbox: { ...server.credentials, baseURL: server.url },
+      })
+    );
+
+    const named = await cli(["auth", "--profile", "sandbox"], {
+      BAZIK_CONFIG: config,
+      BAZIK_USER_ID: "bzk_ignored",
+    });
+    assert.equal(named.code, 0);
+    assert.match(named.stdout, /^User ID\s+bzk_test_user$/m);
+
+    // Env vars win over the default profile
+    const merged = await cli(["auth"], { ...env, BAZIK_CONFIG: config });
+    assert.equal(merged.code, 0);
+
+    const missing = await cli(["auth", "--profile", "prod"], {
+      BAZIK_CONFIG: config,
+    });
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /Profile "prod" not found/);
+
+    const none = await cli(["auth"], {
+      BAZIK_CONFIG: path.join(dir, "x.json"),
+    });
+    assert.equal(none.code, 2);
+    assert.match(none.stderr, /No Bazik credentials/);
+  });
+});
+
+// ─── Checkout tests ──────────────────────────────────────────────────────────
+
+describe("Checkout", () => {
+  const http = require("node:http");
+  const { Checkout } = require("../src/index.js");
+  let server;
+  let bazik;
+  let app;
+  let calls;
+
+  before(async () => {
+    server = new MockBazikServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    bazik = setupClient(server, {
+      webhookSecret: "whsec_test",
+    });
+    calls = [];
+  });
+
+  function closeApp() {
+    app?.closeAllConnections?.();
+    app?.close();
+  }
+
+  afterEach(closeApp);
+
+  /** Serve `handler` on an ephemeral port; returns its base URL. */
+  async function serve(handler) {
+    app = http.createServer(handler);
+    await new Promise((resolve) => app.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${app.address().port}`;
+  }
+
+  function createCheckout(options = {}) {
+    return new Checkout(bazik, {
+      successUrl: "https://shop.example/checkout/done",
+      createPayment: (req) => ({
+        gdes: 1284.5,
+        referenceId: new URL(req.url, "http://x").searchParams.get("order"),
+      }),
+      onPaid: (payment, context) => {
+        calls.push(["paid", payment.orderId, context.event?.type]);
+        return `/orders/${payment.referenceId}`;
+      },
+      onFailed: (payment) => {
+        calls.push(["failed", payment.orderId]);
+      },
+      pendingTimeoutMs: 0,
+      ...options,
+    });
+  }
+
+  /** Routes for a plain node:http app. */
+  function routes(checkout) {
+    return (req, res) => {
+      const { pathname } = new URL(req.url, "http://x");
+      if (pathname === "/checkout") return checkout.start(req, res);
+      if (pathname === "/checkout/done") return checkout.complete(req, res);
+      if (pathname === "/webhook") return checkout.webhook(req, res);
+      res.writeHead(404).end();
+    };
+  }
+
+  async function startCheckout(base, order) {
+    const res = await fetch(`${base}/checkout?order=${order}`, {
+      method: "POST",
+      redirect: "manual",
+    });
+    const create = server.requests.findLast((r) => r.path === "/moncash/token");
+    return {
+      res,
+      create,
+      orderId: res.headers.get("location").split("/").pop(),
+    };
+  }
+
+  it("should create the payment and redirect to MonCash", async () => {
+    const base = await serve(routes(createCheckout()));
+    const { res, create } = await startCheckout(base, "ORDER-1");
+
+    assert.equal(res.status, 303);
+    assert.match(res.headers.get("location"), /\/pay\/BZK_/);
+    assert.equal(create.body.gdes, 1284.5);
+    assert.equal(create.body.referenceId, "ORDER-1");
+    assert.equal(
+      create.body.successUrl,
+      "https://shop.example/checkout/done?referenceId=ORDER-1"
+    );
+    assert.equal(create.body.errorUrl, create.body.successUrl);
+  });
+
+  it("should verify the order before calling onPaid", async () => {
+    const base = await serve(routes(createCheckout()));
+    const { orderId } = await startCheckout(base, "ORDER-2");
+
+    // Coming back before the payment settled is not a payment
+    const early = await fetch(`${base}/checkout/done?referenceId=ORDER-2`, {
+      redirect: "manual",
+    });
+    assert.equal(early.status, 202);
+    assert.deepEqual(calls, []);
+
+    server.settleOrder(orderId, "successful");
+    const res = await fetch(`${base}/checkout/done?referenceId=ORDER-2`, {
+      redirect: "manual",
+    });
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.get("location"), "/orders/ORDER-2");
+    assert.deepEqual(calls, [["paid", orderId, undefined]]);
+  });
+
+  it("should call onFailed for failed orders whichever URL the browser uses", async () => {
+    const base = await serve(routes(createCheckout()));
+    const { orderId } = await startCheckout(base, "ORDER-3");
+    server.settleOrder(orderId, "failed");
+
+    const res = await fetch(`${base}/checkout/done?referenceId=ORDER-3`);
+    assert.equal(res.status, 402);
+    assert.deepEqual(calls, [["failed", orderId]]);
+  });
+
+  it("should reject unknown and mismatched return URLs", async () => {
+    const base = await serve(routes(createCheckout()));
+    const { orderId } = await startCheckout(base, "ORDER-4");
+    server.settleOrder(orderId, "successful");
+
+    const unknown = await fetch(`${base}/checkout/done?referenceId=NOPE`);
+    assert.equal(unknown.status, 404);
+    const mismatch = await fetch(
+      `${base}/checkout/done?referenceId=OTHER&orderId=${orderId}`
+    );
+    assert.equal(mismatch.status, 404);
+    const missing = await fetch(`${base}/checkout/done?orderId=BZK_missing`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(calls, []);
+  });
+
+  it("should find orders through a shared ledger", async () => {
+    bazik = setupClient(server, {
+      ledger: true,
+    });
+    const first = createCheckout();
+    const base = await serve(routes(first));
+    const { orderId } = await startCheckout(base, "ORDER-5");
+    server.settleOrder(orderId, "successful");
+    closeApp();
+
+    // A second process with the same ledger store
+    const other = await serve(routes(createCheckout()));
+    const res = await fetch(`${other}/checkout/done?referenceId=ORDER-5`, {
+      redirect: "manual",
+    });
+    assert.equal(res.status, 303);
+    assert.deepEqual(calls, [["paid", orderId, undefined]]);
+  });
+
+  it("should verify webhooks and re-check payment events", async () => {
+    const events = [];
+    const base = await serve(
+      routes(createCheckout({ onEvent: (event) => events.push(event.type) }))
+    );
+    const { orderId } = await startCheckout(base, "ORDER-6");
+    server.settleOrder(orderId, "successful");
+
+    const body = JSON.stringify({
+      type: "payment.succeeded",
+      orderId,
+      status: "successful",
+    });
+    const res = await fetch(`${base}/webhook`, {
+      method: "POST",
+      headers: { "bazik-signature": bazik.webhooks.sign(body) },
+      body,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { received: true });
+    assert.deepEqual(events, ["payment.succeeded"]);
+    assert.deepEqual(calls, [["paid", orderId, "payment.succeeded"]]);
+
+    const forged = await fetch(`${base}/webhook`, {
+      method: "POST",
+      headers: { "bazik-signature": "t=1,v1=deadbeef" },
+      body,
+    });
+    assert.equal(forged.status, 400);
+    assert.equal(calls.length, 1);
+  });
+
+  it("should call onPaid once when both the return URL and the webhook see the order", async () => {
+    const base = await serve(routes(createCheckout()));
+    const { orderId } = await startCheckout(base, "ORDER-7");
+    server.settleOrder(orderId, "successful");
+
+    const body = JSON.stringify({
+      type: "payment.succeeded",
+      orderId,
+      status: "successful",
+    });
+    const [webhook, returned] = await Promise.all([
+      fetch(`${base}/webhook`, {
+        method: "POST",
+        headers: { "bazik-signature": bazik.webhooks.sign(body) },
+        body,
+      }),
+      fetch(`${base}/checkout/done?referenceId=ORDER-7`, {
+        redirect: "manual",
+      }),
+    ]);
+    assert.equal(webhook.status, 200);
+    assert.equal(returned.status, 303);
+    assert.equal(returned.headers.get("location"), "/orders/ORDER-7");
+
+    const reloaded = await fetch(`${base}/checkout/done?referenceId=ORDER-7`, {
+      redirect: "manual",
+    });
+    assert.equal(reloaded.headers.get("location"), "/orders/ORDER-7");
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0][1], orderId);
+  });
+
+  it("should run onPaid again after it threw", async () => {
+    let attempts = 0;
+    const base = await serve(
+      routes(
+        createCheckout({
+          onPaid: () => {
+            attempts += 1;
+            if (attempts === 1) throw new Error("database down");
+          },
+        })
+      )
+    );
+    const { orderId } = await startCheckout(base, "ORDER-8");
+    server.settleOrder(orderId, "successful");
+
+    const body = JSON.stringify({ type: "payment.succeeded", orderId });
+    const deliver = () =>
+      fetch(`${base}/webhook`, {
+        method: "POST",
+        headers: { "bazik-signature": bazik.webhooks.sign(body) },
+        body,
+      });
+    assert.equal((await deliver()).status, 500);
+    assert.equal((await deliver()).status, 200);
+    assert.equal(attempts, 2);
+  });
+
+  it("should pass errors to Express's next()", async () => {
+    const checkout = createCheckout();
+    let nextError;
+    const base = await serve((req, res) => {
+      req.body = { already: "parsed" }; // express.json() ran first
+      checkout.webhook(req, res, (err) => {
+        nextError = err;
+        res.writeHead(500).end();
+      });
+    });
+
+    const res = await fetch(`${base}/webhook`, { method: "POST", body: "{}" });
+    assert.equal(res.status, 500);
+    assert.ok(nextError instanceof BazikValidationError);
+    assert.match(nextError.message, /already parsed/);
+  });
+
+  it("should still respond when onError throws", async () => {
+    const reported = [];
+    const checkout = createCheckout({
+      onError: (err) => {
+        reported.push(err);
+        throw new Error("error tracker down");
+      },
+    });
+    const base = await serve(routes(checkout));
+
+    const res = await fetch(`${base}/webhook`, {
+      method: "POST",
+      body: "{}",
+      signal: AbortSignal.timeout(2000),
+    });
+    assert.equal(res.status, 400);
+    assert.equal(reported.length, 1);
+    assert.ok(reported[0] instanceof BazikWebhookError);
+  });
+
+  it("should work as Fastify and Koa handlers", async () => {
+    const checkout = createCheckout({
+      createPayment: (request) => ({
+        gdes: 100,
+        referenceId: request.params.id,
+      }),
+    });
+    const base = await serve(async (req, res) => {
+      const id = new URL(req.url, "http://x").searchParams.get("order");
+      if (req.url.startsWith("/fastify")) {
+        let hijacked = false;
+        await checkout.fastify.start(
+          { raw: req, params: { id } },
+          { raw: res, hijack: () => (hijacked = true) }
+        );
+        assert.ok(hijacked);
+      } else {
+        const ctx = { req, res, params: { id }, respond: true };
+        await checkout.koa.start(ctx);
+        assert.equal(ctx.respond, false);
+      }
+    });
+
+    for (const prefix of ["fastify", "koa"]) {
+      const res = await fetch(`${base}/${prefix}?order=${prefix}-1`, {
+        redirect: "manual",
+      });
+      assert.equal(res.status, 303);
+      const create = server.requests.findLast(
+        (r) => r.path === "/moncash/token"
+      );
+      assert.equal(create.body.referenceId, `${prefix}-1`);
+    }
+  });
+
+  it("should require the callbacks and successUrl", () => {
+    assert.throws(
+      () => new Checkout(bazik, { successUrl: "https://x.example" }),
+      /"createPayment" must be a function/
+    );
+    assert.throws(
+      () =>
+        new Checkout(bazik, {
+          createPayment() {},
+          onPaid() {},
+          onFailed() {},
+        }),
+      /"successUrl" is required/
+    );
+  });
+});
+
+// ─── Account pool tests ──────────────────────────────────────────────────────
+
+describe("BazikAccountPool", () => {
+  const { BazikAccountPool } = require("../src/index.js");
+  const servers = {};
+
+  before(async () => {
+    for (const [id, userID, balance] of [
+      ["shop-a", "bzk_shop_a", 1000.1],
+      ["shop-b", "bzk_shop_b", 2500.2],
+    ]) {
+      servers[id] = new MockBazikServer({ userID, balance });
+      await servers[id].start();
+    }
+  });
+
+  after(async () => {
+    for (const server of Object.values(servers)) await server.stop();
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  /** A pool whose accounts each talk to their own mock server. */
+  function createPool(options = {}) {
+    const resolved = [];
+    const pool = new BazikAccountPool({
+      resolveCredentials: async (accountId) => {
+        resolved.push(accountId);
+        const server = servers[accountId];
+        if (!server) throw new BazikValidationError(`No account ${accountId}`);
+        return { ...server.credentials, baseURL: server.url };
+      },
+      config: { retry: false },
+      ...options,
+    });
+    return { pool, resolved };
+  }
+
+  const tokenRequests = (server) =>
+    server.requests.filter((r) => r.path === "/token").length;
+
+  it("should create one client per account, lazily", async () => {
+    const { pool, resolved } = createPool();
+    assert.equal(pool.size, 0);
+
+    const [a1, a2] = await Promise.all([
+      pool.get("shop-a"),
+      pool.get("shop-a"),
+    ]);
+    const b = await pool.get("shop-b");
+    assert.equal(a1, a2);
+    assert.notEqual(a1, b);
+    assert.deepEqual(resolved, ["shop-a", "shop-b"]);
+    assert.deepEqual(pool.accounts(), ["shop-a", "shop-b"]);
+    pool.close();
+  });
+
+  it("should keep a separate token for each account", async () => {
+    const { pool } = createPool();
+    const before = Object.values(servers).map(tokenRequests);
+
+    for (let i = 0; i < 3; i++) {
+      await (await pool.get("shop-a")).wallet.getBalance();
+      await (await pool.get("shop-b")).wallet.getBalance();
+    }
+
+    assert.deepEqual(
+      Object.values(servers).map(tokenRequests),
+      before.map((n) => n + 1)
+    );
+    pool.close();
+  });
+
+  it("should not cache failed credential lookups", async () => {
+    const { pool, resolved } = createPool();
+    await assert.rejects(pool.get("shop-x"), /No account shop-x/);
+    assert.equal(pool.has("shop-x"), false);
+    await assert.rejects(pool.get("shop-x"));
+    assert.deepEqual(resolved, ["shop-x", "shop-x"]);
+    await assert.rejects(pool.get(""), BazikValidationError);
+  });
+
+  it("should sum balances across accounts and report failures", async () => {
+    const { pool } = createPool();
+    const report = await pool.getBalances(["shop-a", "shop-b", "shop-x"]);
+
+    assert.equal(report.available, 3500.3);
+    assert.equal(report.succeeded, 2);
+    assert.equal(report.failed, 1);
+    assert.deepEqual(
+      report.results.map((r) => [r.accountId, r.status]),
+      [
+        ["shop-a", "succeeded"],
+        ["shop-b", "succeeded"],
+        ["shop-x", "failed"],
+      ]
+    );
+    assert.match(report.results[2].error.message, /No account shop-x/);
+
+    // Defaults to the accounts with a client
+    assert.equal((await pool.getBalances()).results.length, 2);
+    pool.close();
+  });
+
+  it("should close clients that sit idle", async () => {
+    const { pool, resolved } = createPool({ idleTimeoutMs: 20 });
+    const first = await pool.get("shop-a");
+    await first.wallet.getBalance();
+
+    await new Promise((r) => setTimeout(r, 80));
+    assert.equal(pool.has("shop-a"), false);
+
+    const second = await pool.get("shop-a");
+    assert.notEqual(second, first);
+    assert.deepEqual(resolved, ["shop-a", "shop-a"]);
+    pool.close();
+  });
+
+  it("should evict one account on request", async () => {
+    const { pool, resolved } = createPool();
+    await pool.get("shop-a");
+    await pool.get("shop-b");
+
+    assert.equal(pool.evict("shop-a"), true);
+    assert.equal(pool.evict("shop-a"), false);
+    assert.deepEqual(pool.accounts(), ["shop-b"]);
+    await pool.get("shop-a");
+    assert.deepEqual(resolved, ["shop-a", "shop-b", "shop-a"]);
+    pool.close();
+    assert.equal(pool.size, 0);
+  });
+
+  it("should require a credentials resolver", () => {
+    assert.throws(() => new BazikAccountPool({}), BazikValidationError);
+  });
+});
+
+// ─── Environment tests ───────────────────────────────────────────────────────
+
+describe("Environment guard rails", () => {
+  let sandbox;
+  let production;
+
+  before(async () => {
+    sandbox = new MockBazikServer();
+    production = new MockBazikServer({ environment: "production" });
+    await sandbox.start();
+    await production.start();
+  });
+
+  after(async () => {
+    await sandbox.stop();
+    await production.stop();
+  });
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const payout = (gdes) => ({
+    gdes,
+    wallet: "37123456",
+    customerFirstName: "Marie",
+    customerLastName: "Pierre",
+  });
+
+  const payoutRequests = (server) =>
+    server.requests.filter((r) => r.path === "/moncash/transfers").length;
+
+  it("should reject an unknown environment", () => {
+    assert.throws(
+      () => new Bazik({ ...AUTH_OK, environment: "staging" }),
+      BazikValidationError
+    );
+  });
+
+  it("should throw when a response comes from the other environment", async () => {
+    const bazik = setupClient(production, { environment: "sandbox" });
+    for (const call of [
+      () => bazik.wallet.getBalance(),
+      () => bazik.payments.getBalance(),
+      () => bazik.transfers.getQuote(1000, "moncash"),
+    ]) {
+      await assert.rejects(call(), (err) => {
+        assert.ok(err instanceof BazikEnvironmentMismatchError);
+        assert.equal(err.code, "environment_mismatch");
+        assert.equal(err.expected, "sandbox");
+        assert.equal(err.actual, "production");
+        assert.ok(err.path);
+        return true;
+      });
+    }
+  });
+
+  it("should check the environment before the first payout", async () => {
+    const balanceRequests = (server) =>
+      server.requests.filter((r) => r.path === "/balance").length;
+
+    const wrong = setupClient(production, { environment: "sandbox" });
+    const before = payoutRequests(production);
+    const balancesBefore = balanceRequests(production);
+    await assert.rejects(
+      wrong.transfers.moncash(payout(500)),
+      BazikEnvironmentMismatchError
+    );
+    assert.equal(payoutRequests(production), before);
+    assert.equal(balanceRequests(production), balancesBefore + 1);
+
+    const right = setupClient(sandbox, { environment: "sandbox" });
+    const sandboxBalances = balanceRequests(sandbox);
+    await Promise.all([
+      right.transfers.moncash(payout(500)),
+      right.payments.withdraw(payout(500)),
+    ]);
+    await right.transfers.moncash(payout(500));
+    assert.equal(balanceRequests(sandbox), sandboxBalances + 1);
+  });
+
+  it("should keep a payout made in the other environment", async () => {
+    const bazik = setupClient(production, {
+      environment: "sandbox",
+      ledger: true,
+      interceptors: [
+        {
+          // Let the balance check through, as a proxy rewriting it might.
+          onResponse(response, ctx) {
+            if (ctx.path !== "/balance") return;
+            return {
+              ...response,
+              data: { ...response.data, environment: "sandbox" },
+            };
+          },
+        },
+      ],
+    });
+    let transactionId;
+    await assert.rejects(bazik.transfers.moncash(payout(500)), (err) => {
+      assert.ok(err instanceof BazikEnvironmentMismatchError);
+      assert.equal(err.details.actual, "production");
+      transactionId = err.details.response.transaction_id;
+      assert.ok(transactionId);
+      return true;
+    });
+    const [entry] = await bazik.ledger.query();
+    assert.equal(entry.id, transactionId);
+    assert.equal(entry.kind, "transfer");
+  });
+
+  it("should pass matching responses and report the environment", async () => {
+    const configured = setupClient(sandbox, { environment: "sandbox" });
+    assert.equal(configured.environment, "sandbox");
+    const balance = await configured.wallet.getBalance();
+    assert.equal(balance.environment, "sandbox");
+
+    const unconfigured = setupClient(production);
+    assert.equal(unconfigured.environment, null);
+    await unconfigured.wallet.getBalance();
+    assert.equal(unconfigured.environment, "production");
+  });
+
+  it("should ask before a production payout above the threshold", async () => {
+    const confirm = mock.fn(async () => false);
+    const bazik = setupClient(production, {
+      environment: "production",
+      confirmPayouts: { above: 5000, confirm },
+    });
+    const before = payoutRequests(production);
+
+    await bazik.transfers.moncash(payout(5000));
+    assert.equal(confirm.mock.callCount(), 0);
+
+    await assert.rejects(bazik.transfers.moncash(payout(5000.01)), (err) => {
+      assert.ok(err instanceof BazikPayoutDeclinedError);
+      assert.equal(err.code, "payout_declined");
+      assert.deepEqual(err.details, {
+        provider: "moncash",
+        amount: 5000.01,
+        threshold: 5000,
+        environment: "production",
+      });
+      return true;
+    });
+    assert.equal(payoutRequests(production), before + 1);
+
+    const [request] = confirm.mock.calls[0].arguments;
+    assert.equal(request.provider, "moncash");
+    assert.equal(request.environment, "production");
+    assert.equal(request.gdes, 5000.01);
+    assert.equal(request.customerLastName, "Pierre");
+  });
+
+  it("should run pre-flight checks before asking", async () => {
+    const confirm = mock.fn(() => true);
+    const bazik = setupClient(production, {
+      environment: "production",
+      confirmPayouts: { confirm },
+    });
+
+    production.setBalance(100);
+    await assert.rejects(
+      bazik.transfers.moncash(payout(500), { preflight: true }),
+      BazikInsufficientFundsError
+    );
+    assert.equal(confirm.mock.callCount(), 0);
+
+    production.setBalance(100_000);
+    await bazik.transfers.moncash(payout(500), { preflight: true });
+    const [{ preflight }] = confirm.mock.calls[0].arguments;
+    assert.equal(preflight.quote.total_cost, 525);
+    assert.equal(preflight.customer.customerStatus.type, "fullkyc");
+    assert.equal(preflight.balance.available, 100_000);
+  });
+
+  it("should send a payout once it is confirmed", async () => {
+    const bazik = setupClient(production, {
+      environment: "production",
+      confirmPayouts: { confirm: () => true },
+    });
+    const before = payoutRequests(production);
+    const result = await bazik.payments.withdraw(payout(100));
+    assert.ok(result.transaction_id);
+    assert.equal(
+      production.requests.filter((r) => r.path === "/moncash/withdraw").length,
+      1
+    );
+    assert.equal(payoutRequests(production), before);
+  });
+
+  it("should not ask in sandbox, and ask while the environment is unknown", async () => {
+    const confirm = mock.fn(() => true);
+    const configured = setupClient(sandbox, {
+      environment: "sandbox",
+      confirmPayouts: { confirm },
+    });
+    await configured.transfers.moncash(payout(10_000));
+    assert.equal(confirm.mock.callCount(), 0);
+
+    const unconfigured = setupClient(sandbox, { confirmPayouts: { confirm } });
+    await unconfigured.transfers.moncash(payout(10_000));
+    assert.equal(confirm.mock.callCount(), 1);
+    assert.equal(confirm.mock.calls[0].arguments[0].environment, null);
+
+    // The first response showed this is the sandbox.
+    await unconfigured.transfers.moncash(payout(10_000));
+    assert.equal(confirm.mock.callCount(), 1);
+  });
+});
+
+// ─── Batch payout tests ──────────────────────────────────────────────────────
+
+describe("Batch transfers", () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new MockBazikServer();
+    await server.start();
+  });
+
+  after(() => server.stop());
+
+  beforeEach(() => {
+    globalThis.fetch = realFetch;
+    server.setBalance(10_000);
+    client = setupClient(server);
+  });
+
+  const driver = (n, gdes = 1000) => ({
+    provider: n % 2 ? "natcash" : "moncash",
+    gdes,
+    wallet: `4755${String(n).padStart(4, "0")}`,
+    customerFirstName: "Driver",
+    customerLastName: String(n),
+    referenceId: `BATCH-${n}-${gdes}`,
+  });
+
+  it("should pay every item and report progress", async () => {
+    const progress = [];
+    const report = await client.transfers.batch(
+      [driver(1), driver(2), driver(3)],
+      { concurrency: 2, onProgress: (p) => progress.push(p.completed) }
+    );
+
+    assert.equal(report.succeeded, 3);
+    assert.equal(report.totalCost, 3150);
+    assert.deepEqual(progress, [1, 2, 3]);
+    assert.equal(report.results[1].provider, "moncash");
+    assert.ok(report.results[1].result.transaction_id);
+    assert.equal(server.balance, 10_000 - 3150);
+  });
+
+  it("should not let a throwing onProgress change the report", async () => {
+    const warnings = [];
+    const bazik = setupClient(server, {
+      logger: { warn: (message) => warnings.push(message) },
+    });
+    let calls = 0;
+    const report = await bazik.transfers.batch([driver(4), driver(5)], {
+      concurrency: 1,
+      onProgress: () => {
+        if (calls++ === 0) throw new Error("dashboard down");
+      },
+    });
+
+    assert.equal(report.succeeded, 2);
+    assert.equal(report.failed, 0);
+    assert.equal(report.results[0].status, "succeeded");
+    assert.equal(calls, 2);
+    assert.deepEqual(warnings, [
+      "bazik: Batch onProgress failed: dashboard down",
+    ]);
+  });
+
+  it("should validate every item before sending anything", async () => {
+    await assert.rejects(
+      () =>
+        client.transfers.batch([
+          driver(1),
+          { ...driver(2), wallet: "123" },
+          { ...driver(3), provider: "paypal" },
+        ]),
+      (err) =>
+        err instanceof BazikValidationError &&
+        err.details.map((p) => p.index).join() === "1,2"
+    );
+    assert.equal(server.balance, 10_000);
+  });
+
+  it("should refuse a batch that exceeds the available balance", async () => {
+    await assert.rejects(
+      () => client.transfers.batch([driver(1, 6000), driver(2, 6000)]),
+      (err) =>
+        err instanceof BazikInsufficientFundsError &&
+        err.details.required === 12_600
+    );
+    assert.equal(server.balance, 10_000);
+  });
+
+  it("should record failures and skip the rest after a 402", async () => {
+    server.forceNext(402, { path: "/natcash/transfers" });
+    const report = await client.transfers.batch(
+      [driver(2), driver(1), driver(4)],
+      { concurrency: 1 }
+    );
+
+    assert.deepEqual(
+      report.results.map((r) => r.status),
+      ["succeeded", "failed", "skipped"]
+    );
+    assert.ok(report.results[1].error instanceof BazikInsufficientFundsError);
+    assert.equal(report.skipped, 1);
+  });
+
+  it("should keep going after a 402 when asked to", async () => {
+    server.forceNext(402, { path: "/natcash/transfers" });
+    const report = await client.transfers.batch([driver(1), driver(2)], {
+      concurrency: 1,
+      stopOnInsufficientFunds: false,
+    });
+
+    assert.equal(report.failed, 1);
+    assert.equal(report.succeeded, 1);
+  });
+});
+
+// ─── Error classes ───────────────────────────────────────────────────────────
+
+describe("Error classes", () => {
+  it("BazikError should have correct properties", () => {
+    const err = new BazikError("test", 500, "server_error", { foo: "bar" });
+    assert.equal(err.message, "test");
+    assert.equal(err.status, 500);
+    assert.equal(err.code, "server_error");
+    assert.deepEqual(err.details, { foo: "bar" });
+    assert.equal(err.name, "BazikError");
+    assert.ok(err instanceof Error);
+  });
+
+  it("BazikAuthError should extend BazikError", () => {
+    const err = new BazikAuthError("unauthorized", 401);
+    assert.ok(err instanceof BazikError);
+    assert.ok(err instanceof Error);
+    assert.equal(err.name, "BazikAuthError");
+  });
+
+  it("BazikValidationError should have status 400", () => {
+    const err = new BazikValidationError("bad input");
+    assert.equal(err.status, 400);
+    assert.equal(err.code, "validation_error");
+  });
+
+  it("BazikInsufficientFundsError should have status 402", () => {
+    const err = new BazikInsufficientFundsError("no funds");
+    assert.equal(err.status, 402);
+  });
+
+  it("BazikRateLimitError should have status 429", () => {
+    const err = new BazikRateLimitError("slow down");
+    assert.equal(err.status, 429);
+  });
+
+  it("BazikWebhookError should have status 400", () => {
+    const err = new BazikWebhookError("bad signature", "invalid_signature");
+    assert.ok(err instanceof BazikError);
+    assert.equal(err.status, 400);
+    assert.equal(err.code, "invalid_signature");
   });
 });